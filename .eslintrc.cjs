@@ -0,0 +1,31 @@
+module.exports = {
+  root: true,
+  env: { browser: true, es2022: true },
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react-hooks/recommended',
+  ],
+  ignorePatterns: ['dist', 'public', '.cache', '.eslintrc.cjs'],
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
+  settings: { react: { version: '18.2' } },
+  plugins: ['react-refresh'],
+  rules: {
+    // Components don't declare propTypes
+    'react/prop-types': 'off',
+    // Destructuring is how a property is left out of a copy
+    'no-unused-vars': ['error', { ignoreRestSiblings: true }],
+    'react-refresh/only-export-components': ['warn', { allowConstantExport: true }],
+  },
+  overrides: [
+    {
+      // The generator and its helpers run in Node
+      files: ['scripts/**/*.js', 'test/**/*.js', 'vite.config.js'],
+      env: { node: true, browser: false },
+    },
+    {
+      files: ['src/*Worker.js'],
+      env: { worker: true, browser: false },
+    },
+  ],
+}
@@ -0,0 +1,151 @@
+import { distanceMetres } from '../src/geo.js';
+
+export const DEFAULT_ENDPOINT_OPTIONS = {
+  radiusMetres: 5000 // Starts (or finishes) closer than this to a cluster's centre join it
+};
+
+// Words in route names and filenames that never name a place
+const NON_PLACE_WORDS = new Set([
+  'tgo', 'challenge', 'complete', 'completed', 'route', 'routes', 'total', 'walk',
+  'vetted', 'west', 'east', 'to', 'the', 'and', 'full', 'final', 'plan', 'version',
+  'track', 'copy', 'cutoff', 'created', 'on'
+]);
+
+// Words that start a two word place name, e.g. "St Cyrus" or "Fort William"
+const PLACE_PREFIXES = new Set(['St', 'Fort', 'Port', 'Loch', 'Glen', 'Kyle']);
+
+// Capitalised place-like words of a name or filename, in order, e.g.
+// "TGO_Challenge_2014_Plockton_to_St_Cyrus.gpx" gives ["Plockton", "St Cyrus"].
+// All-caps and camel-case words (initials, walkers' names) are left out.
+export function placeTokens(text) {
+  const words = (text || '')
+    .replace(/\.[a-z0-9]+$/i, '')
+    .split(/[^A-Za-z]+/)
+    .filter(word => /^[A-Z][a-z]+$/.test(word) && !NON_PLACE_WORDS.has(word.toLowerCase()));
+
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    if (PLACE_PREFIXES.has(words[i]) && i + 1 < words.length) {
+      tokens.push(`${words[i]} ${words[i + 1]}`);
+      i++;
+    } else {
+      tokens.push(words[i]);
+    }
+  }
+  return tokens;
+}
+
+// First and last point of a route as [lon, lat], or null when it has no points
+export function routeEndpoints(route) {
+  const points = (route.tracks || []).flatMap(track => track.points);
+  if (points.length === 0) return { start: null, finish: null };
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  return { start: [first.lon, first.lat], finish: [last.lon, last.lat] };
+}
+
+const formatCoordinates = ([lon, lat]) => (
+  `${Math.abs(lat).toFixed(2)}°${lat < 0 ? 'S' : 'N'} ${Math.abs(lon).toFixed(2)}°${lon < 0 ? 'W' : 'E'}`
+);
+
+// Name a cluster from the place its routes' names most often give for this end.
+// A name only says where a route starts and finishes when it has two places in
+// it ("Mallaig To Montrose"): the first is the start and the last the finish.
+function nameCluster(routes, routeIds, kind, centre) {
+  const counts = new Map();
+
+  routeIds.forEach(routeId => {
+    const route = routes[routeId];
+    // A route's name is usually its filename, so each distinct text counts once
+    const texts = new Set(
+      [route.name, route.filename, route.description, ...(route.mergedFiles || [])]
+        .filter(Boolean)
+        .map(text => text.replace(/\.[a-z0-9]+$/i, ''))
+    );
+    texts.forEach(text => {
+      const tokens = placeTokens(text);
+      if (tokens.length < 2) return;
+      const place = kind === 'start' ? tokens[0] : tokens[tokens.length - 1];
+      counts.set(place, (counts.get(place) || 0) + 1);
+    });
+  });
+
+  let bestName = null;
+  let bestCount = 0;
+  counts.forEach((count, place) => {
+    if (count > bestCount) {
+      bestName = place;
+      bestCount = count;
+    }
+  });
+
+  return bestName || `Near ${formatCoordinates(centre)}`;
+}
+
+// Greedily group points, each joining the first cluster whose centre is within
+// radiusMetres. Centres move to the mean of their points as they grow.
+function clusterPoints(points, radiusMetres) {
+  const clusters = [];
+
+  points.forEach(({ routeId, coordinates: [lon, lat] }) => {
+    const cluster = clusters.find(candidate => (
+      distanceMetres(lat, lon, candidate.centre[1], candidate.centre[0]) <= radiusMetres
+    ));
+
+    if (cluster) {
+      const count = cluster.routeIds.length;
+      cluster.centre = [
+        (cluster.centre[0] * count + lon) / (count + 1),
+        (cluster.centre[1] * count + lat) / (count + 1)
+      ];
+      cluster.routeIds.push(routeId);
+    } else {
+      clusters.push({ centre: [lon, lat], routeIds: [routeId] });
+    }
+  });
+
+  return clusters;
+}
+
+// Number every cluster after the busiest that shares a name with another,
+// e.g. two finish clusters near Montrose become "Montrose" and "Montrose (2)".
+// Expects clusters sorted busiest first.
+function disambiguateNames(clusters) {
+  const seen = new Map();
+  return clusters.map(cluster => {
+    const count = (seen.get(cluster.name) || 0) + 1;
+    seen.set(cluster.name, count);
+    return count === 1 ? cluster : { ...cluster, name: `${cluster.name} (${count})` };
+  });
+}
+
+// Cluster the starts and finishes of routes that have start and finish set (see
+// routeEndpoints). Returns { radiusMetres, starts, finishes }, each cluster being
+// { name, coordinates: [lon, lat], routeIds } with routeIds indexing routes.
+// Clusters are sorted busiest first, and names shared by several clusters of
+// the same kind are numbered after the first.
+export function clusterRouteEndpoints(routes, options = {}) {
+  const { radiusMetres } = { ...DEFAULT_ENDPOINT_OPTIONS, ...options };
+
+  const clustersFor = (kind) => {
+    const points = routes
+      .map((route, routeId) => ({ routeId, coordinates: route[kind] }))
+      .filter(point => point.coordinates);
+
+    const clusters = clusterPoints(points, radiusMetres)
+      .map(cluster => ({
+        name: nameCluster(routes, cluster.routeIds, kind, cluster.centre),
+        coordinates: cluster.centre.map(value => Math.round(value * 10000) / 10000),
+        routeIds: cluster.routeIds
+      }))
+      .sort((a, b) => b.routeIds.length - a.routeIds.length);
+    return disambiguateNames(clusters);
+  };
+
+  return {
+    radiusMetres,
+    starts: clustersFor('start'),
+    finishes: clustersFor('finish')
+  };
+}
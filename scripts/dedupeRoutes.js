@@ -0,0 +1,299 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  METRES_PER_DEGREE_LATITUDE,
+  distanceMetres,
+  metresPerDegreeLongitude,
+  pathLengthMetres,
+  resamplePoints
+} from '../src/geo.js';
+
+// Policies for routes found to be copies of each other:
+// - merge: keep the longest copy and add any stretches only the other copies walk
+// - drop:  keep the longest copy and discard the rest
+// - flag:  keep every copy but mark the shorter ones with duplicateOf
+// - off:   skip duplicate detection entirely
+export const DEDUPE_POLICIES = ['merge', 'drop', 'flag', 'off'];
+
+export const DEFAULT_DEDUPE_OPTIONS = {
+  policy: 'merge',
+  toleranceMetres: 50, // Points closer than this to the other route count as shared
+  minSharedRatio: 0.9, // Share of the shorter route that must lie along the longer one
+  minLengthRatio: 0.5 // Shorter route must be at least this fraction of the longer one
+};
+
+// Bucket resampled points into cells at least cellSizeMetres wide so a lookup
+// only has to check the 3x3 block of cells around a point
+function createPointGrid(samples, cellSizeMetres, maxLat) {
+  const lonCell = cellSizeMetres / metresPerDegreeLongitude(maxLat);
+  const latCell = cellSizeMetres / METRES_PER_DEGREE_LATITUDE;
+  const cells = new Map();
+
+  samples.forEach(sample => {
+    const key = `${Math.floor(sample.lon / lonCell)},${Math.floor(sample.lat / latCell)}`;
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(sample);
+  });
+
+  const hasPointWithin = (lat, lon, radiusMetres) => {
+    const cellX = Math.floor(lon / lonCell);
+    const cellY = Math.floor(lat / latCell);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const cell = cells.get(`${cellX + dx},${cellY + dy}`);
+        if (cell && cell.some(sample => distanceMetres(lat, lon, sample.lat, sample.lon) <= radiusMetres)) {
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  return { hasPointWithin };
+}
+
+// Resampled geometry, length and bounds of a route for pairwise comparison
+function createRouteProfile(route, stepMetres) {
+  const tracks = (route.tracks || []).filter(track => track.points.length > 1);
+  const samples = tracks.flatMap(track => resamplePoints(track.points, stepMetres));
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+
+  samples.forEach(sample => {
+    bounds.minLat = Math.min(bounds.minLat, sample.lat);
+    bounds.maxLat = Math.max(bounds.maxLat, sample.lat);
+    bounds.minLon = Math.min(bounds.minLon, sample.lon);
+    bounds.maxLon = Math.max(bounds.maxLon, sample.lon);
+  });
+
+  return {
+    samples,
+    bounds,
+    length: tracks.reduce((total, track) => total + pathLengthMetres(track.points), 0),
+    grid: null
+  };
+}
+
+function boundsOverlap(a, b, marginDegrees) {
+  return a.minLat - marginDegrees <= b.maxLat && b.minLat - marginDegrees <= a.maxLat &&
+    a.minLon - marginDegrees <= b.maxLon && b.minLon - marginDegrees <= a.maxLon;
+}
+
+// Fraction of route a's length that lies within the tolerance of route b
+function sharedRatio(a, b, toleranceMetres) {
+  if (a.samples.length === 0) return 0;
+  const shared = a.samples.filter(sample => b.grid.hasPointWithin(sample.lat, sample.lon, toleranceMetres)).length;
+  return shared / a.samples.length;
+}
+
+// Find groups of routes that are copies of the same crossing. Only routes of
+// the same year are copies: the same line walked in another year is another
+// crossing, so those pairs are listed in crossYearMatches, as { index,
+// matchIndex, sharedRatio, lengthRatio }, and never grouped.
+// Matches chain (A matches B, B matches C, C doesn't match A), so each group is
+// built around the longest route left and only takes the routes that match it
+// directly. A route that matches a folded member of a group but not the route
+// kept is only listed in the group's flagged, in the same form as
+// crossYearMatches, and is never folded in.
+// Returns { groups: [{ keep: routeIndex, members: [{ index, sharedRatio, lengthRatio }], flagged }], crossYearMatches }
+export function findDuplicateGroups(routes, options = DEFAULT_DEDUPE_OPTIONS) {
+  const { toleranceMetres, minSharedRatio, minLengthRatio } = options;
+  const profiles = routes.map(route => createRouteProfile(route, toleranceMetres / 2));
+  const maxLat = Math.max(...profiles.map(profile => profile.bounds.maxLat).filter(Number.isFinite), 0);
+  const marginDegrees = toleranceMetres / METRES_PER_DEGREE_LATITUDE * 4;
+
+  profiles.forEach(profile => {
+    profile.grid = createPointGrid(profile.samples, toleranceMetres, maxLat);
+  });
+
+  // Matching pairs, as route index -> Map of matching route index -> { sharedRatio, lengthRatio }
+  const matches = routes.map(() => new Map());
+  const crossYearMatches = [];
+
+  for (let i = 0; i < profiles.length; i++) {
+    for (let j = i + 1; j < profiles.length; j++) {
+      const a = profiles[i];
+      const b = profiles[j];
+      if (a.samples.length === 0 || b.samples.length === 0) continue;
+      if (!boundsOverlap(a.bounds, b.bounds, marginDegrees)) continue;
+
+      const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+      const lengthRatio = shorter.length / longer.length;
+      if (lengthRatio < minLengthRatio) continue;
+
+      const ratio = sharedRatio(shorter, longer, toleranceMetres);
+      if (ratio < minSharedRatio) continue;
+      if ((routes[i].year ?? null) !== (routes[j].year ?? null)) {
+        crossYearMatches.push({ index: i, matchIndex: j, sharedRatio: ratio, lengthRatio });
+      } else {
+        matches[i].set(j, { sharedRatio: ratio, lengthRatio });
+        matches[j].set(i, { sharedRatio: ratio, lengthRatio });
+      }
+    }
+  }
+
+  // The longest copy is taken as the most complete one, so groups are built
+  // longest route first
+  const byLength = routes.map((_, index) => index)
+    .filter(index => matches[index].size > 0)
+    .sort((a, b) => profiles[b].length - profiles[a].length);
+  const groupOf = new Map();
+  const groups = [];
+
+  byLength.forEach(keep => {
+    if (groupOf.has(keep)) return;
+    const memberIndices = [...matches[keep].keys()].filter(index => !groupOf.has(index));
+    if (memberIndices.length === 0) return;
+
+    const group = {
+      keep,
+      members: memberIndices.map(index => ({
+        index,
+        sharedRatio: sharedRatio(profiles[index], profiles[keep], toleranceMetres),
+        lengthRatio: profiles[index].length / profiles[keep].length
+      })),
+      flagged: [],
+      grid: profiles[keep].grid
+    };
+    groupOf.set(keep, group);
+    memberIndices.forEach(index => groupOf.set(index, group));
+    groups.push(group);
+  });
+
+  // Routes left standing (kept, or in no group) that only match a group
+  // through one of its folded members
+  routes.forEach((_, index) => {
+    const ownGroup = groupOf.get(index);
+    if (ownGroup && ownGroup.keep !== index) return;
+    matches[index].forEach((match, matchIndex) => {
+      const group = groupOf.get(matchIndex);
+      if (group === ownGroup || group.keep === matchIndex) return;
+      if (!group.flagged.some(flagged => flagged.index === index)) {
+        group.flagged.push({ index, matchIndex, ...match });
+      }
+    });
+  });
+
+  return { groups, crossYearMatches };
+}
+
+// Stretches of a duplicate's tracks that the kept route does not walk, padded
+// with one point either side so they join back onto the kept route
+function uncoveredTracks(route, keptGrid, toleranceMetres) {
+  const tracks = [];
+
+  (route.tracks || []).forEach(track => {
+    const points = track.points;
+    const covered = points.map(point => keptGrid.hasPointWithin(point.lat, point.lon, toleranceMetres));
+    let start = -1;
+
+    for (let i = 0; i <= points.length; i++) {
+      if (i < points.length && !covered[i]) {
+        if (start === -1) start = i;
+        continue;
+      }
+      if (start !== -1) {
+        const stretch = points.slice(Math.max(0, start - 1), Math.min(points.length, i + 1));
+        if (stretch.length > 1) {
+          tracks.push({ ...track, name: `${track.name || route.name} (merged)`, points: stretch });
+        }
+        start = -1;
+      }
+    }
+  });
+
+  return tracks;
+}
+
+// Apply the dedupe policy to the parsed routes.
+// Returns the routes to use for the heatmap plus a report of what was folded together.
+export function dedupeRoutes(routes, options = DEFAULT_DEDUPE_OPTIONS) {
+  const { policy, toleranceMetres } = options;
+  if (!DEDUPE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown dedupe policy "${policy}", expected one of ${DEDUPE_POLICIES.join(', ')}`);
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    ...options,
+    totalRoutes: routes.length,
+    groups: [],
+    crossYearMatches: []
+  };
+
+  if (policy === 'off') {
+    return { routes, report };
+  }
+
+  const { groups, crossYearMatches } = findDuplicateGroups(routes, options);
+  const removed = new Set();
+  const replaced = new Map();
+
+  groups.forEach(group => {
+    const kept = routes[group.keep];
+    const entry = {
+      kept: kept.filename,
+      action: policy,
+      folded: group.members.map(member => ({
+        filename: routes[member.index].filename,
+        sharedRatio: Number(member.sharedRatio.toFixed(3)),
+        lengthRatio: Number(member.lengthRatio.toFixed(3))
+      })),
+      // Matches of a folded route only, so kept whatever the policy
+      flagged: group.flagged.map(flagged => ({
+        filename: routes[flagged.index].filename,
+        matches: routes[flagged.matchIndex].filename,
+        sharedRatio: Number(flagged.sharedRatio.toFixed(3)),
+        lengthRatio: Number(flagged.lengthRatio.toFixed(3))
+      }))
+    };
+
+    if (policy === 'flag') {
+      group.members.forEach(member => {
+        replaced.set(member.index, { ...routes[member.index], duplicateOf: kept.filename });
+      });
+    } else {
+      group.members.forEach(member => removed.add(member.index));
+    }
+
+    if (policy === 'merge') {
+      const extraTracks = group.members.flatMap(member => uncoveredTracks(routes[member.index], group.grid, toleranceMetres));
+      replaced.set(group.keep, {
+        ...(replaced.get(group.keep) || kept),
+        tracks: [...(kept.tracks || []), ...extraTracks],
+        mergedFiles: group.members.map(member => routes[member.index].filename)
+      });
+      entry.addedTracks = extraTracks.length;
+    }
+
+    group.flagged.forEach(flagged => {
+      const route = replaced.get(flagged.index) || routes[flagged.index];
+      replaced.set(flagged.index, { ...route, duplicateOf: routes[flagged.matchIndex].filename });
+    });
+
+    report.groups.push(entry);
+  });
+
+  // Kept whatever the policy, as each walk counts in its own year
+  report.crossYearMatches = crossYearMatches.map(match => ({
+    filename: routes[match.index].filename,
+    year: routes[match.index].year ?? null,
+    matches: routes[match.matchIndex].filename,
+    matchYear: routes[match.matchIndex].year ?? null,
+    sharedRatio: Number(match.sharedRatio.toFixed(3)),
+    lengthRatio: Number(match.lengthRatio.toFixed(3))
+  }));
+
+  const dedupedRoutes = routes
+    .map((route, index) => replaced.get(index) || route)
+    .filter((_, index) => !removed.has(index));
+
+  report.keptRoutes = dedupedRoutes.length;
+  return { routes: dedupedRoutes, report };
+}
+
+export function writeDedupeReport(reportPath, report) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+}
@@ -4,38 +4,159 @@ import fs from 'fs';
 import { promises as fsPromises } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import gpxParser from 'gpxparser';
+import { isRouteFile, parseRouteFile } from '../src/formats/index.js';
+import { DEFAULT_DEDUPE_OPTIONS, dedupeRoutes, writeDedupeReport } from './dedupeRoutes.js';
+import { DEFAULT_RADIUS_METRES } from '../src/corridorDensity.js';
+import { DEFAULT_DENSITY_CAP, DEFAULT_DENSITY_STRATEGY, DENSITY_STRATEGIES, createDensityEngine, isDensityStrategy } from '../src/densityStrategies.js';
+import { DEFAULT_TILE_OPTIONS, writeTilePyramid } from './writeTilePyramid.js';
+import { BINARY_FORMAT_VERSION, COORDINATE_SCALE, encodeHeatmapBinary } from '../src/heatmapBinaryFormat.js';
+import { simplifyLine } from '../src/simplify.js';
+import { elevationProfile } from '../src/elevation.js';
+import { summariseRouteCollection } from '../src/routeStatistics.js';
+import { DEFAULT_ENDPOINT_OPTIONS, clusterRouteEndpoints, routeEndpoints } from './clusterRouteEndpoints.js';
+import { USAGE, createFileFilter, parseGeneratorArgs } from './generatorCli.js';
+import { createRouteCache, restoreRouteCacheEntry, routeCacheEntry } from './routeCache.js';
+import { DEFAULT_VALIDATION_OPTIONS, isPlaceholderTime, readValidationAllowlist, validateRoutes, writeValidationReport } from './validateRoutes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const routesDir = path.join(__dirname, '../routes');
-const outputFile = path.join(__dirname, '../public/heatmap-data.json');
+const DEFAULT_ROUTES_DIR = path.join(__dirname, '../routes');
+const defaultOutputFiles = {
+  binary: path.join(__dirname, '../public/heatmap-data.bin'),
+  json: path.join(__dirname, '../public/heatmap-data.json')
+};
+const dedupeReportFile = path.join(__dirname, '../reports/dedupe-report.json');
+const validationReportFile = path.join(__dirname, '../reports/validation-report.json');
+const tilesDir = path.join(__dirname, '../public/tiles');
 
-// Function to parse a single GPX file asynchronously
-async function parseGPXFile(filename, routesDir) {
+// Version of the compact format written by this script. Version 2 adds a route
+// table and a route index per segment, version 3 a detail level per segment and
+// version 4 the elevation of both ends; readers treat a missing version as 1.
+const COMPACT_FORMAT_VERSION = 4;
+
+// Simplified copies of every route, each drawn over its own zoom range (maxZoom
+// exclusive, as in Mapbox layers). Level 0 keeps every trackpoint and is the one
+// the map processes and queries; the coarser levels only stand in for it when
+// zoomed out, where their dropped points would be well under a pixel apart.
+const DEFAULT_DETAIL_LEVELS = [
+  { toleranceMetres: 0, minZoom: 11 },
+  { toleranceMetres: 20, minZoom: 8, maxZoom: 11 },
+  { toleranceMetres: 120, maxZoom: 8 }
+];
+
+// Decimal places kept in JSON coordinates; 4 is ~10m. The binary format always
+// uses COORDINATE_SCALE.
+const DEFAULT_JSON_PRECISION = 4;
+
+// Route files read at once
+const DEFAULT_CONCURRENCY = 40;
+
+// How long the routes folder must be quiet in --watch mode before regenerating,
+// so copying in a batch of files triggers one run
+const WATCH_DEBOUNCE_MS = 500;
+
+// Pull the Challenge year out of a route filename, e.g. "tgo2009.gpx" or "TGO24 .gpx"
+function extractYearFromFilename(filename) {
+  const match = filename.match(/(?:^|[^0-9])((?:19|20)\d{2})(?![0-9])/);
+  if (match) return parseInt(match[1], 10);
+  
+  // Two digit editions are only trusted directly after the TGO prefix ("TGO 23", "TGO19")
+  const shortMatch = filename.match(/tgo[\s_-]*(\d{2})(?![0-9])/i);
+  return shortMatch ? 2000 + parseInt(shortMatch[1], 10) : null;
+}
+
+// Year of the first real timestamp found in the tracks
+function extractYearFromTrackTimes(tracks) {
+  for (const track of tracks || []) {
+    const firstTimed = track.points.find(point => point.time instanceof Date && !isNaN(point.time));
+    if (firstTimed) {
+      return isPlaceholderTime(firstTimed.time) ? null : firstTimed.time.getUTCFullYear();
+    }
+  }
+  return null;
+}
+
+// Work out which Challenge a route belongs to. The filename wins because
+// exported timestamps are often the export date rather than the walk date.
+function detectRouteYear(route, filename) {
+  const filenameYear = extractYearFromFilename(filename);
+  if (filenameYear) return { year: filenameYear, source: 'filename' };
+  
+  const trackYear = extractYearFromTrackTimes(route.tracks);
+  if (trackYear) return { year: trackYear, source: 'tracks' };
+  
+  const metadataTime = route.time ? new Date(route.time) : null;
+  if (metadataTime && !isNaN(metadataTime) && !isPlaceholderTime(metadataTime)) {
+    return { year: metadataTime.getUTCFullYear(), source: 'metadata' };
+  }
+  
+  return { year: null, source: null };
+}
+
+// Parse a route file's bytes, cleaning the tracks when clean holds cleaning
+// options, or take the result from the route cache when neither the file nor
+// the options have changed. Resolves with { route, simplified }, simplified
+// holding each track's coordinates simplified to each of tolerances. A parse
+// error is cached too, and thrown.
+async function parseRouteBytes(bytes, filename, routeCache, tolerances, clean) {
+  const key = routeCache && routeCache.key(filename, bytes, JSON.stringify(clean || null));
+  const cached = routeCache && await routeCache.get(key);
+  if (cached) {
+    if (cached.error) throw new Error(cached.error);
+    return restoreRouteCacheEntry(cached, filename);
+  }
+  
+  let route;
   try {
-    const gpxPath = path.join(routesDir, filename);
-    const gpxText = await fsPromises.readFile(gpxPath, 'utf8');
-    
-    const gpx = new gpxParser();
-    gpx.parse(gpxText);
+    route = parseRouteFile(bytes, filename, { clean });
+  } catch (error) {
+    if (routeCache) await routeCache.set(key, { error: error.message });
+    throw error;
+  }
+  const simplified = (route.tracks || []).map(track => Object.fromEntries(
+    tolerances.map(tolerance => [tolerance, simplifyLine(trackCoordinates(track), tolerance)])
+  ));
+  if (routeCache) await routeCache.set(key, routeCacheEntry(route, simplified));
+  return { route, simplified };
+}
+
+// Parse a single route file of any supported format. Resolves with
+// { route } or, when the file can't be read, { error }. The simplified copies
+// of the route's tracks are added to simplifiedTracks, keyed by track.
+async function parseRouteFileAt(filename, routesDir, { routeCache, tolerances = [], simplifiedTracks, clean } = {}) {
+  try {
+    const bytes = await fsPromises.readFile(path.join(routesDir, filename));
+    const { route, simplified } = await parseRouteBytes(bytes, filename, routeCache, tolerances, clean);
+    if (simplifiedTracks) {
+      route.tracks.forEach((track, index) => simplifiedTracks.set(track, simplified[index]));
+    }
+    const { year, source: yearSource } = detectRouteYear(route, filename);
     
     return {
-      filename: filename,
-      name: gpx.metadata?.name || filename.replace('.gpx', ''),
-      description: gpx.metadata?.desc || '',
-      tracks: gpx.tracks,
-      waypoints: gpx.waypoints || []
+      route: {
+        filename: route.filename,
+        name: route.name,
+        description: route.description,
+        format: route.format,
+        year: year,
+        yearSource: yearSource,
+        tracks: route.tracks,
+        waypoints: route.waypoints,
+        ...(route.cleaning && { cleaning: route.cleaning }),
+        // Taken before duplicate merging appends other copies' stretches to the tracks
+        ...routeEndpoints(route)
+      }
     };
   } catch (error) {
-    console.error(`Error parsing GPX file ${filename}:`, error);
-    return null;
+    return { error: { filename, message: error.message } };
   }
 }
 
-// Function to process files in parallel with concurrency limit
-async function processFilesInParallel(files, routesDir, concurrency = 10) {
+// Function to process files in parallel with concurrency limit.
+// Resolves with { routes, errors }, errors being { filename, message } per unreadable file.
+// parseOptions are passed on to parseRouteFileAt.
+async function processFilesInParallel(files, routesDir, concurrency = 10, parseOptions = {}) {
   const results = [];
   let completed = 0;
   
@@ -47,11 +168,11 @@ async function processFilesInParallel(files, routesDir, concurrency = 10) {
     
     // Process chunk in parallel
     const chunkPromises = chunk.map(async (filename) => {
-      const result = await parseGPXFile(filename, routesDir);
+      const result = await parseRouteFileAt(filename, routesDir, parseOptions);
       completed++;
       
       if (completed % 10 === 0 || completed === files.length) {
-        console.log(`Processed ${completed}/${files.length} GPX files`);
+        console.log(`Processed ${completed}/${files.length} route files`);
       }
       
       return result;
@@ -62,114 +183,173 @@ async function processFilesInParallel(files, routesDir, concurrency = 10) {
     results.push(...chunkResults);
   }
   
-  return results.filter(result => result !== null);
+  return {
+    routes: results.filter(result => result.route).map(result => result.route),
+    errors: results.filter(result => result.error).map(result => result.error)
+  };
 }
 
-// Optimized data structure - use arrays instead of objects for coordinates
-function convertRoutesToCompactHeatmapData(routes) {
-  const segmentDensity = new Map(); // Use Map for better performance
-  const features = [];
-  
-  console.log('Converting routes to compact heatmap data...');
-  
-  // Count total segments for progress tracking
-  let totalSegments = 0;
-  routes.forEach((route) => {
+// Elevation rides along as a third coordinate when the track has it
+function trackCoordinates(track) {
+  return track.points.map(point => (
+    Number.isFinite(point.ele) ? [point.lon, point.lat, point.ele] : [point.lon, point.lat]
+  ));
+}
+
+// One polyline per track, tagged with the index of its route. coordinatesOf
+// gives the coordinates of a track, by default all of its points.
+function createRouteLines(routes, coordinatesOf = trackCoordinates) {
+  const lines = [];
+  routes.forEach((route, routeIndex) => {
     if (route?.tracks) {
       route.tracks.forEach((track) => {
-        totalSegments += Math.max(0, track.points.length - 1);
+        lines.push({
+          routeId: routeIndex,
+          coordinates: coordinatesOf(track)
+        });
       });
     }
   });
+  return lines;
+}
+
+// Work out the density of every segment and keep it alongside each track's polyline.
+// Each detail level simplifies the tracks first and recomputes density on the
+// simplified lines, so a level's intensities match the geometry it draws.
+// simplifiedTracks holds simplified copies already made, e.g. from the route
+// cache, as track -> { [toleranceMetres]: coordinates }. density is
+// { strategy, radiusMetres } for createDensityEngine.
+function convertRoutesToHeatmapPolylines(routes, density = {}, levels = DEFAULT_DETAIL_LEVELS, intensityCap = DEFAULT_DENSITY_CAP, simplifiedTracks = new WeakMap()) {
+  const polylines = [];
   
+  console.log('Converting routes to heatmap data...');
+  
+  levels.forEach((level, levelIndex) => {
+    const lines = createRouteLines(routes, track => (
+      simplifiedTracks.get(track)?.[level.toleranceMetres] || simplifyLine(trackCoordinates(track), level.toleranceMetres)
+    ));
+    console.log(`Detail level ${levelIndex} (${level.toleranceMetres}m tolerance):`);
+    polylines.push(...convertLinesToHeatmapPolylines(lines, density, intensityCap).map(polyline => ({ ...polyline, level: levelIndex })));
+  });
+  
+  return polylines;
+}
+
+// Density of every segment of [{ routeId, coordinates }] lines, with the
+// intensity capped at intensityCap routes
+function convertLinesToHeatmapPolylines(lines, { strategy = DEFAULT_DENSITY_STRATEGY, radiusMetres = DEFAULT_RADIUS_METRES }, intensityCap) {
+  const polylines = [];
+  
+  // Count total segments for progress tracking
+  const totalSegments = lines.reduce((total, line) => total + Math.max(0, line.coordinates.length - 1), 0);
   let processedSegments = 0;
   
-  // First pass: collect all line segments and count density
+  // First pass: index every track with the density strategy
   console.log(`Processing ${totalSegments} segments...`);
   
-  routes.forEach((route, routeIndex) => {
-    if (route?.tracks) {
-      route.tracks.forEach((track) => {
-        for (let i = 0; i < track.points.length - 1; i++) {
-          const point1 = track.points[i];
-          const point2 = track.points[i + 1];
-          
-          // Reduce coordinate precision to save space (4 decimal places = ~10m precision)
-          const lat1 = Math.round(point1.lat * 10000) / 10000;
-          const lon1 = Math.round(point1.lon * 10000) / 10000;
-          const lat2 = Math.round(point2.lat * 10000) / 10000;
-          const lon2 = Math.round(point2.lon * 10000) / 10000;
-          
-          const key = lat1 < lat2 || (lat1 === lat2 && lon1 < lon2) 
-            ? `${lat1},${lon1}-${lat2},${lon2}`
-            : `${lat2},${lon2}-${lat1},${lon1}`;
-          
-          segmentDensity.set(key, (segmentDensity.get(key) || 0) + 1);
-          
-          processedSegments++;
-          if (processedSegments % 5000 === 0) {
-            console.log(`Analyzed ${processedSegments}/${totalSegments} segments`);
-          }
-        }
-      });
+  const densityEngine = createDensityEngine(lines, { strategy, radiusMetres });
+  const strategyName = DENSITY_STRATEGIES.find(candidate => candidate.id === strategy).name;
+  console.log(`Indexed routes for "${strategyName}" density with a ${radiusMetres}m radius`);
+  
+  console.log('Calculating segment density...');
+  
+  // Second pass: density for each segment of each track
+  lines.forEach((line) => {
+    if (line.coordinates.length < 2) return;
+    
+    const intensities = [];
+    const densities = [];
+    for (let i = 0; i < line.coordinates.length - 1; i++) {
+      const density = densityEngine.segmentDensity(line.coordinates[i], line.coordinates[i + 1], line.routeId);
+      densities.push(density);
+      intensities.push(Math.min(density, intensityCap));
+      
+      processedSegments++;
+      if (processedSegments % 5000 === 0) {
+        console.log(`Created ${processedSegments}/${totalSegments} features`);
+      }
     }
+    
+    polylines.push({ routeIndex: line.routeId, coordinates: line.coordinates, intensities, densities });
   });
   
-  processedSegments = 0;
-  console.log('Creating compact heatmap features...');
+  console.log(`Generated ${processedSegments} heatmap segments in ${polylines.length} polylines`);
+  return polylines;
+}
+
+// Optimized data structure - use arrays instead of objects for coordinates
+function convertPolylinesToCompactFeatures(polylines, precision = DEFAULT_JSON_PRECISION) {
+  const features = [];
+  const scale = 10 ** precision;
   
-  // Second pass: create compact line features
-  routes.forEach((route, routeIndex) => {
-    if (route?.tracks) {
-      route.tracks.forEach((track, trackIndex) => {
-        for (let i = 0; i < track.points.length - 1; i++) {
-          const point1 = track.points[i];
-          const point2 = track.points[i + 1];
-          
-          // Calculate density for this segment with reduced precision
-          const lat1 = Math.round(point1.lat * 10000) / 10000;
-          const lon1 = Math.round(point1.lon * 10000) / 10000;
-          const lat2 = Math.round(point2.lat * 10000) / 10000;
-          const lon2 = Math.round(point2.lon * 10000) / 10000;
-          
-          const key = lat1 < lat2 || (lat1 === lat2 && lon1 < lon2) 
-            ? `${lat1},${lon1}-${lat2},${lon2}`
-            : `${lat2},${lon2}-${lat1},${lon1}`;
-          
-          const density = segmentDensity.get(key) || 1;
-          
-          // Ultra-compact feature format - single flat array
-          features.push([
-            lon1, lat1, lon2, lat2, // coordinates
-            Math.min(density, 10) // intensity only (remove redundant IDs)
-          ]);
-          
-          processedSegments++;
-          if (processedSegments % 5000 === 0) {
-            console.log(`Created ${processedSegments}/${totalSegments} features`);
-          }
-        }
-      });
+  polylines.forEach(({ routeIndex, level, coordinates, intensities }) => {
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      // Reduce coordinate precision to save space
+      const lon1 = Math.round(coordinates[i][0] * scale) / scale;
+      const lat1 = Math.round(coordinates[i][1] * scale) / scale;
+      const lon2 = Math.round(coordinates[i + 1][0] * scale) / scale;
+      const lat2 = Math.round(coordinates[i + 1][1] * scale) / scale;
+      const ele1 = Number.isFinite(coordinates[i][2]) ? Math.round(coordinates[i][2] * 10) / 10 : null;
+      const ele2 = Number.isFinite(coordinates[i + 1][2]) ? Math.round(coordinates[i + 1][2] * 10) / 10 : null;
+      
+      // Ultra-compact feature format - single flat array
+      features.push([
+        lon1, lat1, lon2, lat2, // coordinates
+        intensities[i], // intensity
+        routeIndex, // index into the route table
+        level, // index into the detail levels
+        ele1, ele2 // elevation in metres, null when unknown
+      ]);
     }
   });
   
-  console.log(`Generated ${features.length} compact heatmap features`);
   return features;
 }
 
+// Build the route table referenced by the route index of each compact feature
+function createRouteTable(routes) {
+  return routes.map(route => {
+    const profile = elevationProfile(createRouteLines([route]).map(line => line.coordinates));
+    return {
+      name: route.name,
+      filename: route.filename,
+      year: route.year ?? null,
+      trackCount: route.tracks?.length || 0,
+      pointCount: (route.tracks || []).reduce((total, track) => total + track.points.length, 0),
+      lengthMetres: Math.round(profile.lengthMetres),
+      ascentMetres: profile.hasElevation ? Math.round(profile.ascentMetres) : null,
+      descentMetres: profile.hasElevation ? Math.round(profile.descentMetres) : null,
+      ...(route.mergedFiles && { mergedFiles: route.mergedFiles }),
+      ...(route.duplicateOf && { duplicateOf: route.duplicateOf })
+    };
+  });
+}
+
 // Stream large JSON to file to avoid memory issues
-function writeCompactJSON(outputPath, metadata, features) {
+function writeCompactJSON(outputPath, metadata, routeTable, levels, features) {
   console.log('Writing compact JSON file...');
   
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
   const writeStream = fs.createWriteStream(outputPath);
+  const finished = new Promise((resolve, reject) => {
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+  });
   
   // Write header
   writeStream.write('{\n');
   writeStream.write(`  "metadata": ${JSON.stringify(metadata, null, 2)},\n`);
   writeStream.write('  "format": {\n');
-  writeStream.write('    "description": "Ultra-compact format: [lon1, lat1, lon2, lat2, intensity]",\n');
-  writeStream.write('    "structure": "Each feature is [longitude1, latitude1, longitude2, latitude2, intensity]"\n');
+  writeStream.write(`    "version": ${COMPACT_FORMAT_VERSION},\n`);
+  writeStream.write('    "description": "Ultra-compact format: [lon1, lat1, lon2, lat2, intensity, routeIndex, level, ele1, ele2]",\n');
+  writeStream.write('    "structure": "Each feature is [longitude1, latitude1, longitude2, latitude2, intensity, index into routes, index into levels, elevation1, elevation2]"\n');
   writeStream.write('  },\n');
+  writeStream.write('  "routes": [\n');
+  routeTable.forEach((route, index) => {
+    writeStream.write(`    ${JSON.stringify(route)}${index === routeTable.length - 1 ? '' : ','}\n`);
+  });
+  writeStream.write('  ],\n');
+  writeStream.write(`  "levels": ${JSON.stringify(levels)},\n`);
   writeStream.write('  "features": [\n');
   
   // Write features in chunks
@@ -194,57 +374,232 @@ function writeCompactJSON(outputPath, metadata, features) {
   writeStream.write('}\n');
   writeStream.end();
   
-  console.log('Compact JSON file written successfully');
+  return finished.then(() => {
+    console.log('Compact JSON file written successfully');
+  });
+}
+
+// Write the binary format: delta-encoded polylines instead of separate segments
+async function writeCompactBinary(outputPath, metadata, routeTable, levels, polylines) {
+  console.log('Writing binary heatmap file...');
+  
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  const bytes = encodeHeatmapBinary({ metadata, routes: routeTable, levels, polylines });
+  await fsPromises.writeFile(outputPath, bytes);
+  
+  console.log('Binary heatmap file written successfully');
 }
 
-// Main function
-async function generateHeatmapData() {
+// Main function. Options default to the values in the USAGE text of
+// generatorCli.js. Throws when the data can't be generated.
+async function generateHeatmapData(options = {}) {
+  const dedupeOptions = { ...DEFAULT_DEDUPE_OPTIONS, ...options.dedupe };
+  const endpointOptions = { ...DEFAULT_ENDPOINT_OPTIONS, ...options.endpoints };
+  const format = options.format || 'binary'; // 'binary' or 'json'
+  const detailLevels = options.levels || DEFAULT_DETAIL_LEVELS;
+  const routesDir = options.routesDir || DEFAULT_ROUTES_DIR;
+  // Findings checked by hand are listed in the routes folder's allowlist
+  const validationOptions = { ...DEFAULT_VALIDATION_OPTIONS, allowed: readValidationAllowlist(routesDir), ...options.validation };
+  const precision = options.precision ?? DEFAULT_JSON_PRECISION;
+  const intensityCap = options.intensityCap ?? DEFAULT_DENSITY_CAP;
+  const densityStrategy = options.densityStrategy || DEFAULT_DENSITY_STRATEGY;
+  const radiusMetres = options.radiusMetres ?? DEFAULT_RADIUS_METRES;
+  // The tiles count density the same way as the data file
+  const tileOptions = options.tiles
+    ? { ...DEFAULT_TILE_OPTIONS, strategy: densityStrategy, radiusMetres, intensityCap, ...options.tiles }
+    : null;
+  const concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+  const isSelectedFile = createFileFilter(options);
+  // Entries of files outside --include/--exclude or from other folders are still
+  // current, so stale entries are only pruned after reading all of routes/
+  const prunesCache = !options.include && !options.exclude && !options.routesDir;
+  if (!defaultOutputFiles[format]) {
+    throw new Error(`Unknown output format "${format}", expected one of ${Object.keys(defaultOutputFiles).join(', ')}`);
+  }
+  if (!isDensityStrategy(densityStrategy)) {
+    throw new Error(`Unknown density strategy "${densityStrategy}", expected one of ${DENSITY_STRATEGIES.map(strategy => strategy.id).join(', ')}`);
+  }
+  const outputFile = options.outputFile || defaultOutputFiles[format];
+  
   try {
-    console.log('Starting GPX processing...');
+    console.log('Starting route processing...');
     
-    // Read all GPX files from routes directory
-    const files = fs.readdirSync(routesDir).filter(file => file.endsWith('.gpx'));
+    // Read every route file of a supported format from the routes directory,
+    // less any left out by --include and --exclude
+    const routeFiles = fs.readdirSync(routesDir).filter(isRouteFile);
+    const files = routeFiles.filter(isSelectedFile);
 
-    console.log(`Found ${files.length} GPX files`);
+    console.log(files.length === routeFiles.length
+      ? `Found ${files.length} route files`
+      : `Found ${routeFiles.length} route files, using the ${files.length} selected`);
+    if (files.length === 0 && routeFiles.length > 0) {
+      throw new Error('No route files match the --include and --exclude globs');
+    }
     
-    // Process files in parallel with timing
+    // Process files in parallel with timing. Unchanged files come from the
+    // route cache, which --no-cache skips (while still refreshing it).
     const startTime = Date.now();
-    const routes = await processFilesInParallel(files, routesDir, 40); // Increase concurrency for better performance
+    const routeCache = createRouteCache({ read: options.cache !== false });
+    const simplifiedTracks = new WeakMap();
+    const { routes: parsedRoutes, errors: parseErrors } = await processFilesInParallel(files, routesDir, concurrency, {
+      routeCache,
+      tolerances: detailLevels.map(level => level.toleranceMetres).filter(tolerance => tolerance > 0),
+      simplifiedTracks,
+      clean: options.clean
+    });
+    const prunedEntries = prunesCache ? routeCache.prune() : 0;
     const loadTime = Date.now() - startTime;
     
-    console.log(`Successfully parsed ${routes.length} routes in ${(loadTime / 1000).toFixed(2)}s`);
+    console.log(`Successfully parsed ${parsedRoutes.length} routes in ${(loadTime / 1000).toFixed(2)}s`);
+    console.log(`Route cache: ${routeCache.stats.hits} hits, ${routeCache.stats.misses} misses` +
+      `${options.cache === false ? ' (--no-cache)' : ''}${prunedEntries > 0 ? `, ${prunedEntries} stale entries removed` : ''}`);
+    if (options.clean) {
+      const total = (key) => parsedRoutes.reduce((sum, route) => sum + (route.cleaning?.[key] || 0), 0);
+      const stages = Object.keys(options.clean).filter(stage => options.clean[stage].enabled);
+      console.log(`Track cleaning (${stages.join(', ') || 'no stages'}): ${total('pointsBefore')} -> ${total('pointsAfter')} points, ` +
+        `${total('tracksBefore')} -> ${total('tracksAfter')} tracks`);
+    }
+    if (parseErrors.length > 0) {
+      console.warn(`Skipped ${parseErrors.length} files that could not be parsed:`);
+      parseErrors.forEach(({ message }) => console.warn(`- ${message}`));
+    }
     
-    // Convert to compact heatmap data with timing
+    const undatedRoutes = parsedRoutes.filter(route => !route.year);
+    if (undatedRoutes.length > 0) {
+      console.warn(`Could not work out the year of: ${undatedRoutes.map(route => route.filename).join(', ')}`);
+    }
+    
+    // Check every file against the validation rules; in strict mode errors stop the build
+    const validationReport = validateRoutes(parsedRoutes, parseErrors, validationOptions);
+    writeValidationReport(validationReportFile, validationReport);
+    console.log(`Validation: ${validationReport.errorCount} errors, ${validationReport.warningCount} warnings, ` +
+      `report saved to ${validationReportFile} (summary in validation-report.md)`);
+    validationReport.files.forEach(file => {
+      const rules = [...new Set(file.findings.map(finding => finding.rule))].join(', ');
+      const errors = file.findings.filter(finding => finding.severity === 'error').length;
+      const warnings = file.findings.length - errors;
+      const log = errors > 0 ? console.warn : console.log;
+      log(`- ${file.filename}: ${errors} errors, ${warnings} warnings (${rules})`);
+    });
+    if (options.strict && validationReport.errorCount > 0) {
+      throw new Error(`Validation found ${validationReport.errorCount} errors in strict mode, see ${validationReportFile.replace(/\.json$/, '.md')}`);
+    }
+    
+    // Fold copies of the same crossing together so they don't inflate density
+    const dedupeStartTime = Date.now();
+    const { routes, report: dedupeReport } = dedupeRoutes(parsedRoutes, dedupeOptions);
+    const dedupeTime = Date.now() - dedupeStartTime;
+    
+    writeDedupeReport(dedupeReportFile, dedupeReport);
+    dedupeReport.groups.forEach(group => {
+      console.log(`Duplicate (${group.action}): ${group.kept} <- ${group.folded.map(folded => folded.filename).join(', ')}`);
+      group.flagged.forEach(flagged => {
+        console.log(`Possible duplicate (flag): ${flagged.filename} matches ${flagged.matches}, which was folded into ${group.kept}`);
+      });
+    });
+    dedupeReport.crossYearMatches.forEach(match => {
+      console.log(`Same route in another year (kept): ${match.filename} (${match.year ?? 'undated'}) matches ${match.matches} (${match.matchYear ?? 'undated'})`);
+    });
+    console.log(`Found ${dedupeReport.groups.length} duplicate groups, report saved to ${dedupeReportFile}`);
+    
+    // Where the crossings start and finish, for the map's start and finish markers
+    const endpoints = clusterRouteEndpoints(routes, endpointOptions);
+    
+    // Convert to heatmap data with timing
     const conversionStartTime = Date.now();
-    const compactFeatures = convertRoutesToCompactHeatmapData(routes);
+    const polylines = convertRoutesToHeatmapPolylines(routes, { strategy: densityStrategy, radiusMetres }, detailLevels, intensityCap, simplifiedTracks);
+    const levels = detailLevels.map((level, levelIndex) => ({
+      ...level,
+      featureCount: polylines
+        .filter(polyline => polyline.level === levelIndex)
+        .reduce((total, polyline) => total + polyline.intensities.length, 0)
+    }));
+    const totalFeatures = levels[0].featureCount;
+    
+    // Collection statistics from the full detail lines, for the app's statistics panel
+    const statistics = summariseRouteCollection(polylines
+      .filter(polyline => polyline.level === 0)
+      .map(polyline => ({ routeId: polyline.routeIndex, coordinates: polyline.coordinates, densities: polyline.densities })));
     const conversionTime = Date.now() - conversionStartTime;
     
     // Create metadata
     const metadata = {
       generatedAt: new Date().toISOString(),
       totalRoutes: routes.length,
-      totalFeatures: compactFeatures.length,
+      totalFeatures: totalFeatures,
       routeNames: routes.map(r => r.name),
-      format: 'compact',
-      coordinatePrecision: 4
+      format: format === 'binary' ? 'binary' : 'compact',
+      formatVersion: format === 'binary' ? BINARY_FORMAT_VERSION : COMPACT_FORMAT_VERSION,
+      coordinatePrecision: format === 'binary' ? Math.log10(COORDINATE_SCALE) : precision,
+      densityRadiusMetres: radiusMetres,
+      densityStrategy,
+      statistics: {
+        walkedMetres: Math.round(statistics.walkedMetres),
+        distinctMetres: Math.round(statistics.distinctMetres),
+        sharedStretches: statistics.sharedStretches.map(stretch => ({
+          ...stretch,
+          lengthMetres: Math.round(stretch.lengthMetres),
+          density: Math.round(stretch.density * 10) / 10
+        }))
+      },
+      endpoints: endpoints
     };
     
-    // Write compact JSON using streaming with timing
+    // Write the chosen format with timing
     const writeStartTime = Date.now();
-    writeCompactJSON(outputFile, metadata, compactFeatures);
+    if (format === 'binary') {
+      await writeCompactBinary(outputFile, metadata, createRouteTable(routes), levels, polylines);
+    } else {
+      await writeCompactJSON(outputFile, metadata, createRouteTable(routes), levels, convertPolylinesToCompactFeatures(polylines, precision));
+    }
+    // The loader prefers the binary file and draws any tiles first, so never
+    // leave a stale data file from a previous format, or tiles from a previous run, behind
+    if (!options.outputFile) {
+      Object.values(defaultOutputFiles)
+        .filter(file => file !== outputFile)
+        .forEach(file => fs.rmSync(file, { force: true }));
+      if (!tileOptions) {
+        fs.rmSync(tilesDir, { recursive: true, force: true });
+      }
+    }
     const writeTime = Date.now() - writeStartTime;
     
+    // Optional vector tile pyramid so the map can draw before the full data arrives
+    let tileTime = 0;
+    if (tileOptions) {
+      console.log('Writing vector tile pyramid...');
+      const tileStartTime = Date.now();
+      const { tileCount } = writeTilePyramid(tilesDir, createRouteLines(routes), metadata, tileOptions);
+      tileTime = Date.now() - tileStartTime;
+      console.log(tileCount > 0 ? `Wrote ${tileCount} tiles to ${tilesDir}` : 'No routes to draw, so no tiles were written');
+    }
+    
     const totalTime = Date.now() - startTime;
     
     console.log(`Generated compact heatmap data saved to ${outputFile}`);
     console.log(`\nPerformance Summary:`);
-    console.log(`- File loading: ${(loadTime / 1000).toFixed(2)}s`);
+    console.log(`- File loading: ${(loadTime / 1000).toFixed(2)}s (${routeCache.stats.hits} cached, ${routeCache.stats.misses} parsed)`);
+    console.log(`- Duplicate detection: ${(dedupeTime / 1000).toFixed(2)}s`);
     console.log(`- Data conversion: ${(conversionTime / 1000).toFixed(2)}s`);
     console.log(`- File writing: ${(writeTime / 1000).toFixed(2)}s`);
+    if (tileOptions) {
+      console.log(`- Tile pyramid: ${(tileTime / 1000).toFixed(2)}s`);
+    }
     console.log(`- Total time: ${(totalTime / 1000).toFixed(2)}s`);
     console.log(`\nData Summary:`);
-    console.log(`- Total routes: ${routes.length}`);
-    console.log(`- Total features: ${compactFeatures.length}`);
+    console.log(`- Total routes: ${routes.length} (${parsedRoutes.length} files)`);
+    console.log(`- Total features: ${totalFeatures}`);
+    levels.slice(1).forEach(level => {
+      console.log(`- Features below zoom ${level.maxZoom} (${level.toleranceMetres}m tolerance): ${level.featureCount}`);
+    });
+    console.log(`- Walked: ${(statistics.walkedMetres / 1000).toFixed(0)}km, distinct ground: ${(statistics.distinctMetres / 1000).toFixed(0)}km`);
+    statistics.sharedStretches.slice(0, 5).forEach((stretch, index) => {
+      console.log(`- Shared stretch ${index + 1}: ${(stretch.lengthMetres / 1000).toFixed(1)}km with ${stretch.density.toFixed(1)} routes on average, on ${routes[stretch.routeId].name}`);
+    });
+    
+    const describeClusters = (clusters) => clusters.map(cluster => `${cluster.name} (${cluster.routeIds.length})`).join(', ');
+    console.log(`- Starts: ${describeClusters(endpoints.starts)}`);
+    console.log(`- Finishes: ${describeClusters(endpoints.finishes)}`);
     
     // Calculate file size
     const stats = fs.statSync(outputFile);
@@ -252,13 +607,69 @@ async function generateHeatmapData() {
     
   } catch (error) {
     console.error('Error generating heatmap data:', error);
-    process.exit(1);
+    throw error;
   }
 }
 
+// Generate now, then again whenever a selected route file in the routes folder
+// is added, changed or removed. A change during a run queues one more run. The
+// Vite dev server reloads the page when the data file changes (see
+// heatmapReloadPlugin.js).
+function watchRoutes(options) {
+  const routesDir = options.routesDir || DEFAULT_ROUTES_DIR;
+  const isSelectedFile = createFileFilter(options);
+  let running = false;
+  let pending = false;
+  let timer = null;
+  
+  const run = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await generateHeatmapData(options);
+    } catch {
+      // Already reported; keep watching so fixing the problem regenerates
+    }
+    running = false;
+    if (pending) {
+      pending = false;
+      run();
+    } else {
+      console.log(`\nWatching ${routesDir} for route changes...`);
+    }
+  };
+  
+  fs.watch(routesDir, (eventType, filename) => {
+    if (!filename || !isRouteFile(filename) || !isSelectedFile(filename)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      console.log(`\n${filename} changed, regenerating...`);
+      run();
+    }, WATCH_DEBOUNCE_MS);
+  });
+  run();
+}
+
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  generateHeatmapData();
+  let options;
+  try {
+    options = parseGeneratorArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  
+  if (options.help) {
+    console.log(USAGE);
+  } else if (options.watch) {
+    watchRoutes(options);
+  } else {
+    generateHeatmapData(options).catch(() => process.exit(1));
+  }
 }
 
 export { generateHeatmapData };
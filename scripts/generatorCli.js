@@ -0,0 +1,175 @@
+// Command line options for generateHeatmapData.js
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { DEFAULT_RADIUS_METRES, RADIUS_OPTIONS_METRES } from '../src/corridorDensity.js';
+import { DEFAULT_DENSITY_CAP, DEFAULT_DENSITY_STRATEGY, DENSITY_STRATEGIES } from '../src/densityStrategies.js';
+import { DEFAULT_ENDPOINT_OPTIONS } from './clusterRouteEndpoints.js';
+import { DEFAULT_CLEANING_OPTIONS, cleaningOptions } from '../src/trackCleaning.js';
+
+const CLEANING_STAGES = Object.keys(DEFAULT_CLEANING_OPTIONS);
+
+const DENSITY_STRATEGY_IDS = DENSITY_STRATEGIES.map(strategy => strategy.id);
+
+export const OUTPUT_FORMATS = ['binary', 'json'];
+
+export const USAGE = `Usage: node scripts/generateHeatmapData.js [options]
+
+  --routes <dir>          Folder of route files (default: routes)
+  --output <file>         Data file to write (default: public/heatmap-data.bin,
+                          or public/heatmap-data.json with --format json)
+  --format <format>       ${OUTPUT_FORMATS.join(' or ')} (default: binary); --json is short for --format json
+  --include <glob>        Only read route files matching the glob, e.g. "tgo20*"; repeatable
+  --exclude <glob>        Skip route files matching the glob; repeatable
+  --precision <decimals>  Decimal places kept in JSON coordinates (default: 4, ~10m)
+  --intensity-cap <n>     Routes at which a segment is drawn at full intensity (default: ${DEFAULT_DENSITY_CAP})
+  --radius <metres>       Overlap radius density is counted within: ${RADIUS_OPTIONS_METRES.join(', ')}
+                          (default: ${DEFAULT_RADIUS_METRES}); the map uses the data's own
+                          intensities only at this radius
+  --density-strategy <id> How segment density is counted: ${DENSITY_STRATEGY_IDS.join(', ')}
+                          (default: ${DEFAULT_DENSITY_STRATEGY}); see src/densityStrategies.js
+  --endpoint-radius <metres>
+                          Starts (or finishes) within this of each other are
+                          clustered together (default: ${DEFAULT_ENDPOINT_OPTIONS.radiusMetres})
+  --concurrency <n>       Route files read at once (default: 40)
+  --strict                Fail when route validation finds errors, as does
+                          setting HEATMAP_STRICT=1 (e.g. HEATMAP_STRICT=1 npm run build)
+  --clean <stages>        Clean GPS noise out of the tracks: "all" or some of
+                          ${CLEANING_STAGES.join(', ')}, comma separated
+  --clean-config <file>   JSON file of settings for each cleaning stage, e.g.
+                          { "minDistance": { "metres": 10 } }; see src/trackCleaning.js
+  --no-cache              Parse every route file again rather than using .cache/routes
+  --tiles                 Also write a vector tile pyramid to public/tiles
+  --watch                 Regenerate whenever a route file is added, changed or removed
+  -h, --help              Show this help`;
+
+// Turn a filename glob into a RegExp: * and ? match within a path segment, **
+// across segments. Case-insensitive, as route files come from many systems.
+export const globToRegExp = (glob) => {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`, 'i');
+};
+
+// Filter for route filenames: when include globs are given a file must match
+// one of them, and it must match none of the exclude globs
+export const createFileFilter = ({ include = [], exclude = [] }) => {
+  const includes = include.map(globToRegExp);
+  const excludes = exclude.map(globToRegExp);
+  return (filename) => (
+    (includes.length === 0 || includes.some(pattern => pattern.test(filename))) &&
+    !excludes.some(pattern => pattern.test(filename))
+  );
+};
+
+const parseInteger = (name, text, min, max) => {
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`--${name} must be a whole number from ${min} to ${max}, got "${text}"`);
+  }
+  return value;
+};
+
+// { clean } cleaning options for --clean and --clean-config, or {} when
+// cleaning is off. --clean-config on its own runs the stages it enables.
+const parseCleaningArgs = (stagesText, configFile) => {
+  if (!stagesText && !configFile) return {};
+
+  let config = {};
+  if (configFile) {
+    try {
+      config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`--clean-config ${configFile} could not be read: ${error.message}`);
+    }
+  }
+
+  let stages = null;
+  if (stagesText && stagesText !== 'all') {
+    stages = stagesText.split(',').map(stage => stage.trim());
+    const unknown = stages.filter(stage => !CLEANING_STAGES.includes(stage));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown cleaning stage "${unknown[0]}", expected "all" or some of ${CLEANING_STAGES.join(', ')}`);
+    }
+  }
+  return { clean: cleaningOptions(config, stages) };
+};
+
+// Generator options from command line arguments (without node and the script)
+// and the environment. Only the options given are set, so the generator's
+// defaults fill in the rest. Throws an Error describing the first bad argument.
+export const parseGeneratorArgs = (args, env = process.env) => {
+  const { values } = parseArgs({
+    args,
+    options: {
+      routes: { type: 'string' },
+      output: { type: 'string' },
+      format: { type: 'string' },
+      json: { type: 'boolean' },
+      include: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true },
+      precision: { type: 'string' },
+      'intensity-cap': { type: 'string' },
+      radius: { type: 'string' },
+      'density-strategy': { type: 'string' },
+      'endpoint-radius': { type: 'string' },
+      concurrency: { type: 'string' },
+      strict: { type: 'boolean' },
+      clean: { type: 'string' },
+      'clean-config': { type: 'string' },
+      'no-cache': { type: 'boolean' },
+      tiles: { type: 'boolean' },
+      watch: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const format = values.format || (values.json ? 'json' : undefined);
+  if (format && !OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be ${OUTPUT_FORMATS.join(' or ')}, got "${format}"`);
+  }
+
+  const radiusMetres = values.radius && Number(values.radius);
+  if (values.radius && !RADIUS_OPTIONS_METRES.includes(radiusMetres)) {
+    throw new Error(`--radius must be one of ${RADIUS_OPTIONS_METRES.join(', ')}, got "${values.radius}"`);
+  }
+
+  const densityStrategy = values['density-strategy'];
+  if (densityStrategy && !DENSITY_STRATEGY_IDS.includes(densityStrategy)) {
+    throw new Error(`--density-strategy must be one of ${DENSITY_STRATEGY_IDS.join(', ')}, got "${densityStrategy}"`);
+  }
+
+  return {
+    ...parseCleaningArgs(values.clean, values['clean-config']),
+    help: Boolean(values.help),
+    watch: Boolean(values.watch),
+    tiles: Boolean(values.tiles),
+    cache: !values['no-cache'],
+    strict: Boolean(values.strict) || env.HEATMAP_STRICT === '1',
+    ...(format && { format }),
+    ...(values.routes && { routesDir: path.resolve(values.routes) }),
+    ...(values.output && { outputFile: path.resolve(values.output) }),
+    ...(values.include && { include: values.include }),
+    ...(values.exclude && { exclude: values.exclude }),
+    ...(values.precision && { precision: parseInteger('precision', values.precision, 1, 7) }),
+    ...(values['intensity-cap'] && { intensityCap: parseInteger('intensity-cap', values['intensity-cap'], 1, 255) }),
+    ...(radiusMetres && { radiusMetres }),
+    ...(densityStrategy && { densityStrategy }),
+    ...(values['endpoint-radius'] && {
+      endpoints: { radiusMetres: parseInteger('endpoint-radius', values['endpoint-radius'], 100, 100000) }
+    }),
+    ...(values.concurrency && { concurrency: parseInteger('concurrency', values.concurrency, 1, 1000) })
+  };
+};
@@ -0,0 +1,31 @@
+// Vite plugin that reloads the page when the heatmap data is regenerated, e.g.
+// by `npm run generate-heatmap-watch`. Reloads once the files have been quiet
+// for delayMs, as the JSON format is streamed out in many writes.
+import path from 'path';
+
+export default function heatmapReload({
+  files = ['public/heatmap-data.bin', 'public/heatmap-data.json'],
+  delayMs = 500
+} = {}) {
+  return {
+    name: 'heatmap-reload',
+    apply: 'serve',
+    configureServer(server) {
+      const watchedFiles = files.map(file => path.resolve(server.config.root, file));
+      let timer = null;
+
+      const onFileChange = (file) => {
+        if (!watchedFiles.includes(path.resolve(file))) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          server.config.logger.info('heatmap data changed, reloading', { timestamp: true });
+          server.ws.send({ type: 'full-reload' });
+        }, delayMs);
+      };
+
+      server.watcher.add(watchedFiles);
+      server.watcher.on('add', onFileChange);
+      server.watcher.on('change', onFileChange);
+    }
+  };
+}
@@ -0,0 +1,113 @@
+// On-disk cache of parsed route files for the generator, so a run only parses
+// the files that are new or have changed. Each file gets one JSON entry named
+// by a hash of its name, content and the parse settings (track cleaning),
+// holding the parsed route (or the parse error) and simplified copies of its
+// tracks for the detail levels.
+import crypto from 'crypto';
+import fs from 'fs';
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CACHE_DIR = path.join(__dirname, '../.cache/routes');
+
+// Part of every key, so bumping it retires all existing entries. Bump it when
+// a route parser or the shape of an entry changes.
+const ROUTE_CACHE_VERSION = 2;
+
+// Entry for a parsed route: only what the generator uses is kept, with each
+// point as [lat, lon, ele, time in ms]. simplified holds, per track, its
+// coordinates simplified to each tolerance: [{ [toleranceMetres]: [[lon, lat, ele], ...] }].
+export const routeCacheEntry = (route, simplified) => ({
+  route: {
+    name: route.name,
+    description: route.description || '',
+    time: route.time ? new Date(route.time).toISOString() : null,
+    format: route.format,
+    tracks: (route.tracks || []).map(track => ({
+      name: track.name || null,
+      points: track.points.map(point => [
+        point.lat,
+        point.lon,
+        Number.isFinite(point.ele) ? point.ele : null,
+        point.time instanceof Date && !isNaN(point.time) ? point.time.getTime() : null
+      ])
+    })),
+    waypoints: (route.waypoints || []).map(({ lat, lon, ele, name }) => ({ lat, lon, ele: ele ?? null, name: name || null })),
+    ...(route.cleaning && { cleaning: route.cleaning })
+  },
+  simplified
+});
+
+// { route, simplified } back from an entry, with the route in the shape
+// parseRouteFile returns
+export const restoreRouteCacheEntry = ({ route, simplified }, filename) => ({
+  route: {
+    ...route,
+    filename,
+    tracks: route.tracks.map(track => ({
+      name: track.name,
+      points: track.points.map(([lat, lon, ele, time]) => ({
+        lat,
+        lon,
+        ele,
+        time: time == null ? null : new Date(time)
+      }))
+    }))
+  },
+  simplified
+});
+
+// Cache in dir. With read off every lookup misses, but entries are still
+// written so the next run can use them. stats counts hits and misses.
+export function createRouteCache({ dir = DEFAULT_CACHE_DIR, read = true } = {}) {
+  const stats = { hits: 0, misses: 0 };
+  const usedKeys = new Set();
+  const entryPath = (key) => path.join(dir, `${key}.json`);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    dir,
+    stats,
+
+    // settings is a string describing anything else the entry depends on
+    key(filename, bytes, settings = '') {
+      return crypto.createHash('sha256')
+        .update(`${ROUTE_CACHE_VERSION}\0${filename}\0${settings}\0`)
+        .update(bytes)
+        .digest('hex');
+    },
+
+    // The entry for a key, or null
+    async get(key) {
+      usedKeys.add(key);
+      if (read) {
+        try {
+          const entry = JSON.parse(await fsPromises.readFile(entryPath(key), 'utf8'));
+          stats.hits++;
+          return entry;
+        } catch {
+          // Missing or unreadable, so parse the file again
+        }
+      }
+      stats.misses++;
+      return null;
+    },
+
+    async set(key, entry) {
+      await fsPromises.writeFile(entryPath(key), JSON.stringify(entry));
+    },
+
+    // Delete the entries not looked up in this run, i.e. of files that have
+    // changed or gone. Returns how many were deleted.
+    prune() {
+      const stale = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json') && !usedKeys.has(file.slice(0, -'.json'.length)));
+      stale.forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+      return stale.length;
+    }
+  };
+}
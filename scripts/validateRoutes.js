@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import { distanceMetres } from '../src/geo.js';
+
+// Rough box around mainland Scotland and the islands; the Challenge never leaves it
+export const SCOTLAND_BOUNDS = { west: -8.7, south: 54.6, east: -0.7, north: 60.9 };
+
+export const DEFAULT_VALIDATION_OPTIONS = {
+  maxJumpMetres: 5000, // Consecutive points further apart than this are a GPS or editing glitch
+  bounds: SCOTLAND_BOUNDS,
+  allowed: {} // Findings checked by hand, as { filename: { ruleId: reason } }
+};
+
+// Name of the allowlist kept in the routes folder, in the form of options.allowed
+export const ALLOWLIST_FILENAME = 'validation-allowlist.json';
+
+// Route planners stamp exported points with the export date at midnight UTC,
+// which says nothing about the Challenge the route was walked in
+export function isPlaceholderTime(time) {
+  return time.getUTCHours() === 0 && time.getUTCMinutes() === 0 && time.getUTCSeconds() === 0;
+}
+
+const formatPoint = ({ lat, lon }) => `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+
+// First point of a track with a valid time
+const firstTimedPoint = (track) => track.points.find(point => point.time instanceof Date && !isNaN(point.time));
+
+// The rules each parsed route is checked against. check(route, options)
+// returns findings { message, track, point }, track and point being indices
+// when the finding is about one place.
+export const VALIDATION_RULES = [
+  {
+    id: 'no-tracks',
+    severity: 'error',
+    description: 'The file has no track with two or more points',
+    check: (route) => (
+      (route.tracks || []).some(track => track.points.length > 1)
+        ? []
+        : [{ message: 'No track with two or more points' }]
+    )
+  },
+  {
+    id: 'empty-track',
+    severity: 'warning',
+    description: 'A track has fewer than two points',
+    check: (route) => (route.tracks || [])
+      .map((track, index) => ({ track, index }))
+      .filter(({ track }) => track.points.length < 2)
+      .map(({ track, index }) => ({ message: `Track ${index + 1} has ${track.points.length} points`, track: index }))
+  },
+  {
+    id: 'jump',
+    severity: 'error',
+    description: 'Consecutive points are further apart than maxJumpMetres',
+    check: (route, { maxJumpMetres }) => (route.tracks || []).flatMap((track, trackIndex) => {
+      const findings = [];
+      for (let i = 1; i < track.points.length; i++) {
+        const from = track.points[i - 1];
+        const to = track.points[i];
+        const distance = distanceMetres(from.lat, from.lon, to.lat, to.lon);
+        if (distance > maxJumpMetres) {
+          findings.push({
+            message: `Track ${trackIndex + 1} jumps ${(distance / 1000).toFixed(1)}km from ${formatPoint(from)} to ${formatPoint(to)}`,
+            track: trackIndex,
+            point: i
+          });
+        }
+      }
+      return findings;
+    })
+  },
+  {
+    id: 'out-of-bounds',
+    severity: 'error',
+    description: 'Points lie outside the bounds (Scotland by default)',
+    check: (route, { bounds }) => (route.tracks || []).flatMap((track, trackIndex) => {
+      const outside = track.points
+        .map((point, index) => ({ point, index }))
+        .filter(({ point }) => point.lon < bounds.west || point.lon > bounds.east ||
+          point.lat < bounds.south || point.lat > bounds.north);
+      if (outside.length === 0) return [];
+      const [first] = outside;
+      return [{
+        message: `Track ${trackIndex + 1} has ${outside.length} points outside the bounds, the first at ${formatPoint(first.point)}`,
+        track: trackIndex,
+        point: first.index
+      }];
+    })
+  },
+  {
+    id: 'placeholder-times',
+    severity: 'warning',
+    description: 'Track times start at midnight UTC, as planners stamp them, so are not when the route was walked',
+    check: (route) => (route.tracks || []).flatMap((track, trackIndex) => {
+      const firstTimed = firstTimedPoint(track);
+      return firstTimed && isPlaceholderTime(firstTimed.time)
+        ? [{ message: `Track ${trackIndex + 1} times start at ${firstTimed.time.toISOString()}`, track: trackIndex }]
+        : [];
+    })
+  },
+  {
+    id: 'time-year-mismatch',
+    severity: 'warning',
+    description: 'Track times are from a different year to the one in the filename (placeholder times aside)',
+    check: (route) => {
+      if (route.yearSource !== 'filename') return [];
+      return (route.tracks || []).flatMap((track, trackIndex) => {
+        const firstTimed = firstTimedPoint(track);
+        if (!firstTimed || isPlaceholderTime(firstTimed.time)) return [];
+        const timeYear = firstTimed.time.getUTCFullYear();
+        return timeYear !== route.year
+          ? [{ message: `Track ${trackIndex + 1} times are from ${timeYear}, the filename says ${route.year}`, track: trackIndex }]
+          : [];
+      });
+    }
+  }
+];
+
+// The allowlist in routesDir, or {} when there is none. Throws when it can't be read.
+export function readValidationAllowlist(routesDir) {
+  const allowlistPath = path.join(routesDir, ALLOWLIST_FILENAME);
+  if (!fs.existsSync(allowlistPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(allowlistPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${allowlistPath} could not be read: ${error.message}`);
+  }
+}
+
+// Check parsed routes (with filename, year and yearSource) against the rules.
+// parseErrors ({ filename, message } per unreadable file) are reported as
+// 'unreadable' errors. Findings of a rule options.allowed allows for a file are
+// kept as warnings, with the reason given. Returns a report listing the
+// findings of each file that has any.
+export function validateRoutes(routes, parseErrors = [], options = DEFAULT_VALIDATION_OPTIONS) {
+  const { allowed = {} } = options;
+  const allowedFinding = (filename, finding) => {
+    const reason = allowed[filename]?.[finding.rule];
+    return reason
+      ? { ...finding, severity: 'warning', message: `${finding.message} (allowed: ${reason})`, allowed: true }
+      : finding;
+  };
+
+  const files = [
+    ...parseErrors.map(({ filename, message }) => ({
+      filename,
+      // Parse errors already start with the filename
+      findings: [{ rule: 'unreadable', severity: 'error', message: message.replace(`${filename}: `, '') }]
+    })),
+    ...routes.map(route => ({
+      filename: route.filename,
+      findings: VALIDATION_RULES.flatMap(rule => rule.check(route, options).map(finding => allowedFinding(route.filename, {
+        rule: rule.id,
+        severity: rule.severity,
+        ...finding
+      })))
+    }))
+  ].filter(file => file.findings.length > 0);
+
+  const count = (severity) => files.reduce((total, file) => (
+    total + file.findings.filter(finding => finding.severity === severity).length
+  ), 0);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    ...options,
+    totalFiles: routes.length + parseErrors.length,
+    errorCount: count('error'),
+    warningCount: count('warning'),
+    rules: [
+      { id: 'unreadable', severity: 'error', description: 'The file could not be parsed' },
+      ...VALIDATION_RULES.map(({ id, severity, description }) => ({ id, severity, description }))
+    ],
+    files
+  };
+}
+
+// Human readable Markdown summary of a validation report
+export function summariseValidationReport(report) {
+  const filesWith = (severity) => report.files.filter(file => file.findings.some(finding => finding.severity === severity)).length;
+  const lines = [
+    '# Route validation',
+    '',
+    `${report.totalFiles} files checked: ${report.errorCount} errors in ${filesWith('error')} files, ` +
+      `${report.warningCount} warnings in ${filesWith('warning')} files.`
+  ];
+
+  ['error', 'warning'].forEach(severity => {
+    const files = report.files
+      .map(file => ({ ...file, findings: file.findings.filter(finding => finding.severity === severity) }))
+      .filter(file => file.findings.length > 0);
+    if (files.length === 0) return;
+
+    lines.push('', `## ${severity === 'error' ? 'Errors' : 'Warnings'}`);
+    files.forEach(file => {
+      lines.push('', `### ${file.filename}`, '');
+      file.findings.forEach(finding => lines.push(`- ${finding.rule}: ${finding.message}`));
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Write the report as JSON to reportPath and its summary next to it as Markdown
+export function writeValidationReport(reportPath, report) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(reportPath.replace(/\.json$/, '.md'), summariseValidationReport(report));
+}
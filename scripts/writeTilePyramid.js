@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+import geojsonvt from 'geojson-vt';
+import vtpbf from 'vt-pbf';
+import { DEFAULT_RADIUS_METRES } from '../src/corridorDensity.js';
+import { DEFAULT_DENSITY_CAP, DEFAULT_DENSITY_STRATEGY, createDensityEngine } from '../src/densityStrategies.js';
+
+export const TILE_LAYER_NAME = 'routes';
+
+export const DEFAULT_TILE_OPTIONS = {
+  minZoom: 5,
+  maxZoom: 12, // Mapbox overzooms the last level, so deeper tiles only add files
+  radiusPixels: 4, // Overview zooms count routes within this many screen pixels
+  radiusMetres: DEFAULT_RADIUS_METRES, // ...and never within less than this
+  strategy: DEFAULT_DENSITY_STRATEGY, // How densityStrategies.js counts the routes
+  intensityCap: DEFAULT_DENSITY_CAP
+};
+
+// Ground distance covered by one pixel of a 512px Mapbox tile
+function metresPerPixel(zoom, lat) {
+  return 40075016.686 * Math.cos(lat * Math.PI / 180) / (512 * 2 ** zoom);
+}
+
+// Overlap radius used for the intensity baked into a zoom level. Zoomed out, a
+// pixel spans hundreds of metres, so lines that draw on top of each other count
+// as one corridor.
+function radiusForZoom(zoom, lat, options) {
+  return Math.max(options.radiusMetres, Math.round(metresPerPixel(zoom, lat) * options.radiusPixels));
+}
+
+// Join consecutive segments of a track that share an intensity into one line.
+// Tiny two point lines would otherwise be dropped by geojson-vt at low zooms.
+// Each feature's intensity is its density capped at intensityCap.
+export function createRunFeatures(lines, densityEngine, intensityCap) {
+  const features = [];
+
+  lines.forEach(line => {
+    let run = null;
+    for (let i = 0; i < line.coordinates.length - 1; i++) {
+      const start = line.coordinates[i];
+      const end = line.coordinates[i + 1];
+      const density = densityEngine.segmentDensity(start, end, line.routeId);
+      const intensity = Math.min(density, intensityCap);
+
+      if (run && run.properties.intensity === intensity) {
+        run.geometry.coordinates.push(end);
+        run.properties.density = Math.max(run.properties.density, density);
+        continue;
+      }
+
+      run = {
+        type: 'Feature',
+        properties: { intensity, density, routeId: line.routeId },
+        geometry: { type: 'LineString', coordinates: [start, end] }
+      };
+      features.push(run);
+    }
+  });
+
+  return features;
+}
+
+function lineBounds(lines) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  lines.forEach(line => {
+    line.coordinates.forEach(([lon, lat]) => {
+      bounds[0] = Math.min(bounds[0], lon);
+      bounds[1] = Math.min(bounds[1], lat);
+      bounds[2] = Math.max(bounds[2], lon);
+      bounds[3] = Math.max(bounds[3], lat);
+    });
+  });
+  return bounds;
+}
+
+// Write a z/x/y pyramid of Mapbox Vector Tiles with the intensity precomputed
+// for each zoom, plus a TileJSON description at outputDir/tiles.json.
+// lines: [{ routeId, coordinates: [[lon, lat], ...] }]. With no lines there is
+// nothing to draw, so any old pyramid is removed and none is written.
+export function writeTilePyramid(outputDir, lines, metadata, tileOptions = {}) {
+  const options = { ...DEFAULT_TILE_OPTIONS, ...tileOptions };
+  const radiusByZoom = {};
+  const engineByRadius = new Map();
+  let tileCount = 0;
+
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  if (!lines.some(line => line.coordinates.length > 1)) {
+    return { tileCount, radiusByZoom };
+  }
+
+  const bounds = lineBounds(lines);
+  const centerLat = (bounds[1] + bounds[3]) / 2;
+
+  for (let zoom = options.minZoom; zoom <= options.maxZoom; zoom++) {
+    const radiusMetres = radiusForZoom(zoom, centerLat, options);
+    radiusByZoom[zoom] = radiusMetres;
+
+    if (!engineByRadius.has(radiusMetres)) {
+      engineByRadius.set(radiusMetres, createDensityEngine(lines, { strategy: options.strategy, radiusMetres }));
+    }
+    const features = createRunFeatures(lines, engineByRadius.get(radiusMetres), options.intensityCap);
+
+    // Split down to this zoom only; geojson-vt simplifies relative to maxZoom
+    const tileIndex = geojsonvt({ type: 'FeatureCollection', features }, {
+      maxZoom: options.maxZoom,
+      indexMaxZoom: zoom,
+      indexMaxPoints: 0,
+      tolerance: 3,
+      extent: 4096,
+      buffer: 64
+    });
+
+    const levelTiles = tileIndex.tileCoords.filter(coord => coord.z === zoom);
+    levelTiles.forEach(({ z, x, y }) => {
+      const tile = tileIndex.getTile(z, x, y);
+      if (!tile || tile.features.length === 0) return;
+
+      const tilePath = path.join(outputDir, String(z), String(x), `${y}.pbf`);
+      fs.mkdirSync(path.dirname(tilePath), { recursive: true });
+      fs.writeFileSync(tilePath, vtpbf.fromGeojsonVt({ [TILE_LAYER_NAME]: tile }, { version: 2 }));
+      tileCount++;
+    });
+
+    console.log(`Zoom ${zoom}: ${levelTiles.length} tiles, ${features.length} lines, ${radiusMetres}m radius`);
+  }
+
+  const tileJSON = {
+    tilejson: '3.0.0',
+    name: 'TGO Heatmap',
+    tiles: [`${path.basename(outputDir)}/{z}/{x}/{y}.pbf`],
+    minzoom: options.minZoom,
+    maxzoom: options.maxZoom,
+    bounds,
+    vector_layers: [{
+      id: TILE_LAYER_NAME,
+      fields: { intensity: 'Number', density: 'Number', routeId: 'Number' },
+      minzoom: options.minZoom,
+      maxzoom: options.maxZoom
+    }],
+    radiusByZoom,
+    densityRadiusMetres: options.radiusMetres,
+    densityStrategy: options.strategy,
+    totalRoutes: metadata.totalRoutes,
+    generatedAt: metadata.generatedAt
+  };
+  fs.writeFileSync(path.join(outputDir, 'tiles.json'), JSON.stringify(tileJSON, null, 2));
+
+  return { tileCount, radiusByZoom };
+}
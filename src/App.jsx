@@ -1,30 +1,360 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useState, useMemo } from 'react';
+import { createPortal } from 'react-dom';
 import mapboxgl from 'mapbox-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
-import { loadStaticHeatmapData } from './staticRouteLoader';
+import { loadStaticHeatmapData, loadTileset } from './staticRouteLoader';
+import YearFilter, { UNDATED_YEAR } from './YearFilter';
+import SegmentPopup from './SegmentPopup';
+import PlannedRoutePanel from './PlannedRoutePanel';
+import ElevationProfile from './ElevationProfile';
+import StatisticsPanel from './StatisticsPanel';
+import RouteListPanel from './RouteListPanel';
+import PosterExportDialog from './PosterExportDialog';
+import DataExportDialog from './DataExportDialog';
+import MapLegend from './MapLegend';
+import PaletteEditor from './PaletteEditor';
+import { CUSTOM_PALETTE_ID, DEFAULT_CUSTOM_PALETTE, decodeCustomPalette, encodeCustomPalette, listPalettes } from './palettes';
+import { drawLegend, heatmapLegend } from './legend';
+import { linesFromSegmentFeatures, summariseRouteCollection } from './routeStatistics';
+import { elevationProfile } from './elevation';
+import { parseRouteFile } from './formats/index.js';
+import { DEFAULT_RADIUS_METRES, RADIUS_OPTIONS_METRES } from './corridorDensity';
+import { DEFAULT_DENSITY_STRATEGY, DENSITY_CAP_OPTIONS, DENSITY_STRATEGIES } from './densityStrategies';
+import { createDensityClient } from './densityClient';
+import { CLIMB_LINE_COLOR, HEATMAP_LINE_OPACITY, HEATMAP_LINE_WIDTH, colorStops, getColorScheme, withRouteHoverColor } from './heatmapStyle';
+import { DATA_EXPORT_FORMATS, exportHeatmapData } from './heatmapExport';
+import { downloadBlob, exportPoster, mapAttribution } from './posterExport';
+import { DEFAULT_VIEW_STATE, decodeViewState, encodeViewState, roundCamera } from './permalink';
 
 // You'll need to get a Mapbox access token from https://account.mapbox.com/
 const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN;
 
+// The full detail data draws on hiking-routes / hiking-heatmap-lines; each coarser
+// detail level gets its own source and layer, shown only over its zoom range
+const overviewSourceId = (level) => `hiking-routes-${level}`;
+const overviewLayerId = (level) => `hiking-heatmap-lines-${level}`;
+
+// Mapbox zoom range properties for a detail level; a missing bound is left open
+const levelZoomRange = ({ minZoom, maxZoom }) => ({
+  ...(minZoom != null && { minzoom: minZoom }),
+  ...(maxZoom != null && { maxzoom: maxZoom })
+});
+
+// Copy features with the density and intensity from a worker result, and the
+// climb when the result has one
+const applyDensityResult = (features, { indices, density, intensity, climb }) => (
+  Array.from(indices, (featureIndex, position) => {
+    const feature = features[featureIndex];
+    const properties = {
+      ...feature.properties,
+      intensity: intensity[position],
+      density: density[position]
+    };
+    if (climb.length > 0) {
+      properties.climb = Number.isNaN(climb[position]) ? null : climb[position];
+    }
+    return { ...feature, properties };
+  })
+);
+
+// View changes are written to the URL hash once they have settled for this long,
+// so dragging a slider or panning adds one history entry rather than dozens
+const HASH_UPDATE_DELAY_MS = 500;
+
+// Camera the map starts at when the link doesn't give one
+const DEFAULT_CAMERA = { center: [-2.5, 54.5], zoom: 6, bearing: 0, pitch: 0 };
+
+// Whether the density baked into generated data (the data file's metadata or
+// the tile set) was counted with the view's radius and strategy. Data from
+// before these were recorded was counted with the defaults.
+const matchesBakedDensity = ({ densityRadiusMetres = DEFAULT_RADIUS_METRES, densityStrategy = DEFAULT_DENSITY_STRATEGY }, view) => (
+  densityRadiusMetres === view.overlapRadius && densityStrategy === view.densityStrategy
+);
+
+// Swap the prebuilt tiles for the full data once the full data has something to draw
+const removeTileLayer = (map) => {
+  if (!map.getLayer('hiking-tile-lines')) return;
+  map.removeLayer('hiking-tile-lines');
+  map.removeSource('hiking-tiles');
+};
+
+// The custom palette is kept in localStorage, in the same form as in links
+const CUSTOM_PALETTE_STORAGE_KEY = 'tgo-heatmap-custom-palette';
+
+const loadSavedCustomPalette = () => {
+  try {
+    const saved = window.localStorage.getItem(CUSTOM_PALETTE_STORAGE_KEY);
+    return (saved && decodeCustomPalette(saved)) || DEFAULT_CUSTOM_PALETTE;
+  } catch {
+    return DEFAULT_CUSTOM_PALETTE; // Storage can be blocked, e.g. in private windows
+  }
+};
+
+// Start and finish markers grow with the number of routes, coloured by which end they are
+const ENDPOINT_LAYER_IDS = ['route-endpoint-circles', 'route-endpoint-counts', 'route-endpoint-names'];
+const ENDPOINT_COLORS = { start: '#2ecc71', finish: '#e74c3c' };
+
+// Point features for the generator's start and finish clusters
+const endpointFeatures = (endpoints) => ['start', 'finish'].flatMap(kind => (
+  endpoints[kind === 'start' ? 'starts' : 'finishes'].map((cluster, clusterIndex) => ({
+    type: 'Feature',
+    properties: { kind, clusterIndex, name: cluster.name, count: cluster.routeIds.length },
+    geometry: { type: 'Point', coordinates: cluster.coordinates }
+  }))
+));
+
+// Chain a route's segment features back into lines of [lon, lat, ele] points
+const routeLinesFromFeatures = (features, routeId) => {
+  const lines = [];
+  let current = null;
+  features.forEach(feature => {
+    if (feature.properties.routeId !== routeId) return;
+    const [start, end] = feature.geometry.coordinates;
+    const previous = current && current[current.length - 1];
+    if (previous && previous[0] === start[0] && previous[1] === start[1]) {
+      current.push(end);
+    } else {
+      current = [start, end];
+      lines.push(current);
+    }
+  });
+  return lines;
+};
+
 function App() {
   const mapContainer = useRef(null);
   const map = useRef(null);
-  const [lng] = useState(-2.5);
-  const [lat] = useState(54.5);
-  const [zoom] = useState(6);
+  // View restored from the URL hash on load
+  const initialViewRef = useRef(null);
+  if (!initialViewRef.current) {
+    initialViewRef.current = { ...DEFAULT_VIEW_STATE, ...decodeViewState(window.location.hash) };
+  }
+  const initialView = initialViewRef.current;
+  const [camera, setCamera] = useState(initialView.camera); // { center, zoom, bearing, pitch } once the map has moved
+  const replaceNextHashRef = useRef(false); // Set before moves that shouldn't add a history entry
+  const [linkCopied, setLinkCopied] = useState(false);
   const [routeCount, setRouteCount] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [loadProgress, setLoadProgress] = useState(null); // Fraction of the heatmap data downloaded
   const [zoomLevel, setZoomLevel] = useState(6);
   const [showZoomLevel, setShowZoomLevel] = useState(false);
   const zoomTimeoutRef = useRef(null);
-  const [colorScheme, setColorScheme] = useState('full'); // 'blue' or 'full'
-  const [randomizeIntensity, setRandomizeIntensity] = useState(false);
+  const [colorScheme, setColorScheme] = useState(initialView.colorScheme); // Palette id, see palettes.js
+  const [customPalette, setCustomPalette] = useState(() => initialView.customPalette || loadSavedCustomPalette());
+  const [isPaletteEditorOpen, setIsPaletteEditorOpen] = useState(false);
+  const [colorBy, setColorBy] = useState(initialView.colorBy); // 'density' or 'climb'
+  const [randomizeIntensity, setRandomizeIntensity] = useState(initialView.randomizeIntensity);
+  const [showEndpoints, setShowEndpoints] = useState(initialView.showEndpoints); // Start and finish markers
+  const [hasEndpoints, setHasEndpoints] = useState(false); // Whether the data has start and finish clusters
   const [originalHeatmapData, setOriginalHeatmapData] = useState([]);
   const [processedHeatmapData, setProcessedHeatmapData] = useState([]);
-  const [overlapRadius, setOverlapRadius] = useState(1000); // Precision multiplier for overlap detection
-  const [maxDensity, setMaxDensity] = useState(10); // Maximum density cap for intensity scaling
+  const [overviewLevels, setOverviewLevels] = useState([]); // Simplified detail levels drawn when zoomed out
+  const [overlapRadius, setOverlapRadius] = useState(initialView.overlapRadius); // Overlap radius in metres
+  const [maxDensity, setMaxDensity] = useState(initialView.maxDensity); // Maximum density cap for intensity scaling
+  const [densityStrategy, setDensityStrategy] = useState(initialView.densityStrategy); // How density is counted, one of DENSITY_STRATEGIES
   const [isProcessing, setIsProcessing] = useState(false);
+  const [processingProgress, setProcessingProgress] = useState(null); // Fraction of the density job done
   const [isCapturing, setIsCapturing] = useState(false);
+  const [isPosterDialogOpen, setIsPosterDialogOpen] = useState(false);
+  const [isDataExportDialogOpen, setIsDataExportDialogOpen] = useState(false);
+  const [routes, setRoutes] = useState([]); // Route table from the generator (empty for legacy data)
+  const [generatedStatistics, setGeneratedStatistics] = useState(null); // Statistics the generator worked out for all routes
+  const [yearRange, setYearRange] = useState(initialView.yearRange); // [fromYear, toYear]
+  const [excludedYears, setExcludedYears] = useState(new Set(initialView.excludedYears));
+  const [selectedSegment, setSelectedSegment] = useState(null); // { lngLat, routeIds } of the clicked line
+  const [highlightedRouteIds, setHighlightedRouteIds] = useState([]);
+  const [isolatedRouteIds, setIsolatedRouteIds] = useState(initialView.isolatedRouteIds && new Set(initialView.isolatedRouteIds)); // Set of route ids, or null to show all
+  const [excludedRouteIds, setExcludedRouteIds] = useState(new Set(initialView.excludedRouteIds)); // Routes unticked in the route list
+  const [hoveredRouteId, setHoveredRouteId] = useState(null); // Route under the cursor in the route list
+  const [plannedRoutes, setPlannedRoutes] = useState([]); // Dropped plans: { id, name, filename, lines, error }
+  const [plannedComparisons, setPlannedComparisons] = useState({}); // Plan id -> comparison with the heatmap
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [profileRouteId, setProfileRouteId] = useState(null); // Route shown in the elevation profile
+  const profileMarkerRef = useRef(null);
+  const nextPlannedRouteIdRef = useRef(1);
+  const densityClientRef = useRef(null); // Runs density processing in a Web Worker
+  const popupRef = useRef(null);
+  // Palette colours for the layers the map adds once it loads, which may be
+  // after the palette settings have changed
+  const paletteColorRef = useRef(null);
+  paletteColorRef.current = getColorScheme(colorScheme, maxDensity, customPalette);
+  const popupNodeRef = useRef(null);
+  if (!popupNodeRef.current) {
+    popupNodeRef.current = document.createElement('div');
+  }
+
+  // Distinct known years, oldest first
+  const routeYears = useMemo(() => {
+    const years = new Set(routes.map(route => route.year).filter(year => year != null));
+    return [...years].sort((a, b) => a - b);
+  }, [routes]);
+
+  const fullYearRange = useMemo(() => (
+    routeYears.length > 0 ? [routeYears[0], routeYears[routeYears.length - 1]] : null
+  ), [routeYears]);
+
+  // The view as it is written to the URL hash
+  const viewHash = encodeViewState({
+    camera,
+    colorScheme,
+    customPalette,
+    colorBy,
+    maxDensity,
+    overlapRadius,
+    densityStrategy,
+    randomizeIntensity,
+    showEndpoints,
+    yearRange,
+    excludedYears: [...excludedYears],
+    isolatedRouteIds,
+    excludedRouteIds: [...excludedRouteIds]
+  }, fullYearRange);
+
+  // Route ids that pass the current filters, or null when the data has no route table
+  const activeRouteIds = useMemo(() => {
+    if (routes.length === 0) return null;
+    
+    const ids = new Set();
+    routes.forEach((route, routeId) => {
+      const year = route.year ?? UNDATED_YEAR;
+      if (excludedYears.has(year)) return;
+      if (year !== UNDATED_YEAR && yearRange && (year < yearRange[0] || year > yearRange[1])) return;
+      if (isolatedRouteIds && !isolatedRouteIds.has(routeId)) return;
+      if (excludedRouteIds.has(routeId)) return;
+      ids.add(routeId);
+    });
+    return ids;
+  }, [routes, yearRange, excludedYears, isolatedRouteIds, excludedRouteIds]);
+
+  // Every route for the route list, oldest first
+  const routeList = useMemo(() => (
+    routes
+      .map((route, routeId) => ({ routeId, ...route }))
+      .sort((a, b) => (a.year ?? Infinity) - (b.year ?? Infinity) || a.name.localeCompare(b.name))
+  ), [routes]);
+
+  // Feature ids of each route's segments, per heatmap source, for setting feature state
+  const routeFeatureIds = useMemo(() => {
+    const sources = [
+      ['hiking-routes', originalHeatmapData],
+      ...overviewLevels.map((detailLevel, index) => [overviewSourceId(index + 1), detailLevel.features])
+    ];
+    return sources.map(([source, features]) => {
+      const idsByRoute = new Map();
+      features.forEach(feature => {
+        const { routeId } = feature.properties;
+        if (routeId === undefined) return;
+        if (!idsByRoute.has(routeId)) idsByRoute.set(routeId, []);
+        idsByRoute.get(routeId).push(feature.id);
+      });
+      return { source, idsByRoute };
+    });
+  }, [originalHeatmapData, overviewLevels]);
+
+  // Elevation profile of the selected route, from the full detail segments
+  const routeProfile = useMemo(() => (
+    profileRouteId === null ? null : elevationProfile(routeLinesFromFeatures(originalHeatmapData, profileRouteId))
+  ), [originalHeatmapData, profileRouteId]);
+
+  // What the line colours mean, for the on-map legend, screenshots and posters
+  const legend = useMemo(() => (
+    heatmapLegend({ colorBy, colorScheme, densityCap: maxDensity, customPalette })
+  ), [colorBy, colorScheme, maxDensity, customPalette]);
+
+  // Statistics for the active routes. The generator's figures cover every route,
+  // so they stand in until the data has been processed for the current filters.
+  const collectionStatistics = useMemo(() => {
+    if (processedHeatmapData === originalHeatmapData && generatedStatistics) return generatedStatistics;
+    if (processedHeatmapData.length === 0) return null;
+    return summariseRouteCollection(linesFromSegmentFeatures(processedHeatmapData));
+  }, [processedHeatmapData, originalHeatmapData, generatedStatistics]);
+
+  const activeRoutes = useMemo(() => (
+    routeList.filter(route => !activeRouteIds || activeRouteIds.has(route.routeId))
+  ), [routeList, activeRouteIds]);
+
+  // e.g. "42 routes, 2015–2023", for labelling exports
+  const shownRoutesSummary = () => {
+    const shownRouteCount = activeRouteIds ? activeRouteIds.size : routeCount;
+    const years = yearRange && yearRange[0] !== yearRange[1] ? `, ${yearRange[0]}–${yearRange[1]}` : yearRange ? `, ${yearRange[0]}` : '';
+    return `${shownRouteCount} ${shownRouteCount === 1 ? 'route' : 'routes'}${years}`;
+  };
+
+  // Render the current view as a poster and save it
+  const exportPosterFile = async ({ title, size, format }) => {
+    const blob = await exportPoster(map.current, {
+      size,
+      format,
+      title,
+      subtitle: shownRoutesSummary(),
+      legend,
+      attribution: mapAttribution(map.current)
+    });
+    downloadBlob(blob, `tgo-heatmap-poster-${new Date().toISOString().slice(0, 10)}.${format}`);
+  };
+
+  // Save the processed segments of the shown routes, or their top corridors
+  const exportDataFile = ({ format, corridorCount }) => {
+    const blob = exportHeatmapData(processedHeatmapData, {
+      format,
+      name: `TGO Heatmap, ${shownRoutesSummary()}`,
+      radiusMetres: overlapRadius,
+      densityStrategy,
+      densityColors: colorStops(getColorScheme(colorScheme, maxDensity, customPalette)),
+      corridorCount
+    });
+    const suffix = format === 'gpx' ? 'corridors' : 'data';
+    downloadBlob(blob, `tgo-heatmap-${suffix}-${new Date().toISOString().slice(0, 10)}.${DATA_EXPORT_FORMATS[format].extension}`);
+  };
+
+  // Edits to the custom palette are saved for next time; one from a link isn't
+  // saved unless it is edited
+  const updateCustomPalette = (palette) => {
+    setCustomPalette(palette);
+    try {
+      window.localStorage.setItem(CUSTOM_PALETTE_STORAGE_KEY, encodeCustomPalette(palette));
+    } catch (error) {
+      console.warn('Could not save the custom palette:', error);
+    }
+  };
+
+  const copyLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${viewHash ? `#${viewHash}` : ''}`;
+    navigator.clipboard.writeText(url).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    }, (error) => {
+      console.error('Error copying link:', error);
+    });
+  };
+
+  const toggleRoute = (routeId) => {
+    setExcludedRouteIds(previous => {
+      const next = new Set(previous);
+      if (next.has(routeId)) {
+        next.delete(routeId);
+      } else {
+        next.add(routeId);
+      }
+      return next;
+    });
+  };
+
+  const setAllRoutesIncluded = (included) => {
+    setExcludedRouteIds(included ? new Set() : new Set(routes.map((_, routeId) => routeId)));
+  };
+
+  const toggleYear = (year) => {
+    setExcludedYears(previous => {
+      const next = new Set(previous);
+      if (next.has(year)) {
+        next.delete(year);
+      } else {
+        next.add(year);
+      }
+      return next;
+    });
+  };
 
   // Function to capture high-resolution screenshot
   const captureScreenshot = () => {
@@ -35,21 +365,29 @@ function App() {
     // Hide UI overlays temporarily and wait for them to disappear
     setTimeout(() => {
       // Use Mapbox's built-in canvas method which properly handles WebGL
-      const canvas = map.current.getCanvas();
+      const mapCanvas = map.current.getCanvas();
       
       // For high resolution, we'll use the existing canvas and scale it up
       // Mapbox GL canvas is already rendered at device pixel ratio
       try {
+        const canvas = document.createElement('canvas');
+        canvas.width = mapCanvas.width;
+        canvas.height = mapCanvas.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(mapCanvas, 0, 0);
+        
+        // The legend is a page element, so draw it onto the image where it sits on screen
+        const scale = mapCanvas.width / mapCanvas.clientWidth;
+        drawLegend(ctx, legend, {
+          x: canvas.width - 10 * scale,
+          bottom: canvas.height - 30 * scale,
+          scale,
+          alignRight: true
+        });
+        
         canvas.toBlob((blob) => {
           if (blob) {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `tgo-heatmap-${new Date().toISOString().slice(0, 10)}.png`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            downloadBlob(blob, `tgo-heatmap-${new Date().toISOString().slice(0, 10)}.png`);
           } else {
             console.error('Failed to create blob from canvas');
           }
@@ -62,202 +400,6 @@ function App() {
     }, 200); // Longer delay to ensure UI is hidden
   };
 
-  // Function to reprocess original data with configurable radius and density
-  const reprocessWithRadius = (data, precision, densityCap = maxDensity) => {
-    const segmentDensity = {}; // Track how many routes use each segment
-    
-    // First pass: collect all line segments and count density with configurable precision
-    data.forEach(feature => {
-      const coords = feature.geometry.coordinates;
-      const lat1 = Math.round(coords[0][1] * precision) / precision;
-      const lon1 = Math.round(coords[0][0] * precision) / precision;
-      const lat2 = Math.round(coords[1][1] * precision) / precision;
-      const lon2 = Math.round(coords[1][0] * precision) / precision;
-      
-      const key = lat1 < lat2 || (lat1 === lat2 && lon1 < lon2) 
-        ? `${lat1},${lon1}-${lat2},${lon2}`
-        : `${lat2},${lon2}-${lat1},${lon1}`;
-      
-      segmentDensity[key] = (segmentDensity[key] || 0) + 1;
-    });
-    
-    // Second pass: update intensity based on new density calculation
-    return data.map(feature => {
-      const coords = feature.geometry.coordinates;
-      const lat1 = Math.round(coords[0][1] * precision) / precision;
-      const lon1 = Math.round(coords[0][0] * precision) / precision;
-      const lat2 = Math.round(coords[1][1] * precision) / precision;
-      const lon2 = Math.round(coords[1][0] * precision) / precision;
-      
-      const key = lat1 < lat2 || (lat1 === lat2 && lon1 < lon2) 
-        ? `${lat1},${lon1}-${lat2},${lon2}`
-        : `${lat2},${lon2}-${lat1},${lon1}`;
-      
-      const density = segmentDensity[key] || 1;
-      
-      return {
-        ...feature,
-        properties: {
-          ...feature.properties,
-          intensity: Math.min(density, densityCap), // Cap intensity at configurable max
-          density: density
-        }
-      };
-    });
-  };
-
-  // Function to create realistic intensity patterns based on route intersections
-  const randomizeIntensities = (data, precision = overlapRadius, densityCap = maxDensity) => {
-    // Group features by route for processing
-    const routeGroups = {};
-    data.forEach(feature => {
-      const routeId = feature.properties.routeId;
-      if (!routeGroups[routeId]) {
-        routeGroups[routeId] = [];
-      }
-      routeGroups[routeId].push(feature);
-    });
-    
-    // Find intersection points (where routes share the same geographic coordinates)
-    const pointToRoutes = {}; // Maps coordinate strings to route IDs that use them
-    
-    data.forEach(feature => {
-      const coords = feature.geometry.coordinates;
-      [coords[0], coords[1]].forEach(coord => {
-        const key = `${Math.round(coord[1] * precision)},${Math.round(coord[0] * precision)}`;
-        if (!pointToRoutes[key]) {
-          pointToRoutes[key] = new Set();
-        }
-        pointToRoutes[key].add(feature.properties.routeId);
-      });
-    });
-    
-    // Find actual intersection points (used by multiple routes)
-    const intersectionPoints = new Set();
-    Object.keys(pointToRoutes).forEach(pointKey => {
-      if (pointToRoutes[pointKey].size > 1) {
-        intersectionPoints.add(pointKey);
-      }
-    });
-    
-    // For each route, identify segments between intersection points
-    const routeSegments = {};
-    Object.keys(routeGroups).forEach(routeId => {
-      const route = routeGroups[routeId];
-      routeSegments[routeId] = [];
-      
-      let currentSegment = [];
-      route.forEach((feature, index) => {
-        currentSegment.push(feature);
-        
-        // Check if this feature ends at an intersection point
-        const coords = feature.geometry.coordinates;
-        const endPointKey = `${Math.round(coords[1][1] * precision)},${Math.round(coords[1][0] * precision)}`;
-        
-        if (intersectionPoints.has(endPointKey) || index === route.length - 1) {
-          // End current segment and start new one
-          if (currentSegment.length > 0) {
-            routeSegments[routeId].push([...currentSegment]);
-            currentSegment = [];
-          }
-        }
-      });
-    });
-    
-    // Assign intensity to each segment based on how many routes use overlapping areas
-    const segmentIntensities = {};
-    
-    Object.keys(routeSegments).forEach(routeId => {
-      routeSegments[routeId].forEach((segment, segmentIndex) => {
-        const segmentKey = `${routeId}-${segmentIndex}`;
-        
-        // Check how many other routes overlap with this segment's area
-        let overlapCount = 1; // Start with 1 for this route
-        
-        segment.forEach(feature => {
-          const coords = feature.geometry.coordinates;
-          [coords[0], coords[1]].forEach(coord => {
-            const pointKey = `${Math.round(coord[1] * precision)},${Math.round(coord[0] * precision)}`;
-            if (pointToRoutes[pointKey]) {
-              overlapCount = Math.max(overlapCount, pointToRoutes[pointKey].size);
-            }
-          });
-        });
-        
-        // Add some randomness while respecting overlap patterns
-        const baseIntensity = Math.min(overlapCount, densityCap);
-        const randomVariation = Math.random() * 0.4 - 0.2; // ±20% variation
-        const intensity = Math.max(1, Math.min(densityCap, Math.round(baseIntensity + randomVariation)));
-        
-        segmentIntensities[segmentKey] = intensity;
-      });
-    });
-    
-    // Apply intensities to features
-    return data.map(feature => {
-      const routeId = feature.properties.routeId;
-      const segments = routeSegments[routeId] || [];
-      
-      // Find which segment this feature belongs to
-      let segmentIndex = 0;
-      let found = false;
-      for (let i = 0; i < segments.length; i++) {
-        if (segments[i].some(f => f.id === feature.id)) {
-          segmentIndex = i;
-          found = true;
-          break;
-        }
-      }
-      
-      const segmentKey = `${routeId}-${segmentIndex}`;
-      const intensity = segmentIntensities[segmentKey] || 1;
-      
-      return {
-        ...feature,
-        properties: {
-          ...feature.properties,
-          intensity: intensity
-        }
-      };
-    });
-  };
-
-  // Color scheme definitions
-  const getColorScheme = (scheme, densityCap = maxDensity) => {
-    const colors = ['interpolate', ['linear'], ['get', 'intensity']];
-    
-    if (scheme === 'full') {
-      // Full spectrum: blue -> cyan -> green -> yellow -> orange -> red
-      for (let i = 1; i <= densityCap; i++) {
-        const ratio = (i - 1) / Math.max(densityCap - 1, 1);
-        const opacity = Math.min(0.4 + (ratio * 0.6), 1.0);
-        
-        if (ratio <= 0.2) {
-          colors.push(i, `rgba(0, ${Math.floor(100 + ratio * 750)}, 255, ${opacity})`);
-        } else if (ratio <= 0.4) {
-          colors.push(i, `rgba(0, 255, ${Math.floor(255 - (ratio - 0.2) * 1275)}, ${opacity})`);
-        } else if (ratio <= 0.6) {
-          colors.push(i, `rgba(${Math.floor((ratio - 0.4) * 1275)}, 255, 0, ${opacity})`);
-        } else if (ratio <= 0.8) {
-          colors.push(i, `rgba(255, ${Math.floor(255 - (ratio - 0.6) * 1275)}, 0, ${opacity})`);
-        } else {
-          colors.push(i, `rgba(255, 0, 0, ${opacity})`);
-        }
-      }
-    } else {
-      // Blue gradient
-      for (let i = 1; i <= densityCap; i++) {
-        const ratio = (i - 1) / Math.max(densityCap - 1, 1);
-        const opacity = Math.min(0.4 + (ratio * 0.6), 1.0);
-        const blueValue = Math.floor(255 - ratio * 75);
-        const greenValue = Math.floor(120 + ratio * 80);
-        colors.push(i, `rgba(0, ${greenValue}, ${blueValue}, ${opacity})`);
-      }
-    }
-    
-    return colors;
-  };
-
   useEffect(() => {
     const initializeMap = async () => {
       // if (map.current) return;
@@ -267,8 +409,7 @@ function App() {
       map.current = new mapboxgl.Map({
         container: mapContainer.current,
         style: 'mapbox://styles/mapbox/dark-v11',
-        center: [lng, lat],
-        zoom: zoom,
+        ...(initialViewRef.current.camera || DEFAULT_CAMERA),
         preserveDrawingBuffer: true // Required for screenshot functionality
       });
 
@@ -291,29 +432,123 @@ function App() {
         }, 1500);
       });
 
+      // Keep the camera in the URL hash
+      map.current.on('moveend', () => {
+        setCamera(roundCamera({
+          center: map.current.getCenter().toArray(),
+          zoom: map.current.getZoom(),
+          bearing: map.current.getBearing(),
+          pitch: map.current.getPitch()
+        }));
+      });
+
       map.current.on('load', async () => {
         try {
+          // Draw the prebuilt vector tiles straight away when the build has them and
+          // they count density the way the view does. They are swapped for the full
+          // data, which every control works on, once it arrives. Tiles written for
+          // no routes have no bounds to fit, and nothing to draw.
+          const availableTileset = await loadTileset();
+          const tileset = availableTileset && availableTileset.bounds?.every(Number.isFinite) &&
+            matchesBakedDensity(availableTileset, initialViewRef.current) ? availableTileset : null;
+          if (tileset) {
+            map.current.addSource('hiking-tiles', {
+              type: 'vector',
+              // Mapbox needs absolute tile URLs, relative to the app's base path;
+              // new URL() would escape the {z}/{x}/{y} braces, so only the base goes through it
+              tiles: tileset.tiles.map(url => `${new URL(import.meta.env.BASE_URL, window.location.href).href}${url}`),
+              minzoom: tileset.minzoom,
+              maxzoom: tileset.maxzoom,
+              bounds: tileset.bounds
+            });
+            map.current.addLayer({
+              id: 'hiking-tile-lines',
+              type: 'line',
+              source: 'hiking-tiles',
+              'source-layer': tileset.vector_layers[0].id,
+              layout: {
+                'line-join': 'round',
+                'line-cap': 'round'
+              },
+              paint: {
+                'line-color': paletteColorRef.current,
+                'line-width': HEATMAP_LINE_WIDTH,
+                'line-opacity': HEATMAP_LINE_OPACITY
+              }
+            });
+            setRouteCount(tileset.totalRoutes);
+            // A link's camera wins over fitting the routes
+            if (!initialViewRef.current.camera) {
+              replaceNextHashRef.current = true;
+              map.current.fitBounds(tileset.bounds, { padding: 50, maxZoom: 12 });
+            }
+          }
+          
           // Load pre-processed heatmap data
-          const heatmapDataResponse = await loadStaticHeatmapData();
+          const heatmapDataResponse = await loadStaticHeatmapData((loadedBytes, totalBytes) => {
+            if (totalBytes > 0) {
+              setLoadProgress(Math.min(loadedBytes / totalBytes, 1));
+            }
+          });
           const heatmapData = heatmapDataResponse.features;
           
           setRouteCount(heatmapDataResponse.metadata.totalRoutes);
+          
+          const routeTable = heatmapDataResponse.routes || [];
+          const knownYears = routeTable.map(route => route.year).filter(year => year != null);
+          setRoutes(routeTable);
+          setGeneratedStatistics(heatmapDataResponse.metadata.statistics || null);
+          if (knownYears.length > 0) {
+            // Keep a year range restored from a link
+            setYearRange(previous => previous ?? [Math.min(...knownYears), Math.max(...knownYears)]);
+          }
           setLoading(false);
           
           console.log('Loaded static heatmap data:', heatmapDataResponse.metadata.totalRoutes, 'routes');
           console.log('Heatmap features:', heatmapData.length);
         
         // Store original data for processing
+        const [fullDetailLevel, ...coarserLevels] = heatmapDataResponse.levels;
         setOriginalHeatmapData(heatmapData);
-        // Initial processing with default radius
-        setProcessedHeatmapData(heatmapData);
+        setOverviewLevels(coarserLevels);
+        // The data's own intensities are drawn until the first density job finishes,
+        // unless they were counted with another radius or strategy than the view's
+        const showsBakedDensity = matchesBakedDensity(heatmapDataResponse.metadata, initialViewRef.current);
+        setProcessedHeatmapData(showsBakedDensity ? heatmapData : []);
+        
+        // Simplified routes stand in for the full detail when zoomed out
+        coarserLevels.forEach((detailLevel, index) => {
+          const level = index + 1;
+          map.current.addSource(overviewSourceId(level), {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: showsBakedDensity ? detailLevel.features : []
+            }
+          });
+          map.current.addLayer({
+            id: overviewLayerId(level),
+            type: 'line',
+            source: overviewSourceId(level),
+            ...levelZoomRange(detailLevel),
+            layout: {
+              'line-join': 'round',
+              'line-cap': 'round'
+            },
+            paint: {
+              'line-color': withRouteHoverColor(paletteColorRef.current),
+              'line-width': HEATMAP_LINE_WIDTH,
+              'line-opacity': HEATMAP_LINE_OPACITY
+            }
+          });
+        });
         
         // Add heatmap line data source
         map.current.addSource('hiking-routes', {
           type: 'geojson',
           data: {
             type: 'FeatureCollection',
-            features: heatmapData
+            features: showsBakedDensity ? heatmapData : []
           }
         });
 
@@ -322,59 +557,174 @@ function App() {
           id: 'hiking-heatmap-lines',
           type: 'line',
           source: 'hiking-routes',
+          ...levelZoomRange(fullDetailLevel),
           layout: {
             'line-join': 'round',
             'line-cap': 'round'
           },
           paint: {
             // Color based on segment density/intensity
-            'line-color': getColorScheme(colorScheme, maxDensity),
+            'line-color': withRouteHoverColor(paletteColorRef.current),
             // Line width increases with density and zoom
-            'line-width': [
-              'interpolate',
-              ['linear'],
-              ['zoom'],
-              6, [
-                'interpolate',
-                ['linear'],
-                ['get', 'intensity'],
-                1, 1,
-                10, 3
-              ],
-              12, [
-                'interpolate',
-                ['linear'],
-                ['get', 'intensity'],
-                1, 2,
-                10, 6
-              ],
-              18, [
-                'interpolate',
-                ['linear'],
-                ['get', 'intensity'],
-                1, 3,
-                10, 8
-              ]
-            ],
+            'line-width': HEATMAP_LINE_WIDTH,
             // Opacity based on intensity
-            'line-opacity': [
-              'interpolate',
-              ['linear'],
-              ['get', 'intensity'],
-              1, 0.6,
-              5, 0.8,
-              10, 1.0
-            ]
+            'line-opacity': HEATMAP_LINE_OPACITY
           }
         });
 
+        // Routes picked from a segment popup are drawn on top in white
+        map.current.addLayer({
+          id: 'hiking-highlight-lines',
+          type: 'line',
+          source: 'hiking-routes',
+          filter: ['in', ['get', 'routeId'], ['literal', []]],
+          layout: {
+            'line-join': 'round',
+            'line-cap': 'round'
+          },
+          paint: {
+            'line-color': '#ffffff',
+            'line-width': ['interpolate', ['linear'], ['zoom'], 6, 2, 12, 4, 18, 8],
+            'line-opacity': 0.9
+          }
+        });
+
+        // Start and finish clusters, drawn over the lines; older data has none
+        const endpoints = heatmapDataResponse.metadata.endpoints;
+        if (endpoints) {
+          map.current.addSource('route-endpoints', {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: endpointFeatures(endpoints)
+            }
+          });
+          map.current.addLayer({
+            id: 'route-endpoint-circles',
+            type: 'circle',
+            source: 'route-endpoints',
+            paint: {
+              'circle-color': ['match', ['get', 'kind'], 'start', ENDPOINT_COLORS.start, ENDPOINT_COLORS.finish],
+              'circle-radius': ['interpolate', ['linear'], ['get', 'count'], 1, 7, 10, 16],
+              'circle-opacity': 0.85,
+              'circle-stroke-color': '#ffffff',
+              'circle-stroke-width': 1.5
+            }
+          });
+          map.current.addLayer({
+            id: 'route-endpoint-counts',
+            type: 'symbol',
+            source: 'route-endpoints',
+            layout: {
+              'text-field': ['to-string', ['get', 'count']],
+              'text-size': 10,
+              'text-allow-overlap': true,
+              'text-ignore-placement': true
+            },
+            paint: {
+              'text-color': '#ffffff'
+            }
+          });
+          map.current.addLayer({
+            id: 'route-endpoint-names',
+            type: 'symbol',
+            source: 'route-endpoints',
+            minzoom: 7,
+            layout: {
+              'text-field': ['get', 'name'],
+              'text-size': 10,
+              'text-anchor': 'top',
+              'text-offset': [0, 1.4]
+            },
+            paint: {
+              'text-color': '#ffffff',
+              'text-halo-color': 'rgba(0, 0, 0, 0.8)',
+              'text-halo-width': 1
+            }
+          });
+          setHasEndpoints(true);
+          
+          map.current.on('mouseenter', 'route-endpoint-circles', () => {
+            map.current.getCanvas().style.cursor = 'pointer';
+          });
+          map.current.on('mouseleave', 'route-endpoint-circles', () => {
+            map.current.getCanvas().style.cursor = '';
+          });
+        }
+
+        // Click or tap a line to list the routes that pass along it
+        const heatmapLayerIds = ['hiking-heatmap-lines', ...coarserLevels.map((_, index) => overviewLayerId(index + 1))];
+        map.current.on('click', (e) => {
+          const { x, y } = e.point;
+          
+          // A start or finish marker filters the heatmap to the routes that start
+          // or finish there, and a second click shows every route again
+          const [endpoint] = endpoints
+            ? map.current.queryRenderedFeatures(e.point, { layers: ['route-endpoint-circles'] })
+            : [];
+          if (endpoint) {
+            const { kind, clusterIndex } = endpoint.properties;
+            const cluster = endpoints[kind === 'start' ? 'starts' : 'finishes'][clusterIndex];
+            setIsolatedRouteIds(previous => (
+              previous && previous.size === cluster.routeIds.length && cluster.routeIds.every(routeId => previous.has(routeId))
+                ? null
+                : new Set(cluster.routeIds)
+            ));
+            return;
+          }
+          
+          const [feature] = map.current.queryRenderedFeatures(
+            [[x - 5, y - 5], [x + 5, y + 5]], // Padding makes thin lines easier to tap
+            { layers: heatmapLayerIds }
+          );
+          if (!feature) return;
+          
+          const geometry = feature.geometry;
+          const coordinates = geometry.type === 'MultiLineString' ? geometry.coordinates.flat() : geometry.coordinates;
+          const first = coordinates[0];
+          const last = coordinates[coordinates.length - 1];
+          
+          densityClientRef.current
+            .routesNear((first[0] + last[0]) / 2, (first[1] + last[1]) / 2)
+            .catch(error => {
+              // Fall back to the clicked line's own route, or the "no route information" popup
+              console.error('Error finding routes near the click:', error);
+              return [];
+            })
+            .then(nearbyRouteIds => {
+              const routeIds = new Set(nearbyRouteIds);
+              if (feature.properties.routeId !== undefined) {
+                routeIds.add(feature.properties.routeId);
+              }
+              setSelectedSegment({
+                lngLat: e.lngLat,
+                routeIds: [...routeIds].sort((a, b) => a - b),
+                climb: feature.properties.climb ?? null
+              });
+            });
+        });
+        
+        heatmapLayerIds.forEach(layerId => {
+          map.current.on('mouseenter', layerId, () => {
+            map.current.getCanvas().style.cursor = 'pointer';
+          });
+          map.current.on('mouseleave', layerId, () => {
+            map.current.getCanvas().style.cursor = '';
+          });
+        });
+
+        // Without baked density the full data draws nothing until the first
+        // density job finishes, so the tiles stay up until then
+        if (showsBakedDensity) {
+          removeTileLayer(map.current);
+        }
 
-        // Auto-zoom to fit all routes
-        if (heatmapData.length > 0) {
+        // Auto-zoom to fit all routes, unless the tiles or a link already placed the camera
+        if (heatmapData.length > 0 && !tileset && !initialViewRef.current.camera) {
           const bounds = new mapboxgl.LngLatBounds();
           let pointCount = 0;
           
-          heatmapData.forEach((feature, index) => {
+          heatmapData.forEach(feature => {
             if (feature.geometry && feature.geometry.coordinates) {
               // Each feature is a LineString with coordinates [[lng1, lat1], [lng2, lat2]]
               feature.geometry.coordinates.forEach(coord => {
@@ -395,6 +745,7 @@ function App() {
             console.log('Calculated center:', center);
             
             // Move map to center and then fit bounds
+            replaceNextHashRef.current = true;
             map.current.setCenter([center.lng, center.lat]);
             
             map.current.fitBounds(bounds, {
@@ -422,48 +773,389 @@ function App() {
 
   // Update color scheme when changed
   useEffect(() => {
-    if (map.current && map.current.getLayer('hiking-heatmap-lines')) {
-      map.current.setPaintProperty('hiking-heatmap-lines', 'line-color', getColorScheme(colorScheme, maxDensity));
-    }
-  }, [colorScheme, maxDensity]);
+    const lineColor = colorBy === 'climb' ? CLIMB_LINE_COLOR : getColorScheme(colorScheme, maxDensity, customPalette);
+    const overviewLayerIds = overviewLevels.map((_, index) => overviewLayerId(index + 1));
+    ['hiking-heatmap-lines', 'hiking-tile-lines', ...overviewLayerIds].forEach(layerId => {
+      if (map.current && map.current.getLayer(layerId)) {
+        // The tiles have no feature ids to hang the hover state on
+        map.current.setPaintProperty(
+          layerId,
+          'line-color',
+          layerId === 'hiking-tile-lines' ? lineColor : withRouteHoverColor(lineColor)
+        );
+      }
+    });
+  }, [colorScheme, customPalette, colorBy, maxDensity, overviewLevels]);
 
-  // Update processed data when overlap radius changes, then update map
+  // Mark the segments of the route hovered in the route list
   useEffect(() => {
-    if (originalHeatmapData.length > 0) {
-      console.log('Starting processing...');
-      setIsProcessing(true);
+    if (hoveredRouteId === null || !map.current) return;
+    
+    const setHover = (hover) => {
+      routeFeatureIds.forEach(({ source, idsByRoute }) => {
+        if (!map.current.getSource(source)) return;
+        (idsByRoute.get(hoveredRouteId) || []).forEach(id => {
+          map.current.setFeatureState({ source, id }, { hover });
+        });
+      });
+    };
+    
+    setHover(true);
+    return () => setHover(false);
+  }, [hoveredRouteId, routeFeatureIds]);
+
+  // Density processing runs in a worker for the lifetime of the page
+  useEffect(() => {
+    densityClientRef.current = createDensityClient();
+    return () => densityClientRef.current.terminate();
+  }, []);
+
+  // Update processed data when the settings or filters change, then update map.
+  // Every detail level is processed so zoomed out views match the full detail.
+  // A change while a job is running cancels it and starts again.
+  useEffect(() => {
+    if (originalHeatmapData.length === 0) return;
+    
+    const densityClient = densityClientRef.current;
+    densityClient.setSegments([originalHeatmapData, ...overviewLevels.map(detailLevel => detailLevel.features)]);
+    
+    console.log('Processing data with radius:', overlapRadius, 'and strategy:', densityStrategy);
+    setIsProcessing(true);
+    setProcessingProgress(null);
+    
+    const job = densityClient.process({
+      radiusMetres: overlapRadius,
+      strategy: densityStrategy,
+      densityCap: maxDensity,
+      randomize: randomizeIntensity,
+      climb: colorBy === 'climb',
+      // Density only counts the routes that pass the current filters
+      activeRouteIds: activeRouteIds ? [...activeRouteIds] : null
+    }, (completed, total) => {
+      setProcessingProgress(total > 0 ? completed / total : null);
+    });
+    
+    job.promise.then(([fullDetailResult, ...overviewResults]) => {
+      const newProcessedData = applyDensityResult(originalHeatmapData, fullDetailResult);
+      setProcessedHeatmapData(newProcessedData);
       
-      // Use setTimeout to allow UI to update with processing state
-      setTimeout(() => {
-        console.log('Processing data with radius:', overlapRadius);
-        const newProcessedData = reprocessWithRadius(originalHeatmapData, overlapRadius, maxDensity);
-        setProcessedHeatmapData(newProcessedData);
-        
-        // Now update the map with the appropriate data
-        if (map.current && map.current.getSource('hiking-routes')) {
-          let dataToUse;
-          if (randomizeIntensity) {
-            console.log('Applying randomization...');
-            dataToUse = randomizeIntensities(newProcessedData, overlapRadius, maxDensity);
-          } else {
-            dataToUse = newProcessedData;
-          }
-          
-          map.current.getSource('hiking-routes').setData({
+      if (map.current && map.current.getSource('hiking-routes')) {
+        map.current.getSource('hiking-routes').setData({
+          type: 'FeatureCollection',
+          features: newProcessedData
+        });
+        removeTileLayer(map.current);
+      }
+      overviewResults.forEach((result, index) => {
+        const source = map.current && map.current.getSource(overviewSourceId(index + 1));
+        if (source) {
+          source.setData({
             type: 'FeatureCollection',
-            features: dataToUse
+            features: applyDensityResult(overviewLevels[index].features, result)
           });
         }
-        
-        console.log('Processing complete');
-        setIsProcessing(false);
-      }, 500); // Increased to 500ms to make processing indicator clearly visible
+      });
+      
+      console.log('Processing complete');
+      setIsProcessing(false);
+    }).catch(error => {
+      if (error.cancelled) return;
+      console.error('Error processing heatmap data:', error);
+      setIsProcessing(false);
+    });
+    
+    return () => job.cancel();
+  }, [originalHeatmapData, overviewLevels, overlapRadius, densityStrategy, randomizeIntensity, maxDensity, colorBy, activeRouteIds]);
+
+  // Write the view to the URL hash once it settles. Each change adds a history
+  // entry, except the automatic fit to the routes on load.
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      if (viewHash === window.location.hash.replace(/^#/, '')) return;
+      
+      const url = `${window.location.pathname}${window.location.search}${viewHash ? `#${viewHash}` : ''}`;
+      if (replaceNextHashRef.current) {
+        window.history.replaceState(null, '', url);
+      } else {
+        window.history.pushState(null, '', url);
+      }
+      replaceNextHashRef.current = false;
+    }, HASH_UPDATE_DELAY_MS);
+    
+    return () => clearTimeout(timeout);
+  }, [viewHash]);
+
+  // Back, forward and edited links restore the view in the hash
+  useEffect(() => {
+    const handlePopState = () => {
+      const view = { ...DEFAULT_VIEW_STATE, ...decodeViewState(window.location.hash) };
+      setColorScheme(view.colorScheme);
+      if (view.customPalette) {
+        setCustomPalette(view.customPalette);
+      }
+      setColorBy(view.colorBy);
+      setMaxDensity(view.maxDensity);
+      setOverlapRadius(view.overlapRadius);
+      setDensityStrategy(view.densityStrategy);
+      setRandomizeIntensity(view.randomizeIntensity);
+      setShowEndpoints(view.showEndpoints);
+      setYearRange(view.yearRange ?? fullYearRange);
+      setExcludedYears(new Set(view.excludedYears));
+      setIsolatedRouteIds(view.isolatedRouteIds && new Set(view.isolatedRouteIds));
+      setExcludedRouteIds(new Set(view.excludedRouteIds));
+      if (view.camera && map.current) {
+        map.current.jumpTo(view.camera);
+      }
+    };
+    
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [fullYearRange]);
+
+  // Show or hide the start and finish markers
+  useEffect(() => {
+    ENDPOINT_LAYER_IDS.forEach(layerId => {
+      if (map.current && map.current.getLayer(layerId)) {
+        map.current.setLayoutProperty(layerId, 'visibility', showEndpoints ? 'visible' : 'none');
+      }
+    });
+  }, [showEndpoints, hasEndpoints]);
+
+  // Show highlighted routes on the highlight layer
+  useEffect(() => {
+    if (map.current && map.current.getLayer('hiking-highlight-lines')) {
+      map.current.setFilter('hiking-highlight-lines', ['in', ['get', 'routeId'], ['literal', highlightedRouteIds]]);
+    }
+  }, [highlightedRouteIds]);
+
+  // Open a popup at the clicked segment; its content is rendered through a portal below
+  useEffect(() => {
+    if (!selectedSegment || !map.current) return;
+    
+    const popup = new mapboxgl.Popup({ maxWidth: '240px' })
+      .setLngLat(selectedSegment.lngLat)
+      .setDOMContent(popupNodeRef.current)
+      .addTo(map.current);
+    popup.on('close', () => {
+      if (popupRef.current === popup) {
+        popupRef.current = null;
+        // A click on another line closes this popup and selects a new segment in the same tick
+        setSelectedSegment(current => (current === selectedSegment ? null : current));
+      }
+    });
+    popupRef.current = popup;
+    
+    return () => {
+      popupRef.current = null;
+      popup.remove();
+    };
+  }, [selectedSegment]);
+
+  // Compare dropped plans with the heatmap, again whenever the density is reprocessed
+  useEffect(() => {
+    const comparable = plannedRoutes.filter(plannedRoute => !plannedRoute.error);
+    if (comparable.length === 0) return;
+    
+    // A plan that can't be compared gets { error } in place of its comparison
+    let stale = false;
+    Promise.all(comparable.map(plannedRoute => (
+      densityClientRef.current.compareRoute(plannedRoute.lines).catch(error => {
+        console.error(`Error comparing ${plannedRoute.filename}:`, error);
+        return { error: `Could not compare: ${error.message}` };
+      })
+    )))
+      .then(results => {
+        if (stale) return;
+        setPlannedComparisons(Object.fromEntries(
+          comparable.map((plannedRoute, index) => [plannedRoute.id, results[index]])
+        ));
+      });
+    
+    return () => {
+      stale = true;
+    };
+  }, [plannedRoutes, processedHeatmapData]);
+
+  // Draw dropped plans over the heatmap, with the stretches off every known route dashed
+  useEffect(() => {
+    if (!map.current || !map.current.getSource('hiking-routes')) return;
+    
+    const plannedData = {
+      type: 'FeatureCollection',
+      features: plannedRoutes.flatMap(plannedRoute => (plannedRoute.lines || []).map(coordinates => ({
+        type: 'Feature',
+        properties: { plannedId: plannedRoute.id },
+        geometry: { type: 'LineString', coordinates }
+      })))
+    };
+    const offRouteData = {
+      type: 'FeatureCollection',
+      features: plannedRoutes.flatMap(plannedRoute => (
+        plannedComparisons[plannedRoute.id]?.offRouteStretches || []
+      ).map(stretch => ({
+        type: 'Feature',
+        properties: { plannedId: plannedRoute.id, lengthMetres: stretch.lengthMetres },
+        geometry: { type: 'LineString', coordinates: stretch.coordinates }
+      })))
+    };
+    
+    if (map.current.getSource('planned-routes')) {
+      map.current.getSource('planned-routes').setData(plannedData);
+      map.current.getSource('planned-off-route').setData(offRouteData);
+      return;
+    }
+    
+    map.current.addSource('planned-routes', { type: 'geojson', data: plannedData });
+    map.current.addSource('planned-off-route', { type: 'geojson', data: offRouteData });
+    map.current.addLayer({
+      id: 'planned-route-casing',
+      type: 'line',
+      source: 'planned-routes',
+      layout: { 'line-join': 'round', 'line-cap': 'round' },
+      paint: {
+        'line-color': '#000000',
+        'line-width': ['interpolate', ['linear'], ['zoom'], 6, 4, 12, 7, 18, 11],
+        'line-opacity': 0.6
+      }
+    });
+    map.current.addLayer({
+      id: 'planned-route-lines',
+      type: 'line',
+      source: 'planned-routes',
+      layout: { 'line-join': 'round', 'line-cap': 'round' },
+      paint: {
+        'line-color': '#ff00ff',
+        'line-width': ['interpolate', ['linear'], ['zoom'], 6, 2, 12, 4, 18, 7]
+      }
+    });
+    map.current.addLayer({
+      id: 'planned-off-route-lines',
+      type: 'line',
+      source: 'planned-off-route',
+      layout: { 'line-join': 'round' },
+      paint: {
+        'line-color': '#ffffff',
+        'line-width': ['interpolate', ['linear'], ['zoom'], 6, 2, 12, 4, 18, 7],
+        'line-dasharray': [1, 1]
+      }
+    });
+  }, [plannedRoutes, plannedComparisons]);
+
+  // Read dropped route files in the browser and add them as planned routes.
+  // Files that can't be read are listed with the reason.
+  const addPlannedRouteFiles = async (files) => {
+    if (files.length === 0) return;
+    
+    const added = await Promise.all(files.map(async (file) => {
+      const id = nextPlannedRouteIdRef.current++;
+      let route;
+      try {
+        route = parseRouteFile(await file.arrayBuffer(), file.name);
+      } catch (error) {
+        return { id, name: file.name, filename: file.name, lines: [], error: error.message };
+      }
+      const lines = route.tracks
+        .map(track => track.points.map(point => [point.lon, point.lat]))
+        .filter(coordinates => coordinates.length >= 2);
+      
+      if (lines.length === 0) {
+        return { id, name: file.name, filename: file.name, lines: [], error: 'No track or route found in this file' };
+      }
+      return { id, name: route.name, filename: file.name, lines };
+    }));
+    setPlannedRoutes(current => [...current, ...added]);
+    
+    const bounds = new mapboxgl.LngLatBounds();
+    added.forEach(plannedRoute => plannedRoute.lines.forEach(coordinates => coordinates.forEach(coord => bounds.extend(coord))));
+    if (!bounds.isEmpty()) {
+      map.current.fitBounds(bounds, { padding: 80, maxZoom: 12 });
     }
-  }, [originalHeatmapData, overlapRadius, randomizeIntensity, maxDensity]);
+  };
+
+  const removePlannedRoute = (id) => {
+    setPlannedRoutes(current => current.filter(plannedRoute => plannedRoute.id !== id));
+  };
+
+  const showPlannedStretch = (stretch) => {
+    const bounds = new mapboxgl.LngLatBounds();
+    stretch.coordinates.forEach(coord => bounds.extend(coord));
+    map.current.fitBounds(bounds, { padding: 80, maxZoom: 14 });
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDraggingFile(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDraggingFile(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    addPlannedRouteFiles([...e.dataTransfer.files]);
+  };
+
+  // Follow the cursor on the elevation profile with a marker on the map
+  const showProfilePoint = (point) => {
+    if (!point) {
+      profileMarkerRef.current?.remove();
+      profileMarkerRef.current = null;
+      return;
+    }
+    if (!profileMarkerRef.current) {
+      profileMarkerRef.current = new mapboxgl.Marker({ color: '#c000c0', scale: 0.6 });
+    }
+    profileMarkerRef.current.setLngLat([point.lon, point.lat]).addTo(map.current);
+  };
+
+  const showStatisticsStretch = (stretch) => {
+    map.current.fitBounds(stretch.bounds, { padding: 80, maxZoom: 14 });
+  };
+
+  const showProfile = (routeId) => {
+    setProfileRouteId(routeId);
+    setHighlightedRouteIds([routeId]);
+  };
+
+  const closeProfile = () => {
+    showProfilePoint(null);
+    setProfileRouteId(null);
+  };
+
+  const selectedRoutes = selectedSegment
+    ? selectedSegment.routeIds
+      .filter(routeId => routes[routeId])
+      .map(routeId => ({ routeId, ...routes[routeId] }))
+    : [];
+  const selectedIsHighlighted = selectedRoutes.length > 0 &&
+    selectedRoutes.length === highlightedRouteIds.length &&
+    selectedRoutes.every(route => highlightedRouteIds.includes(route.routeId));
+  const selectedIsIsolated = selectedRoutes.length > 0 && isolatedRouteIds !== null &&
+    selectedRoutes.length === isolatedRouteIds.size &&
+    selectedRoutes.every(route => isolatedRouteIds.has(route.routeId));
+
+  const toggleHighlightSelected = () => {
+    setHighlightedRouteIds(selectedIsHighlighted ? [] : selectedRoutes.map(route => route.routeId));
+  };
+
+  const toggleIsolateSelected = () => {
+    setIsolatedRouteIds(selectedIsIsolated ? null : new Set(selectedRoutes.map(route => route.routeId)));
+  };
 
 
   return (
-    <div style={{ width: '100%', height: '100vh' }}>
+    <div
+      style={{ width: '100%', height: '100vh' }}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       <div ref={mapContainer} style={{ width: '100%', height: '100%' }} />
       {!isCapturing && (
         <div style={{
@@ -481,8 +1173,9 @@ function App() {
         }}>
         <h3 style={{ margin: 0, marginBottom: '4px', fontSize: '13px' }}>TGO Heatmap</h3>
         <p style={{ margin: 0, fontSize: '10px', marginBottom: '6px' }}>
-          {loading ? 'Loading...' : 
-           isProcessing ? 'Processing...' : 
+          {loading ? (loadProgress !== null ? `Loading... ${Math.round(loadProgress * 100)}%` : 'Loading...') : 
+           isProcessing ? (processingProgress !== null ? `Processing... ${Math.round(processingProgress * 100)}%` : 'Processing...') : 
+           activeRouteIds && activeRouteIds.size !== routeCount ? `${activeRouteIds.size} of ${routeCount} routes` :
            `${routeCount} routes`}
         </p>
         <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
@@ -493,19 +1186,56 @@ function App() {
             <select 
               value={colorScheme} 
               onChange={(e) => setColorScheme(e.target.value)}
-              disabled={isProcessing}
               style={{
                 fontSize: '9px',
                 padding: '1px 2px',
                 border: '1px solid #ccc',
                 borderRadius: '2px',
-                backgroundColor: isProcessing ? '#f5f5f5' : 'white',
-                opacity: isProcessing ? 0.6 : 1,
+                backgroundColor: 'white',
+                width: '100%'
+              }}
+            >
+              {listPalettes().map(palette => (
+                <option key={palette.id} value={palette.id}>{palette.name}</option>
+              ))}
+              <option value={CUSTOM_PALETTE_ID}>Custom</option>
+            </select>
+            {colorScheme === CUSTOM_PALETTE_ID && (
+              <button
+                onClick={() => setIsPaletteEditorOpen(!isPaletteEditorOpen)}
+                style={{
+                  fontSize: '8px',
+                  padding: '1px 4px',
+                  marginTop: '2px',
+                  border: '1px solid #ccc',
+                  borderRadius: '2px',
+                  backgroundColor: '#fff',
+                  cursor: 'pointer'
+                }}
+              >
+                {isPaletteEditorOpen ? 'Close editor' : 'Edit colours'}
+              </button>
+            )}
+          </div>
+          
+          <div>
+            <label style={{ fontSize: '9px', display: 'block', marginBottom: '1px', color: '#666' }}>
+              Colour By:
+            </label>
+            <select 
+              value={colorBy} 
+              onChange={(e) => setColorBy(e.target.value)}
+              style={{
+                fontSize: '9px',
+                padding: '1px 2px',
+                border: '1px solid #ccc',
+                borderRadius: '2px',
+                backgroundColor: 'white',
                 width: '100%'
               }}
             >
-              <option value="blue">Blue</option>
-              <option value="full">Spectrum</option>
+              <option value="density">Popularity</option>
+              <option value="climb">Climb</option>
             </select>
           </div>
           
@@ -516,21 +1246,18 @@ function App() {
             <select 
               value={maxDensity} 
               onChange={(e) => setMaxDensity(parseInt(e.target.value))}
-              disabled={isProcessing}
               style={{
                 fontSize: '9px',
                 padding: '1px 2px',
                 border: '1px solid #ccc',
                 borderRadius: '2px',
-                backgroundColor: isProcessing ? '#f5f5f5' : 'white',
-                opacity: isProcessing ? 0.6 : 1,
+                backgroundColor: 'white',
                 width: '100%'
               }}
             >
-              <option value={5}>5 routes</option>
-              <option value={10}>10 routes</option>
-              <option value={20}>20 routes</option>
-              <option value={50}>50 routes</option>
+              {DENSITY_CAP_OPTIONS.map(cap => (
+                <option key={cap} value={cap}>{cap} routes</option>
+              ))}
             </select>
           </div>
           
@@ -541,22 +1268,45 @@ function App() {
             <select 
               value={overlapRadius} 
               onChange={(e) => setOverlapRadius(parseInt(e.target.value))}
-              disabled={isProcessing}
               style={{
                 fontSize: '9px',
                 padding: '1px 2px',
                 border: '1px solid #ccc',
                 borderRadius: '2px',
-                backgroundColor: isProcessing ? '#f5f5f5' : 'white',
-                opacity: isProcessing ? 0.6 : 1,
+                backgroundColor: 'white',
                 width: '100%'
               }}
             >
-              <option value={100000}>1m</option>
-              <option value={10000}>10m</option>
-              <option value={1000}>100m</option>
-              <option value={500}>500m</option>
-              <option value={100}>1km</option>
+              {RADIUS_OPTIONS_METRES.map(radius => (
+                <option key={radius} value={radius}>
+                  {radius >= 1000 ? `${radius / 1000}km` : `${radius}m`}
+                </option>
+              ))}
+            </select>
+          </div>
+          
+          <div>
+            <label style={{ fontSize: '9px', display: 'block', marginBottom: '1px', color: '#666' }}>
+              Count:
+            </label>
+            <select 
+              value={densityStrategy} 
+              onChange={(e) => setDensityStrategy(e.target.value)}
+              title={DENSITY_STRATEGIES.find(strategy => strategy.id === densityStrategy)?.description}
+              style={{
+                fontSize: '9px',
+                padding: '1px 2px',
+                border: '1px solid #ccc',
+                borderRadius: '2px',
+                backgroundColor: 'white',
+                width: '100%'
+              }}
+            >
+              {DENSITY_STRATEGIES.map(strategy => (
+                <option key={strategy.id} value={strategy.id} title={strategy.description}>
+                  {strategy.name}
+                </option>
+              ))}
             </select>
           </div>
           
@@ -565,36 +1315,154 @@ function App() {
               type="checkbox" 
               checked={randomizeIntensity}
               onChange={(e) => setRandomizeIntensity(e.target.checked)}
-              disabled={isProcessing}
               style={{ 
                 marginRight: '3px',
-                opacity: isProcessing ? 0.6 : 1,
                 transform: 'scale(0.8)'
               }}
             />
             Randomize
           </label>
           
+          {hasEndpoints && (
+            <label style={{ fontSize: '9px', display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+              <input 
+                type="checkbox" 
+                checked={showEndpoints}
+                onChange={(e) => setShowEndpoints(e.target.checked)}
+                style={{ 
+                  marginRight: '3px',
+                  transform: 'scale(0.8)'
+                }}
+              />
+              Starts &amp; finishes
+            </label>
+          )}
+          
+          <YearFilter
+            years={routeYears}
+            hasUndated={routes.some(route => route.year == null)}
+            yearRange={yearRange}
+            excludedYears={excludedYears}
+            onYearRangeChange={setYearRange}
+            onToggleYear={toggleYear}
+          />
+          
+          <div style={{ display: 'flex', gap: '2px', marginTop: '1px' }}>
+            <button 
+              onClick={captureScreenshot}
+              disabled={isProcessing || isCapturing}
+              style={{
+                fontSize: '8px',
+                padding: '3px 4px',
+                border: '1px solid #ccc',
+                borderRadius: '2px',
+                backgroundColor: isProcessing || isCapturing ? '#f5f5f5' : '#fff',
+                cursor: isProcessing || isCapturing ? 'default' : 'pointer',
+                opacity: isProcessing || isCapturing ? 0.6 : 1,
+                flex: 1
+              }}
+            >
+              {isCapturing ? 'Capturing...' : '📷 Screenshot'}
+            </button>
+            <button 
+              onClick={copyLink}
+              title="Copy a link to this view"
+              style={{
+                fontSize: '8px',
+                padding: '3px 4px',
+                border: '1px solid #ccc',
+                borderRadius: '2px',
+                backgroundColor: '#fff',
+                cursor: 'pointer'
+              }}
+            >
+              {linkCopied ? '✓' : '🔗 Link'}
+            </button>
+          </div>
+          
+          <button 
+            onClick={() => setIsPosterDialogOpen(true)}
+            disabled={loading}
+            style={{
+              fontSize: '8px',
+              padding: '3px 4px',
+              border: '1px solid #ccc',
+              borderRadius: '2px',
+              backgroundColor: loading ? '#f5f5f5' : '#fff',
+              cursor: loading ? 'default' : 'pointer',
+              opacity: loading ? 0.6 : 1
+            }}
+          >
+            🖼 Poster...
+          </button>
+          
           <button 
-            onClick={captureScreenshot}
-            disabled={isProcessing || isCapturing}
+            onClick={() => setIsDataExportDialogOpen(true)}
+            disabled={loading || isProcessing}
+            title="Download the heatmap as GeoJSON or KML, or its busiest corridors as GPX"
             style={{
               fontSize: '8px',
               padding: '3px 4px',
               border: '1px solid #ccc',
               borderRadius: '2px',
-              backgroundColor: isProcessing || isCapturing ? '#f5f5f5' : '#fff',
-              cursor: isProcessing || isCapturing ? 'default' : 'pointer',
-              opacity: isProcessing || isCapturing ? 0.6 : 1,
-              marginTop: '1px'
+              backgroundColor: loading || isProcessing ? '#f5f5f5' : '#fff',
+              cursor: loading || isProcessing ? 'default' : 'pointer',
+              opacity: loading || isProcessing ? 0.6 : 1
             }}
           >
-            {isCapturing ? 'Capturing...' : '📷 Screenshot'}
+            💾 Export data...
           </button>
+          
+          {isolatedRouteIds && (
+            <button 
+              onClick={() => setIsolatedRouteIds(null)}
+              style={{
+                fontSize: '8px',
+                padding: '3px 4px',
+                border: '1px solid #ccc',
+                borderRadius: '2px',
+                backgroundColor: '#fff',
+                cursor: 'pointer'
+              }}
+            >
+              Show all routes
+            </button>
+          )}
+          
+          <p style={{ margin: 0, fontSize: '8px', color: '#888' }}>
+            Drop GPX, KML, GeoJSON, TCX or FIT files on the map to compare a plan
+          </p>
         </div>
         </div>
       )}
       
+      {!isCapturing && (
+        <PlannedRoutePanel
+          plannedRoutes={plannedRoutes}
+          comparisons={plannedComparisons}
+          onRemove={removePlannedRoute}
+          onClear={() => setPlannedRoutes([])}
+          onShowStretch={showPlannedStretch}
+        />
+      )}
+      
+      {isDraggingFile && (
+        <div style={{
+          position: 'absolute',
+          inset: 0,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          background: 'rgba(0, 0, 0, 0.3)',
+          color: '#fff',
+          fontFamily: 'Arial, sans-serif',
+          fontSize: '16px',
+          pointerEvents: 'none'
+        }}>
+          Drop route files to compare them with the heatmap
+        </div>
+      )}
+      
       {/* Zoom level display - only show during zoom changes */}
       {!isCapturing && showZoomLevel && (
         <div style={{
@@ -612,6 +1480,80 @@ function App() {
           Zoom: {zoomLevel.toFixed(1)}
         </div>
       )}
+      
+      {!isCapturing && routes.length > 0 && (
+        <div style={{
+          position: 'absolute',
+          top: 10,
+          right: 50,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'flex-end',
+          gap: '6px'
+        }}>
+          <StatisticsPanel
+            routes={activeRoutes}
+            statistics={collectionStatistics}
+            onShowStretch={showStatisticsStretch}
+          />
+          <RouteListPanel
+            routes={routeList}
+            activeRouteIds={activeRouteIds}
+            excludedRouteIds={excludedRouteIds}
+            onToggleRoute={toggleRoute}
+            onSetAllIncluded={setAllRoutesIncluded}
+            onHoverRoute={setHoveredRouteId}
+          />
+        </div>
+      )}
+      
+      {!isCapturing && !loading && <MapLegend legend={legend} />}
+      
+      {!isCapturing && isPaletteEditorOpen && colorScheme === CUSTOM_PALETTE_ID && (
+        <PaletteEditor
+          palette={customPalette}
+          onChange={updateCustomPalette}
+          onClose={() => setIsPaletteEditorOpen(false)}
+        />
+      )}
+      
+      {!isCapturing && routeProfile && (
+        <ElevationProfile
+          routeName={routes[profileRouteId]?.name || `Route ${profileRouteId}`}
+          profile={routeProfile}
+          onHover={showProfilePoint}
+          onClose={closeProfile}
+        />
+      )}
+      
+      {selectedSegment && createPortal(
+        <SegmentPopup
+          routes={selectedRoutes}
+          climb={selectedSegment.climb}
+          isHighlighted={selectedIsHighlighted}
+          isIsolated={selectedIsIsolated}
+          onHighlight={toggleHighlightSelected}
+          onIsolate={toggleIsolateSelected}
+          onShowProfile={showProfile}
+        />,
+        popupNodeRef.current
+      )}
+      
+      {isPosterDialogOpen && (
+        <PosterExportDialog
+          defaultTitle="TGO Heatmap"
+          onExport={exportPosterFile}
+          onClose={() => setIsPosterDialogOpen(false)}
+        />
+      )}
+      
+      {isDataExportDialogOpen && (
+        <DataExportDialog
+          summary={shownRoutesSummary()}
+          onExport={exportDataFile}
+          onClose={() => setIsDataExportDialogOpen(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { DATA_EXPORT_FORMATS, DEFAULT_CORRIDOR_COUNT } from './heatmapExport';
+
+const labelStyle = { fontSize: '9px', display: 'block', marginBottom: '1px', color: '#666' };
+
+const inputStyle = {
+  fontSize: '9px',
+  padding: '1px 2px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: 'white',
+  width: '100%',
+  boxSizing: 'border-box'
+};
+
+const buttonStyle = {
+  fontSize: '9px',
+  padding: '3px 8px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: '#fff',
+  cursor: 'pointer'
+};
+
+// Data export settings: the format, and how many corridors for GPX.
+// onExport({ format, corridorCount }) saves the file, throwing an Error when
+// there is nothing to save. summary describes the routes shown, e.g. "42 routes".
+function DataExportDialog({ summary, onExport, onClose }) {
+  const [format, setFormat] = useState('geojson');
+  const [corridorCount, setCorridorCount] = useState(DEFAULT_CORRIDOR_COUNT);
+  const [error, setError] = useState(null);
+
+  const handleExport = () => {
+    try {
+      onExport({ format, corridorCount });
+      onClose();
+    } catch (exportError) {
+      console.error('Error exporting heatmap data:', exportError);
+      setError(exportError.message);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      inset: 0,
+      background: 'rgba(0, 0, 0, 0.4)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontFamily: 'Arial, sans-serif'
+    }}>
+      <div style={{
+        background: 'white',
+        padding: '10px 12px',
+        borderRadius: '4px',
+        width: '220px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)'
+      }}>
+        <h3 style={{ margin: 0, fontSize: '13px' }}>Export data</h3>
+
+        <div>
+          <label style={labelStyle}>Format:</label>
+          <select value={format} onChange={(e) => setFormat(e.target.value)} style={inputStyle}>
+            {Object.entries(DATA_EXPORT_FORMATS).map(([id, { name }]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </div>
+
+        {format === 'gpx' && (
+          <div>
+            <label style={labelStyle}>Corridors:</label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={corridorCount}
+              onChange={(e) => setCorridorCount(Math.max(1, parseInt(e.target.value) || 1))}
+              style={inputStyle}
+            />
+          </div>
+        )}
+
+        <p style={{ margin: 0, fontSize: '9px', color: '#666' }}>
+          {format === 'gpx'
+            ? `The ${corridorCount} most walked stretches of the routes shown (${summary}), one track each.`
+            : `Every stretch of the routes shown (${summary}), with the number of routes along it.`}
+        </p>
+        {error && <p style={{ margin: 0, fontSize: '9px', color: '#c0392b' }}>{error}</p>}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '4px' }}>
+          <button onClick={onClose} style={buttonStyle}>Cancel</button>
+          <button onClick={handleExport} style={buttonStyle}>Export</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DataExportDialog;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+
+const WIDTH = 320;
+const HEIGHT = 90;
+const PADDING = { top: 6, right: 6, bottom: 14, left: 32 };
+
+const buttonStyle = {
+  fontSize: '8px',
+  padding: '1px 4px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: '#fff',
+  cursor: 'pointer'
+};
+
+// Index of the profile point closest to a distance along the route
+const closestPointIndex = (points, distance) => {
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (points[middle].distance < distance) low = middle + 1;
+    else high = middle;
+  }
+  if (low > 0 && distance - points[low - 1].distance < points[low].distance - distance) {
+    return low - 1;
+  }
+  return low;
+};
+
+// Distance/elevation chart for one route. onHover(point) gets the profile point
+// under the cursor, or null when the cursor leaves the chart.
+function ElevationProfile({ routeName, profile, onHover, onClose }) {
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const header = (
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2px' }}>
+      <strong style={{ fontSize: '11px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+        {routeName}
+      </strong>
+      <button onClick={onClose} style={buttonStyle}>✕</button>
+    </div>
+  );
+
+  const containerStyle = {
+    position: 'absolute',
+    bottom: 30,
+    left: '50%',
+    transform: 'translateX(-50%)',
+    background: 'rgba(255, 255, 255, 0.9)',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    fontFamily: 'Arial, sans-serif',
+    fontSize: '10px',
+    width: `${WIDTH}px`,
+    boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
+  };
+
+  if (!profile.hasElevation) {
+    return (
+      <div style={containerStyle}>
+        {header}
+        <div style={{ color: '#666' }}>This route has no elevation data.</div>
+      </div>
+    );
+  }
+
+  const { points, lengthMetres, ascentMetres, descentMetres, minEle, maxEle } = profile;
+  const chartWidth = WIDTH - PADDING.left - PADDING.right;
+  const chartHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const eleRange = Math.max(maxEle - minEle, 1);
+  const x = (distance) => PADDING.left + (distance / Math.max(lengthMetres, 1)) * chartWidth;
+  const y = (ele) => PADDING.top + (1 - (ele - minEle) / eleRange) * chartHeight;
+
+  const linePath = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.distance).toFixed(1)},${y(point.ele).toFixed(1)}`).join('');
+  const areaPath = `${linePath}L${x(points[points.length - 1].distance).toFixed(1)},${PADDING.top + chartHeight}L${x(points[0].distance).toFixed(1)},${PADDING.top + chartHeight}Z`;
+  const hoverPoint = hoverIndex !== null ? points[hoverIndex] : null;
+
+  const handleMouseMove = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const distance = ((e.clientX - bounds.left - PADDING.left) / chartWidth) * lengthMetres;
+    const index = closestPointIndex(points, Math.max(0, Math.min(lengthMetres, distance)));
+    setHoverIndex(index);
+    onHover(points[index]);
+  };
+
+  const handleMouseLeave = () => {
+    setHoverIndex(null);
+    onHover(null);
+  };
+
+  return (
+    <div style={containerStyle}>
+      {header}
+      <div style={{ color: '#666', marginBottom: '2px' }}>
+        {(lengthMetres / 1000).toFixed(1)}km, ↑{Math.round(ascentMetres)}m ↓{Math.round(descentMetres)}m, highest {Math.round(maxEle)}m
+      </div>
+      <svg
+        width={WIDTH}
+        height={HEIGHT}
+        style={{ display: 'block', marginLeft: '-8px', cursor: 'crosshair' }}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={handleMouseLeave}
+      >
+        <path d={areaPath} fill="rgba(255, 0, 255, 0.15)" />
+        <path d={linePath} fill="none" stroke="#c000c0" strokeWidth="1.2" />
+        <text x={PADDING.left - 3} y={PADDING.top + 7} fontSize="8" textAnchor="end" fill="#666">{Math.round(maxEle)}m</text>
+        <text x={PADDING.left - 3} y={PADDING.top + chartHeight} fontSize="8" textAnchor="end" fill="#666">{Math.round(minEle)}m</text>
+        <text x={PADDING.left} y={HEIGHT - 3} fontSize="8" fill="#666">0km</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 3} fontSize="8" textAnchor="end" fill="#666">
+          {(lengthMetres / 1000).toFixed(0)}km
+        </text>
+        {hoverPoint && (
+          <>
+            <line
+              x1={x(hoverPoint.distance)}
+              x2={x(hoverPoint.distance)}
+              y1={PADDING.top}
+              y2={PADDING.top + chartHeight}
+              stroke="#333"
+              strokeWidth="0.5"
+            />
+            <circle cx={x(hoverPoint.distance)} cy={y(hoverPoint.ele)} r="2.5" fill="#c000c0" />
+            <text x={x(hoverPoint.distance) + 4} y={PADDING.top + 8} fontSize="8" fill="#333">
+              {(hoverPoint.distance / 1000).toFixed(1)}km, {Math.round(hoverPoint.ele)}m
+            </text>
+          </>
+        )}
+      </svg>
+    </div>
+  );
+}
+
+export default ElevationProfile;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { LEGEND_LAYOUT } from './legend';
+
+const { padding, titleSize, labelSize, rowHeight, swatchWidth, swatchHeight, swatchGap } = LEGEND_LAYOUT;
+
+// What the line colours mean, from heatmapLegend. Screenshots draw the same
+// legend onto the image with drawLegend, so keep the two layouts in step.
+function MapLegend({ legend }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: 30,
+      right: 10,
+      background: 'rgba(255, 255, 255, 0.9)',
+      padding: `${padding}px`,
+      borderRadius: '4px',
+      fontFamily: 'Arial, sans-serif',
+      boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
+    }}>
+      <div style={{ fontSize: `${titleSize}px`, fontWeight: 'bold', color: '#222', marginBottom: '4px' }}>
+        {legend.title}
+      </div>
+      {legend.bands.map(band => (
+        <div key={band.label} style={{ display: 'flex', alignItems: 'center', height: `${rowHeight}px`, fontSize: `${labelSize}px`, color: '#333' }}>
+          <span style={{
+            width: `${swatchWidth}px`,
+            height: `${swatchHeight}px`,
+            marginRight: `${swatchGap}px`,
+            backgroundColor: '#1a1a1a',
+            backgroundImage: `linear-gradient(${band.color}, ${band.color})`
+          }} />
+          {band.label}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default MapLegend;
@@ -0,0 +1,114 @@
+import React from 'react';
+import { MAX_CUSTOM_COLORS, MIN_CUSTOM_COLORS, createCustomPalette, paletteOpacity } from './palettes';
+
+const labelStyle = { fontSize: '9px', display: 'block', marginBottom: '1px', color: '#666' };
+
+const buttonStyle = {
+  fontSize: '8px',
+  padding: '1px 4px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: '#fff',
+  cursor: 'pointer'
+};
+
+// Steps in the preview bar, enough to show the opacity curve
+const PREVIEW_STEPS = 12;
+
+// Editor for the custom palette { colors, minOpacity, maxOpacity, curve }.
+// Every change is passed straight to onChange so the map updates as you edit.
+function PaletteEditor({ palette, onChange, onClose }) {
+  const preview = createCustomPalette(palette);
+  const previewColors = Array.from({ length: PREVIEW_STEPS }, (_, index) => {
+    const ratio = index / (PREVIEW_STEPS - 1);
+    const [red, green, blue] = preview.rgb(ratio);
+    return `rgba(${red}, ${green}, ${blue}, ${paletteOpacity(preview, ratio)})`;
+  });
+
+  const setColor = (index, color) => {
+    onChange({ ...palette, colors: palette.colors.map((existing, i) => (i === index ? color : existing)) });
+  };
+
+  const removeColor = (index) => {
+    onChange({ ...palette, colors: palette.colors.filter((_, i) => i !== index) });
+  };
+
+  const addColor = () => {
+    onChange({ ...palette, colors: [...palette.colors, palette.colors[palette.colors.length - 1]] });
+  };
+
+  const slider = (key, label, min, max, step) => (
+    <div>
+      <label style={labelStyle}>{label}: {palette[key]}</label>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={palette[key]}
+        onChange={(e) => onChange({ ...palette, [key]: parseFloat(e.target.value) })}
+        style={{ width: '100%', margin: 0, height: '12px' }}
+      />
+    </div>
+  );
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 10,
+      left: 150,
+      background: 'rgba(255, 255, 255, 0.95)',
+      padding: '8px',
+      borderRadius: '4px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '10px',
+      width: '150px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px',
+      boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong style={{ fontSize: '11px' }}>Custom palette</strong>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      <div style={{
+        height: '10px',
+        borderRadius: '2px',
+        backgroundColor: '#1a1a1a',
+        backgroundImage: `linear-gradient(to right, ${previewColors.join(', ')})`
+      }} />
+
+      <div>
+        <label style={labelStyle}>Colours, fewest routes first:</label>
+        {palette.colors.map((color, index) => (
+          <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '4px', marginBottom: '2px' }}>
+            <input
+              type="color"
+              value={color}
+              onChange={(e) => setColor(index, e.target.value)}
+              style={{ width: '40px', height: '16px', padding: 0, border: '1px solid #ccc' }}
+            />
+            {palette.colors.length > MIN_CUSTOM_COLORS && (
+              <button onClick={() => removeColor(index)} style={buttonStyle}>Remove</button>
+            )}
+          </div>
+        ))}
+        {palette.colors.length < MAX_CUSTOM_COLORS && (
+          <button onClick={addColor} style={buttonStyle}>+ Add colour</button>
+        )}
+      </div>
+
+      {slider('minOpacity', 'Opacity at 1 route', 0, 1, 0.05)}
+      {slider('maxOpacity', 'Opacity at the cap', 0, 1, 0.05)}
+      {slider('curve', 'Opacity curve', 0.2, 3, 0.1)}
+
+      <p style={{ margin: 0, fontSize: '8px', color: '#888' }}>
+        Saved in this browser. Copy a link to share it.
+      </p>
+    </div>
+  );
+}
+
+export default PaletteEditor;
@@ -0,0 +1,115 @@
+import React from 'react';
+
+const buttonStyle = {
+  fontSize: '8px',
+  padding: '1px 4px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: '#fff',
+  cursor: 'pointer'
+};
+
+// Off-route stretches listed per plan; the rest are still drawn on the map
+const MAX_LISTED_STRETCHES = 5;
+
+const formatKm = (metres) => `${(metres / 1000).toFixed(1)}km`;
+
+const formatPercent = (metres, totalMetres) => (
+  `${totalMetres > 0 ? Math.round((metres / totalMetres) * 100) : 0}%`
+);
+
+// Summary of each dropped GPX plan against the heatmap. comparisons maps plan id
+// to the result of compareRouteToCorridors, missing while it is worked out, null
+// when no heatmap has been loaded to compare with, or { error } when it failed.
+function PlannedRoutePanel({ plannedRoutes, comparisons, onRemove, onClear, onShowStretch }) {
+  if (plannedRoutes.length === 0) return null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: 30,
+      left: 10,
+      background: 'rgba(255, 255, 255, 0.9)',
+      padding: '8px',
+      borderRadius: '4px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '10px',
+      width: '200px',
+      maxHeight: '50vh',
+      overflowY: 'auto',
+      boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+        <strong style={{ fontSize: '11px' }}>Planned routes</strong>
+        <button onClick={onClear} style={buttonStyle}>Clear</button>
+      </div>
+
+      {plannedRoutes.map(plannedRoute => {
+        const comparison = comparisons[plannedRoute.id];
+        const hasComparison = Boolean(comparison && !comparison.error);
+        const onKnownRoutes = hasComparison
+          ? comparison.totalMetres - comparison.bands[0].metres
+          : 0;
+        const longestStretches = hasComparison
+          ? [...comparison.offRouteStretches]
+            .sort((a, b) => b.lengthMetres - a.lengthMetres)
+            .slice(0, MAX_LISTED_STRETCHES)
+          : [];
+
+        return (
+          <div key={plannedRoute.id} style={{ borderTop: '1px solid #ddd', paddingTop: '4px', marginTop: '4px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '4px' }}>
+              <span style={{ fontWeight: 'bold', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {plannedRoute.name}
+              </span>
+              <button onClick={() => onRemove(plannedRoute.id)} style={buttonStyle}>✕</button>
+            </div>
+
+            {plannedRoute.error || comparison?.error ? (
+              <div style={{ color: '#c00' }}>{plannedRoute.error || comparison.error}</div>
+            ) : comparison === undefined ? (
+              <div style={{ color: '#666' }}>Comparing...</div>
+            ) : comparison === null ? (
+              <div style={{ color: '#666' }}>No heatmap loaded to compare with</div>
+            ) : (
+              <>
+                <div style={{ color: '#666', marginBottom: '2px' }}>
+                  {formatKm(comparison.totalMetres)}, {formatPercent(onKnownRoutes, comparison.totalMetres)} on known routes
+                </div>
+                <table style={{ width: '100%', fontSize: '9px', borderCollapse: 'collapse' }}>
+                  <tbody>
+                    {comparison.bands.map(band => (
+                      <tr key={band.label}>
+                        <td>{band.label}</td>
+                        <td style={{ textAlign: 'right' }}>{formatKm(band.metres)}</td>
+                        <td style={{ textAlign: 'right', width: '30px' }}>
+                          {formatPercent(band.metres, comparison.totalMetres)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {longestStretches.length > 0 && (
+                  <div style={{ marginTop: '2px', fontSize: '9px' }}>
+                    Leaves known routes:
+                    {longestStretches.map(stretch => (
+                      <button
+                        key={stretch.startMetres}
+                        onClick={() => onShowStretch(stretch)}
+                        style={{ ...buttonStyle, display: 'block', width: '100%', textAlign: 'left', marginTop: '1px' }}
+                      >
+                        {formatKm(stretch.lengthMetres)} at km {(stretch.startMetres / 1000).toFixed(1)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default PlannedRoutePanel;
@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { DPI_OPTIONS, PAPER_SIZES_MM, maxPosterDpi, maxPosterSide, posterSize } from './posterExport';
+
+const labelStyle = { fontSize: '9px', display: 'block', marginBottom: '1px', color: '#666' };
+
+const inputStyle = {
+  fontSize: '9px',
+  padding: '1px 2px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: 'white',
+  width: '100%',
+  boxSizing: 'border-box'
+};
+
+const buttonStyle = {
+  fontSize: '9px',
+  padding: '3px 8px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: '#fff',
+  cursor: 'pointer'
+};
+
+// Poster settings: title, paper size and DPI or exact pixels, and file format.
+// onExport({ title, size, format }) returns a promise that settles once the
+// file has been saved.
+function PosterExportDialog({ defaultTitle, onExport, onClose }) {
+  const [title, setTitle] = useState(defaultTitle);
+  const [paper, setPaper] = useState('A3');
+  const [orientation, setOrientation] = useState('portrait');
+  const [dpi, setDpi] = useState(200);
+  const [widthPx, setWidthPx] = useState(3000);
+  const [heightPx, setHeightPx] = useState(2000);
+  const [format, setFormat] = useState('png');
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const maxSide = useMemo(() => maxPosterSide(), []);
+  const size = posterSize({ paper, orientation, dpi, widthPx, heightPx });
+  const isValidSize = size.widthPx > 0 && size.heightPx > 0;
+  const isTooLarge = Math.max(size.widthPx, size.heightPx) > maxSide;
+  const maxDpi = paper === 'custom' ? null : maxPosterDpi(paper, maxSide);
+
+  const handleExport = () => {
+    setIsExporting(true);
+    setError(null);
+    onExport({ title, size, format })
+      .then(onClose, (exportError) => {
+        console.error('Error exporting poster:', exportError);
+        setError(exportError.message);
+        setIsExporting(false);
+      });
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      inset: 0,
+      background: 'rgba(0, 0, 0, 0.4)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontFamily: 'Arial, sans-serif'
+    }}>
+      <div style={{
+        background: 'white',
+        padding: '10px 12px',
+        borderRadius: '4px',
+        width: '220px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)'
+      }}>
+        <h3 style={{ margin: 0, fontSize: '13px' }}>Export poster</h3>
+
+        <div>
+          <label style={labelStyle}>Title:</label>
+          <input value={title} onChange={(e) => setTitle(e.target.value)} style={inputStyle} />
+        </div>
+
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Size:</label>
+            <select value={paper} onChange={(e) => setPaper(e.target.value)} style={inputStyle}>
+              {Object.keys(PAPER_SIZES_MM).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+              <option value="custom">Pixels</option>
+            </select>
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>DPI:</label>
+            <select value={dpi} onChange={(e) => setDpi(parseInt(e.target.value))} style={inputStyle}>
+              {DPI_OPTIONS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {paper === 'custom' ? (
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Width (px):</label>
+              <input type="number" min="1" value={widthPx} onChange={(e) => setWidthPx(parseInt(e.target.value) || 0)} style={inputStyle} />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Height (px):</label>
+              <input type="number" min="1" value={heightPx} onChange={(e) => setHeightPx(parseInt(e.target.value) || 0)} style={inputStyle} />
+            </div>
+          </div>
+        ) : (
+          <div>
+            <label style={labelStyle}>Orientation:</label>
+            <select value={orientation} onChange={(e) => setOrientation(e.target.value)} style={inputStyle}>
+              <option value="portrait">Portrait</option>
+              <option value="landscape">Landscape</option>
+            </select>
+          </div>
+        )}
+
+        <div>
+          <label style={labelStyle}>Format:</label>
+          <select value={format} onChange={(e) => setFormat(e.target.value)} style={inputStyle}>
+            <option value="png">PNG image</option>
+            <option value="pdf">PDF document</option>
+          </select>
+        </div>
+
+        <p style={{ margin: 0, fontSize: '9px', color: isTooLarge ? '#c0392b' : '#666' }}>
+          {size.widthPx} × {size.heightPx} px
+          {isTooLarge && ` is more than this browser can draw (${maxSide} px a side). Lower the DPI or size.`}
+          {maxDpi !== null && <><br />Up to {maxDpi} DPI at {paper} in this browser</>}
+        </p>
+        {error && <p style={{ margin: 0, fontSize: '9px', color: '#c0392b' }}>{error}</p>}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '4px' }}>
+          <button onClick={onClose} disabled={isExporting} style={buttonStyle}>Cancel</button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || isTooLarge || !isValidSize}
+            style={{ ...buttonStyle, opacity: isExporting || isTooLarge || !isValidSize ? 0.6 : 1 }}
+          >
+            {isExporting ? 'Rendering...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PosterExportDialog;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+const buttonStyle = {
+  fontSize: '8px',
+  padding: '1px 4px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: '#fff',
+  cursor: 'pointer'
+};
+
+// Searchable list of every route with a checkbox to include or exclude it.
+// routes is [{ routeId, name, filename, year }]; routes outside activeRouteIds
+// (filtered out some other way, e.g. by year) are greyed. onHoverRoute gets the
+// route id under the cursor, or null when the cursor leaves the list.
+function RouteListPanel({ routes, activeRouteIds, excludedRouteIds, onToggleRoute, onSetAllIncluded, onHoverRoute }) {
+  const [expanded, setExpanded] = useState(false);
+  const [search, setSearch] = useState('');
+
+  const query = search.trim().toLowerCase();
+  const matchingRoutes = query
+    ? routes.filter(route => [route.name, route.filename, route.year]
+      .some(value => value != null && String(value).toLowerCase().includes(query)))
+    : routes;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.9)',
+      padding: '6px 8px',
+      borderRadius: '4px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '10px',
+      width: expanded ? '240px' : 'auto',
+      boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
+    }}>
+      <button onClick={() => setExpanded(!expanded)} style={{ ...buttonStyle, fontSize: '9px' }}>
+        🥾 Routes {excludedRouteIds.size > 0 ? `(${routes.length - excludedRouteIds.size} of ${routes.length})` : `(${routes.length})`} {expanded ? '▾' : '▸'}
+      </button>
+
+      {expanded && (
+        <>
+          <div style={{ display: 'flex', gap: '4px', margin: '4px 0' }}>
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search routes"
+              style={{ fontSize: '9px', padding: '1px 3px', border: '1px solid #ccc', borderRadius: '2px', flex: 1, minWidth: 0 }}
+            />
+            <button onClick={() => onSetAllIncluded(true)} style={buttonStyle}>All</button>
+            <button onClick={() => onSetAllIncluded(false)} style={buttonStyle}>None</button>
+          </div>
+
+          <div style={{ maxHeight: '40vh', overflowY: 'auto' }} onMouseLeave={() => onHoverRoute(null)}>
+            {matchingRoutes.length === 0 && (
+              <div style={{ color: '#666' }}>No routes match “{search}”.</div>
+            )}
+            {matchingRoutes.map(route => {
+              const included = !excludedRouteIds.has(route.routeId);
+              const active = !activeRouteIds || activeRouteIds.has(route.routeId);
+              return (
+                <label
+                  key={route.routeId}
+                  onMouseEnter={() => onHoverRoute(route.routeId)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    fontSize: '9px',
+                    cursor: 'pointer',
+                    color: active ? '#000' : '#999'
+                  }}
+                  title={route.filename}
+                >
+                  <input
+                    type="checkbox"
+                    checked={included}
+                    onChange={() => onToggleRoute(route.routeId)}
+                    style={{ marginRight: '3px', transform: 'scale(0.8)' }}
+                  />
+                  <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {route.name}
+                  </span>
+                  {route.year != null && (
+                    <span style={{ marginLeft: 'auto', paddingLeft: '4px', color: '#888' }}>{route.year}</span>
+                  )}
+                </label>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RouteListPanel;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+const buttonStyle = {
+  fontSize: '9px',
+  padding: '2px 4px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: '#fff',
+  cursor: 'pointer'
+};
+
+// Popup content listing the routes that pass a clicked segment. climb is the
+// mean gradient there in percent, when the climb mode has worked it out.
+function SegmentPopup({ routes, climb, isHighlighted, isIsolated, onHighlight, onIsolate, onShowProfile }) {
+  if (routes.length === 0) {
+    return (
+      <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '11px' }}>
+        This data has no route information.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '11px', color: '#333' }}>
+      <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+        {routes.length} {routes.length === 1 ? 'route' : 'routes'} here
+      </div>
+      {climb != null && (
+        <div style={{ fontSize: '9px', color: '#666', marginBottom: '4px' }}>
+          Average gradient {climb.toFixed(1)}%
+        </div>
+      )}
+      <ul style={{ margin: 0, padding: 0, listStyle: 'none', maxHeight: '160px', overflowY: 'auto' }}>
+        {routes.map(route => (
+          <li key={route.routeId} style={{ marginBottom: '3px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '4px' }}>
+              <span>{route.name}{route.year ? ` (${route.year})` : ''}</span>
+              <button onClick={() => onShowProfile(route.routeId)} style={{ ...buttonStyle, fontSize: '8px', padding: '0 3px' }}>
+                Profile
+              </button>
+            </div>
+            <div style={{ fontSize: '9px', color: '#888' }}>{route.filename}</div>
+          </li>
+        ))}
+      </ul>
+      <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+        <button onClick={onHighlight} style={buttonStyle}>
+          {isHighlighted ? 'Clear highlight' : 'Highlight'}
+        </button>
+        <button onClick={onIsolate} style={buttonStyle}>
+          {isIsolated ? 'Show all' : 'Isolate'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SegmentPopup;
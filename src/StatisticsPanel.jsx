@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+
+const buttonStyle = {
+  fontSize: '8px',
+  padding: '1px 4px',
+  border: '1px solid #ccc',
+  borderRadius: '2px',
+  backgroundColor: '#fff',
+  cursor: 'pointer'
+};
+
+const headingStyle = { fontSize: '9px', color: '#666', margin: '6px 0 2px' };
+
+const formatKm = (metres) => (metres == null ? '–' : `${(metres / 1000).toFixed(metres < 100000 ? 1 : 0)}km`);
+
+// Collapsible statistics for the routes that pass the current filters.
+// routes is [{ routeId, name, year, lengthMetres, ascentMetres, pointCount }];
+// statistics is the result of summariseRouteCollection.
+function StatisticsPanel({ routes, statistics, onShowStretch }) {
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.9)',
+      padding: '6px 8px',
+      borderRadius: '4px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '10px',
+      width: expanded ? '240px' : 'auto',
+      maxHeight: '70vh',
+      overflowY: 'auto',
+      boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
+    }}>
+      <button onClick={() => setExpanded(!expanded)} style={{ ...buttonStyle, fontSize: '9px' }}>
+        📊 Statistics {expanded ? '▾' : '▸'}
+      </button>
+
+      {expanded && statistics && (
+        <>
+          <div style={headingStyle}>Distance</div>
+          <div>Walked: {formatKm(statistics.walkedMetres)}</div>
+          <div>Distinct ground: {formatKm(statistics.distinctMetres)}</div>
+          {statistics.distinctMetres > 0 && (
+            <div style={{ color: '#666' }}>
+              Each km of ground walked {(statistics.walkedMetres / statistics.distinctMetres).toFixed(2)} times on average
+            </div>
+          )}
+
+          <div style={headingStyle}>Most shared stretches</div>
+          {statistics.sharedStretches.length === 0 ? (
+            <div style={{ color: '#666' }}>No stretches shared by two or more routes.</div>
+          ) : (
+            <ol style={{ margin: 0, paddingLeft: '16px' }}>
+              {statistics.sharedStretches.map((stretch, index) => (
+                <li key={index} style={{ marginBottom: '2px' }}>
+                  <button
+                    onClick={() => onShowStretch(stretch)}
+                    style={{ ...buttonStyle, textAlign: 'left', width: '100%' }}
+                    title="Fly to this stretch"
+                  >
+                    {formatKm(stretch.lengthMetres)}, {stretch.density.toFixed(1)} routes on average
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          <div style={headingStyle}>Routes ({routes.length})</div>
+          <table style={{ width: '100%', fontSize: '9px', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#666', textAlign: 'right' }}>
+                <th style={{ textAlign: 'left', fontWeight: 'normal' }}>Route</th>
+                <th style={{ fontWeight: 'normal' }}>Dist</th>
+                <th style={{ fontWeight: 'normal' }}>Ascent</th>
+                <th style={{ fontWeight: 'normal' }}>Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {routes.map(route => (
+                <tr key={route.routeId} style={{ textAlign: 'right' }}>
+                  <td style={{ textAlign: 'left', maxWidth: '100px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {route.name}
+                  </td>
+                  <td>{formatKm(route.lengthMetres)}</td>
+                  <td>{route.ascentMetres == null ? '–' : `${route.ascentMetres}m`}</td>
+                  <td>{route.pointCount ?? '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default StatisticsPanel;
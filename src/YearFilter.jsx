@@ -0,0 +1,69 @@
+import React from 'react';
+
+const labelStyle = { fontSize: '9px', display: 'block', marginBottom: '1px', color: '#666' };
+
+// Key used for routes whose year could not be worked out by the generator
+export const UNDATED_YEAR = null;
+
+// Year range slider plus a checkbox per Challenge year
+function YearFilter({ years, hasUndated, yearRange, excludedYears, onYearRangeChange, onToggleYear, disabled }) {
+  if (years.length === 0 || !yearRange) return null;
+
+  const [fromYear, toYear] = yearRange;
+  const minYear = years[0];
+  const maxYear = years[years.length - 1];
+
+  const checkboxLabel = (key, text, checkboxDisabled) => (
+    <label
+      key={text}
+      style={{
+        fontSize: '9px',
+        display: 'flex',
+        alignItems: 'center',
+        cursor: checkboxDisabled ? 'default' : 'pointer',
+        opacity: checkboxDisabled ? 0.5 : 1
+      }}
+    >
+      <input
+        type="checkbox"
+        checked={!excludedYears.has(key)}
+        onChange={() => onToggleYear(key)}
+        disabled={checkboxDisabled}
+        style={{ margin: '0 2px 0 0', transform: 'scale(0.7)' }}
+      />
+      {text}
+    </label>
+  );
+
+  return (
+    <div>
+      <label style={labelStyle}>
+        Years: {fromYear === toYear ? fromYear : `${fromYear}–${toYear}`}
+      </label>
+      <input
+        type="range"
+        min={minYear}
+        max={maxYear}
+        value={fromYear}
+        onChange={(e) => onYearRangeChange([Math.min(parseInt(e.target.value), toYear), toYear])}
+        disabled={disabled}
+        style={{ width: '100%', margin: 0, height: '12px' }}
+      />
+      <input
+        type="range"
+        min={minYear}
+        max={maxYear}
+        value={toYear}
+        onChange={(e) => onYearRangeChange([fromYear, Math.max(parseInt(e.target.value), fromYear)])}
+        disabled={disabled}
+        style={{ width: '100%', margin: 0, height: '12px' }}
+      />
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', marginTop: '2px' }}>
+        {years.map(year => checkboxLabel(year, String(year), disabled || year < fromYear || year > toYear))}
+        {hasUndated && checkboxLabel(UNDATED_YEAR, 'Unknown', disabled)}
+      </div>
+    </div>
+  );
+}
+
+export default YearFilter;
@@ -0,0 +1,183 @@
+// Corridor density: how many distinct routes pass within a radius of a point.
+// Routes are resampled to a fixed step and the samples indexed in a grid of
+// cells one radius wide, so a query only has to look at the 3x3 block of
+// cells around it. Shared by the generator script and the browser.
+import { METRES_PER_DEGREE_LATITUDE, metresPerDegreeLongitude, resamplePoints } from './geo.js';
+
+export const DEFAULT_RADIUS_METRES = 100;
+
+// Radius choices offered by the "Overlap Radius" dropdown
+export const RADIUS_OPTIONS_METRES = [10, 25, 50, 100, 250, 500, 1000];
+
+// Half the radius keeps any route running through the circle within reach of a
+// sample; the bounds keep very small or large radii from exploding memory use
+export const sampleStepForRadius = (radiusMetres) => Math.min(50, Math.max(10, radiusMetres / 2));
+
+// Chain segments back into polylines. coordinates holds lon1, lat1, lon2, lat2
+// for each segment and routeIds the route of each (-1 when unknown); indices
+// picks the segments to use, in order. Consecutive segments of the same route
+// that share an endpoint become one line. Segments without a route (legacy
+// data) are treated as one route per chained line. elevations, when given,
+// holds ele1, ele2 for each segment (NaN when unknown) and becomes the third
+// coordinate of each point.
+export const linesFromSegments = (coordinates, routeIds, indices, elevations) => {
+  const lines = [];
+  let current = null;
+  let currentRouteId = null;
+
+  indices.forEach(index => {
+    const offset = index * 4;
+    const start = [coordinates[offset], coordinates[offset + 1]];
+    const end = [coordinates[offset + 2], coordinates[offset + 3]];
+    if (elevations) {
+      start.push(elevations[index * 2]);
+      end.push(elevations[index * 2 + 1]);
+    }
+    const routeId = routeIds[index];
+    const previousEnd = current && current.coordinates[current.coordinates.length - 1];
+
+    if (current && currentRouteId === routeId &&
+        previousEnd[0] === start[0] && previousEnd[1] === start[1]) {
+      current.coordinates.push(end);
+      return;
+    }
+
+    currentRouteId = routeId;
+    current = {
+      routeId: routeId >= 0 ? routeId : `line-${lines.length}`,
+      coordinates: [start, end]
+    };
+    lines.push(current);
+  });
+
+  return lines;
+};
+
+// Build a corridor index from [{ routeId, coordinates: [[lon, lat], ...], values }].
+// values is optional, one number per segment of the line (e.g. its gradient);
+// each sample takes the value of the segment it lies on.
+export const createCorridorIndex = (lines, { radiusMetres = DEFAULT_RADIUS_METRES, stepMetres } = {}) => {
+  const step = stepMetres || sampleStepForRadius(radiusMetres);
+
+  const samples = [];
+  let maxLat = 0;
+  lines.forEach(line => {
+    const points = line.coordinates.map(([lon, lat]) => ({ lat, lon }));
+    resamplePoints(points, step).forEach(point => {
+      samples.push({
+        lon: point.lon,
+        lat: point.lat,
+        routeId: line.routeId,
+        value: (line.values && line.values[point.segment]) ?? NaN
+      });
+      maxLat = Math.max(maxLat, Math.abs(point.lat));
+    });
+  });
+
+  // Cells are sized in degrees at the most northerly sample, where a degree of
+  // longitude is shortest, so every cell is at least one radius wide
+  const latCell = radiusMetres / METRES_PER_DEGREE_LATITUDE;
+  const lonCell = radiusMetres / metresPerDegreeLongitude(Math.min(maxLat, 89));
+  const cellKey = (cellX, cellY) => `${cellX},${cellY}`;
+
+  // Each cell maps route id -> samples of that route in the cell, so a route
+  // only needs one matching sample to be counted
+  const cells = new Map();
+  samples.forEach(sample => {
+    const key = cellKey(Math.floor(sample.lon / lonCell), Math.floor(sample.lat / latCell));
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = new Map();
+      cells.set(key, cell);
+    }
+    let routeSamples = cell.get(sample.routeId);
+    if (!routeSamples) {
+      routeSamples = [];
+      cell.set(sample.routeId, routeSamples);
+    }
+    routeSamples.push(sample);
+  });
+
+  // Ids of the routes with a sample within the radius of [lon, lat]
+  const routesNear = (lon, lat) => {
+    const found = new Set();
+    const lonScale = metresPerDegreeLongitude(lat);
+    const radiusSquared = radiusMetres * radiusMetres;
+    const cellX = Math.floor(lon / lonCell);
+    const cellY = Math.floor(lat / latCell);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const cell = cells.get(cellKey(cellX + dx, cellY + dy));
+        if (!cell) continue;
+
+        cell.forEach((routeSamples, routeId) => {
+          if (found.has(routeId)) return;
+          const near = routeSamples.some(sample => {
+            const x = (sample.lon - lon) * lonScale;
+            const y = (sample.lat - lat) * METRES_PER_DEGREE_LATITUDE;
+            return x * x + y * y <= radiusSquared;
+          });
+          if (near) found.add(routeId);
+        });
+      }
+    }
+
+    return found;
+  };
+
+  // Mean over the routes within the radius of [lon, lat] of the value of each
+  // route's closest sample. NaN when no nearby route has a value.
+  const averageValueNear = (lon, lat) => {
+    const closest = new Map(); // routeId -> [squared distance, value]
+    const lonScale = metresPerDegreeLongitude(lat);
+    const radiusSquared = radiusMetres * radiusMetres;
+    const cellX = Math.floor(lon / lonCell);
+    const cellY = Math.floor(lat / latCell);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const cell = cells.get(cellKey(cellX + dx, cellY + dy));
+        if (!cell) continue;
+
+        cell.forEach((routeSamples, routeId) => {
+          routeSamples.forEach(sample => {
+            if (Number.isNaN(sample.value)) return;
+            const x = (sample.lon - lon) * lonScale;
+            const y = (sample.lat - lat) * METRES_PER_DEGREE_LATITUDE;
+            const distanceSquared = x * x + y * y;
+            if (distanceSquared > radiusSquared) return;
+            const current = closest.get(routeId);
+            if (!current || distanceSquared < current[0]) {
+              closest.set(routeId, [distanceSquared, sample.value]);
+            }
+          });
+        });
+      }
+    }
+
+    if (closest.size === 0) return NaN;
+    let total = 0;
+    closest.forEach(([, value]) => {
+      total += value;
+    });
+    return total / closest.size;
+  };
+
+  // Distinct routes near a segment, measured at its midpoint. The segment's own
+  // route always counts even when the nearest sample is just out of reach.
+  const segmentDensity = ([lon1, lat1], [lon2, lat2], ownRouteId) => {
+    const routeIds = routesNear((lon1 + lon2) / 2, (lat1 + lat2) / 2);
+    if (ownRouteId !== undefined) routeIds.add(ownRouteId);
+    return Math.max(1, routeIds.size);
+  };
+
+  return {
+    radiusMetres,
+    stepMetres: step,
+    sampleCount: samples.length,
+    routesNear,
+    averageValueNear,
+    segmentDensity
+  };
+};
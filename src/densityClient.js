@@ -0,0 +1,124 @@
+// Main thread side of the density worker
+
+// Pack segment features into transferable typed arrays for the worker
+const packSegments = (features) => {
+  const coordinates = new Float64Array(features.length * 4);
+  const routeIds = new Int32Array(features.length);
+  const elevations = new Float32Array(features.length * 2);
+
+  features.forEach((feature, index) => {
+    const [[lon1, lat1, ele1], [lon2, lat2, ele2]] = feature.geometry.coordinates;
+    coordinates.set([lon1, lat1, lon2, lat2], index * 4);
+    routeIds[index] = feature.properties.routeId ?? -1;
+    elevations[index * 2] = ele1 ?? NaN;
+    elevations[index * 2 + 1] = ele2 ?? NaN;
+  });
+
+  return { coordinates, routeIds, elevations };
+};
+
+export const createDensityClient = () => {
+  const worker = new Worker(new URL('./densityWorker.js', import.meta.url), { type: 'module' });
+  const jobs = new Map();
+  const lookups = new Map();
+  let nextId = 1;
+  let sentLevels = null;
+
+  worker.onmessage = ({ data }) => {
+    // Answers to lookups carry a requestId, job messages a jobId
+    if (data.requestId !== undefined) {
+      const lookup = lookups.get(data.requestId);
+      if (!lookup) return;
+      lookups.delete(data.requestId);
+      if (data.type === 'error') {
+        lookup.reject(new Error(data.message));
+      } else {
+        lookup.resolve(data.type === 'compare' ? data.comparison : data.routeIds);
+      }
+      return;
+    }
+
+    const job = jobs.get(data.jobId);
+    if (!job) return; // Cancelled on this side already
+
+    if (data.type === 'progress') {
+      if (job.onProgress) job.onProgress(data.completed, data.total, data.message);
+      return;
+    }
+
+    jobs.delete(data.jobId);
+    if (data.type === 'result') {
+      job.resolve(data.levels);
+    } else if (data.type === 'cancelled') {
+      job.reject(Object.assign(new Error('Density job cancelled'), { cancelled: true }));
+    } else {
+      job.reject(new Error(data.message));
+    }
+  };
+
+  return {
+    // Send the segments to process, one feature array per detail level with the
+    // full detail level first. Only sends again when given different arrays.
+    setSegments(levels) {
+      if (sentLevels && levels.length === sentLevels.length &&
+          levels.every((features, level) => features === sentLevels[level])) return;
+      sentLevels = levels;
+      const packed = levels.map(packSegments);
+      worker.postMessage(
+        { type: 'segments', levels: packed },
+        packed.flatMap(({ coordinates, routeIds, elevations }) => [coordinates.buffer, routeIds.buffer, elevations.buffer])
+      );
+    },
+
+    // Start a density job. Any job still running in the worker is superseded.
+    // Resolves with one { indices, density, intensity, climb } per detail level, for
+    // the segments of the active routes. climb is empty unless options.climb is set.
+    process(options, onProgress) {
+      const jobId = nextId++;
+      const promise = new Promise((resolve, reject) => {
+        jobs.set(jobId, { resolve, reject, onProgress });
+      });
+      worker.postMessage({ type: 'process', jobId, ...options });
+
+      const cancel = () => {
+        const job = jobs.get(jobId);
+        if (!job) return;
+        jobs.delete(jobId);
+        worker.postMessage({ type: 'cancel', jobId });
+        job.reject(Object.assign(new Error('Density job cancelled'), { cancelled: true }));
+      };
+
+      return { promise, cancel };
+    },
+
+    // Route ids within the overlap radius of a point, from the last processed job
+    routesNear(lon, lat) {
+      const requestId = nextId++;
+      return new Promise((resolve, reject) => {
+        lookups.set(requestId, { resolve, reject });
+        worker.postMessage({ type: 'routesNear', requestId, lon, lat });
+      });
+    },
+
+    // Compare a planned route, given as [[[lon, lat], ...], ...] lines, with the
+    // routes of the last processed job. Resolves with null before the first job,
+    // and rejects when the comparison fails.
+    compareRoute(lines) {
+      const requestId = nextId++;
+      return new Promise((resolve, reject) => {
+        lookups.set(requestId, { resolve, reject });
+        worker.postMessage({ type: 'compare', requestId, lines });
+      });
+    },
+
+    // Stop the worker. Running jobs reject as cancelled and lookups with an error,
+    // so nothing waits on an answer that won't come.
+    terminate() {
+      worker.terminate();
+      jobs.forEach(job => job.reject(Object.assign(new Error('Density job cancelled'), { cancelled: true })));
+      jobs.clear();
+      lookups.forEach(lookup => lookup.reject(new Error('Density worker stopped')));
+      lookups.clear();
+    }
+  };
+};
@@ -0,0 +1,173 @@
+// Density strategies: the ways of counting how busy a stretch of route is.
+// Shared by the generator script and the density worker, so the data file and
+// the map count the same way. Each strategy builds an engine from
+// [{ routeId, coordinates: [[lon, lat], ...] }] lines whose
+// segmentDensity([lon1, lat1], [lon2, lat2], ownRouteId) gives a whole number
+// of routes, at least 1.
+import { createCorridorIndex, DEFAULT_RADIUS_METRES, sampleStepForRadius } from './corridorDensity.js';
+import { METRES_PER_DEGREE_LATITUDE, metresPerDegreeLongitude, resamplePoints } from './geo.js';
+
+// Segments shared by this many routes or more are drawn at full intensity
+export const DEFAULT_DENSITY_CAP = 10;
+
+// Cap choices offered by the "Palette Density" dropdown
+export const DENSITY_CAP_OPTIONS = [5, 10, 20, 50];
+
+// Exact segment keys round coordinates to this many decimal places (~10m)
+const SEGMENT_KEY_DECIMALS = 4;
+
+// Resampled points of lines as { lon, lat, routeId }, stepMetres apart
+const sampleLines = (lines, stepMetres) => lines.flatMap(line => (
+  resamplePoints(line.coordinates.map(([lon, lat]) => ({ lat, lon })), stepMetres)
+    .map(point => ({ lon: point.lon, lat: point.lat, routeId: line.routeId }))
+));
+
+// Grid of cells at least radiusMetres wide, sized at the most northerly point
+// where a degree of longitude is shortest
+const createGrid = (samples, radiusMetres) => {
+  const maxLat = samples.reduce((max, sample) => Math.max(max, Math.abs(sample.lat)), 0);
+  const latCell = radiusMetres / METRES_PER_DEGREE_LATITUDE;
+  const lonCell = radiusMetres / metresPerDegreeLongitude(Math.min(maxLat, 89));
+  return {
+    cellOf: (lon, lat) => [Math.floor(lon / lonCell), Math.floor(lat / latCell)],
+    key: (cellX, cellY) => `${cellX},${cellY}`
+  };
+};
+
+const withOwnRoute = (routeIds, ownRouteId) => {
+  const counted = new Set(routeIds);
+  if (ownRouteId !== undefined) counted.add(ownRouteId);
+  return Math.max(1, counted.size);
+};
+
+// Distinct routes with a segment whose rounded ends match this one's, either
+// way round. Quick, but only counts routes drawn along exactly the same points.
+const createSegmentKeyEngine = (lines) => {
+  const scale = 10 ** SEGMENT_KEY_DECIMALS;
+  const round = (value) => Math.round(value * scale);
+  const segmentKey = ([lon1, lat1], [lon2, lat2]) => {
+    const from = `${round(lat1)},${round(lon1)}`;
+    const to = `${round(lat2)},${round(lon2)}`;
+    return from < to ? `${from}-${to}` : `${to}-${from}`;
+  };
+
+  const routesBySegment = new Map();
+  lines.forEach(line => {
+    for (let i = 0; i < line.coordinates.length - 1; i++) {
+      const key = segmentKey(line.coordinates[i], line.coordinates[i + 1]);
+      if (!routesBySegment.has(key)) routesBySegment.set(key, new Set());
+      routesBySegment.get(key).add(line.routeId);
+    }
+  });
+
+  return {
+    segmentDensity: (start, end, ownRouteId) => withOwnRoute(routesBySegment.get(segmentKey(start, end)) || [], ownRouteId)
+  };
+};
+
+// Distinct routes passing through the grid cell, one radius wide, that holds
+// the segment's midpoint. Routes just over a cell edge aren't counted.
+const createGridCellEngine = (lines, { radiusMetres }) => {
+  const samples = sampleLines(lines, sampleStepForRadius(radiusMetres));
+  const grid = createGrid(samples, radiusMetres);
+  const routesByCell = new Map();
+  samples.forEach(sample => {
+    const key = grid.key(...grid.cellOf(sample.lon, sample.lat));
+    if (!routesByCell.has(key)) routesByCell.set(key, new Set());
+    routesByCell.get(key).add(sample.routeId);
+  });
+
+  return {
+    segmentDensity: ([lon1, lat1], [lon2, lat2], ownRouteId) => {
+      const key = grid.key(...grid.cellOf((lon1 + lon2) / 2, (lat1 + lat2) / 2));
+      return withOwnRoute(routesByCell.get(key) || [], ownRouteId);
+    }
+  };
+};
+
+// Routes within the radius of the segment's midpoint, each counting for the
+// length of it inside the circle over the circle's width (at most 1), so a
+// route that only clips the edge counts for less than one running through
+const createLengthWeightedEngine = (lines, { radiusMetres }) => {
+  const stepMetres = sampleStepForRadius(radiusMetres);
+  const samples = sampleLines(lines, stepMetres);
+  const grid = createGrid(samples, radiusMetres);
+  const cells = new Map();
+  samples.forEach(sample => {
+    const key = grid.key(...grid.cellOf(sample.lon, sample.lat));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(sample);
+  });
+
+  return {
+    segmentDensity: ([lon1, lat1], [lon2, lat2], ownRouteId) => {
+      const lon = (lon1 + lon2) / 2;
+      const lat = (lat1 + lat2) / 2;
+      const lonScale = metresPerDegreeLongitude(lat);
+      const radiusSquared = radiusMetres * radiusMetres;
+      const [cellX, cellY] = grid.cellOf(lon, lat);
+      const samplesByRoute = new Map();
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          (cells.get(grid.key(cellX + dx, cellY + dy)) || []).forEach(sample => {
+            const x = (sample.lon - lon) * lonScale;
+            const y = (sample.lat - lat) * METRES_PER_DEGREE_LATITUDE;
+            if (x * x + y * y <= radiusSquared) {
+              samplesByRoute.set(sample.routeId, (samplesByRoute.get(sample.routeId) || 0) + 1);
+            }
+          });
+        }
+      }
+
+      let weight = 0;
+      samplesByRoute.forEach((count, routeId) => {
+        weight += routeId === ownRouteId ? 1 : Math.min(1, (count * stepMetres) / (2 * radiusMetres));
+      });
+      if (ownRouteId !== undefined && !samplesByRoute.has(ownRouteId)) weight += 1;
+      return Math.max(1, Math.round(weight));
+    }
+  };
+};
+
+// In the order offered by the map's "Count" dropdown
+export const DENSITY_STRATEGIES = [
+  {
+    id: 'corridor',
+    name: 'Routes nearby',
+    description: 'Distinct routes within the overlap radius',
+    createEngine: (lines, { radiusMetres }) => createCorridorIndex(lines, { radiusMetres })
+  },
+  {
+    id: 'length',
+    name: 'Length-weighted',
+    description: 'Routes within the overlap radius, weighted by how much of them runs inside it',
+    createEngine: createLengthWeightedEngine
+  },
+  {
+    id: 'grid',
+    name: 'Grid cell',
+    description: 'Distinct routes in the same grid cell, one overlap radius wide',
+    createEngine: createGridCellEngine
+  },
+  {
+    id: 'segment',
+    name: 'Exact segment',
+    description: 'Routes along exactly the same points, to about 10m; ignores the overlap radius',
+    createEngine: createSegmentKeyEngine
+  }
+];
+
+export const DEFAULT_DENSITY_STRATEGY = 'corridor';
+
+export const isDensityStrategy = (id) => DENSITY_STRATEGIES.some(strategy => strategy.id === id);
+
+// Density engine for lines using one of DENSITY_STRATEGIES. Throws for an
+// unknown strategy.
+export const createDensityEngine = (lines, { strategy = DEFAULT_DENSITY_STRATEGY, radiusMetres = DEFAULT_RADIUS_METRES } = {}) => {
+  const found = DENSITY_STRATEGIES.find(candidate => candidate.id === strategy);
+  if (!found) {
+    throw new Error(`Unknown density strategy "${strategy}", expected one of ${DENSITY_STRATEGIES.map(candidate => candidate.id).join(', ')}`);
+  }
+  return found.createEngine(lines, { radiusMetres });
+};
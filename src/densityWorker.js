@@ -0,0 +1,257 @@
+// Density processing off the main thread. The page sends the segments of each
+// detail level once, then one job per settings change. Jobs work in chunks and
+// yield between them, so a newer job or a cancel message stops the one running.
+import { createCorridorIndex, linesFromSegments } from './corridorDensity.js';
+import { DEFAULT_DENSITY_STRATEGY, createDensityEngine } from './densityStrategies.js';
+import { METRES_PER_DEGREE_LATITUDE } from './geo.js';
+import { compareRouteToCorridors } from './routeComparison.js';
+import { lineGradients } from './elevation.js';
+
+const CHUNK_SIZE = 5000;
+
+// One entry per detail level, level 0 being the full detail geometry:
+//   coordinates - Float64Array of lon1, lat1, lon2, lat2 per segment
+//   routeIds - Int32Array of the route of each segment, -1 when unknown
+//   elevations - Float32Array of ele1, ele2 per segment, NaN when unknown
+//   corridorIndex - built for the settings in corridorIndexKey, for climb,
+//     routesNear and compare whatever the density strategy
+//   densityEngine - built for the settings in densityEngineKey
+let levels = [];
+let currentJobId = 0;
+let corridorIndexKey = null;
+let densityEngineKey = null;
+
+const yieldToEvents = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Realistic-looking intensity: split each route at points it shares with other
+// routes and give each stretch the overlap count at its busiest point, with
+// some random variation.
+const randomizeIntensities = ({ coordinates, routeIds }, indices, precision, densityCap) => {
+  const pointKey = (lon, lat) => `${Math.round(lat * precision)},${Math.round(lon * precision)}`;
+
+  // Maps coordinate keys to the route ids that use them
+  const pointToRoutes = new Map();
+  const addPoint = (lon, lat, routeId) => {
+    const key = pointKey(lon, lat);
+    if (!pointToRoutes.has(key)) {
+      pointToRoutes.set(key, new Set());
+    }
+    pointToRoutes.get(key).add(routeId);
+  };
+  indices.forEach(index => {
+    const offset = index * 4;
+    addPoint(coordinates[offset], coordinates[offset + 1], routeIds[index]);
+    addPoint(coordinates[offset + 2], coordinates[offset + 3], routeIds[index]);
+  });
+  const routesAt = (lon, lat) => pointToRoutes.get(pointKey(lon, lat))?.size || 0;
+
+  const lastPosition = new Map();
+  indices.forEach((index, position) => lastPosition.set(routeIds[index], position));
+
+  // Walk each route in order, closing a stretch wherever a segment ends on an
+  // intersection (a point used by more than one route) or the route ends
+  const intensities = new Float32Array(indices.length);
+  const openStretches = new Map();
+
+  indices.forEach((index, position) => {
+    const routeId = routeIds[index];
+    const offset = index * 4;
+    let stretch = openStretches.get(routeId);
+    if (!stretch) {
+      stretch = { positions: [], overlapCount: 1 };
+      openStretches.set(routeId, stretch);
+    }
+
+    const endRoutes = routesAt(coordinates[offset + 2], coordinates[offset + 3]);
+    stretch.positions.push(position);
+    stretch.overlapCount = Math.max(stretch.overlapCount, routesAt(coordinates[offset], coordinates[offset + 1]), endRoutes);
+
+    if (endRoutes > 1 || lastPosition.get(routeId) === position) {
+      const baseIntensity = Math.min(stretch.overlapCount, densityCap);
+      const randomVariation = Math.random() * 0.4 - 0.2; // ±20% variation
+      const intensity = Math.max(1, Math.min(densityCap, Math.round(baseIntensity + randomVariation)));
+      stretch.positions.forEach(stretchPosition => {
+        intensities[stretchPosition] = intensity;
+      });
+      openStretches.delete(routeId);
+    }
+  });
+
+  return intensities;
+};
+
+const runJob = async ({ jobId, radiusMetres, strategy = DEFAULT_DENSITY_STRATEGY, densityCap, randomize, climb: withClimb, activeRouteIds }) => {
+  const isCurrent = () => currentJobId === jobId;
+  const progress = (completed, total, message) => {
+    self.postMessage({ type: 'progress', jobId, completed, total, message });
+  };
+  const cancelled = () => self.postMessage({ type: 'cancelled', jobId });
+
+  // Segments of the routes that pass the page's filters, per level
+  const active = activeRouteIds ? new Set(activeRouteIds) : null;
+  const levelIndices = levels.map(({ routeIds }) => {
+    const selected = [];
+    for (let i = 0; i < routeIds.length; i++) {
+      if (!active || active.has(routeIds[i])) selected.push(i);
+    }
+    return Uint32Array.from(selected);
+  });
+  const total = levelIndices.reduce((sum, indices) => sum + indices.length, 0);
+
+  // Randomize and the density cap reuse the indexes built for the same routes and radius.
+  // A key is cleared while its indexes are rebuilt and only set once every level
+  // is done, so a job cancelled part way never leaves indexes for other settings.
+  const indexKey = `${radiusMetres}|${activeRouteIds ? activeRouteIds.join(',') : 'all'}`;
+  const engineKey = `${strategy}|${indexKey}`;
+  if (indexKey !== corridorIndexKey) {
+    corridorIndexKey = null;
+    densityEngineKey = null;
+    for (let level = 0; level < levels.length; level++) {
+      progress(0, total, 'Indexing routes...');
+      await yieldToEvents();
+      if (!isCurrent()) return cancelled();
+
+      // Each line carries its gradients so climb can be averaged across routes
+      const { coordinates, routeIds, elevations } = levels[level];
+      const lines = linesFromSegments(coordinates, routeIds, levelIndices[level], elevations);
+      lines.forEach(line => {
+        line.values = lineGradients(line.coordinates);
+      });
+      levels[level].corridorIndex = createCorridorIndex(lines, { radiusMetres });
+    }
+    corridorIndexKey = indexKey;
+  }
+  if (engineKey !== densityEngineKey) {
+    densityEngineKey = null;
+    for (let level = 0; level < levels.length; level++) {
+      if (strategy === 'corridor') {
+        // The corridor index already counts routes within the radius
+        levels[level].densityEngine = levels[level].corridorIndex;
+        continue;
+      }
+      progress(0, total, 'Indexing routes...');
+      await yieldToEvents();
+      if (!isCurrent()) return cancelled();
+
+      const { coordinates, routeIds } = levels[level];
+      const lines = linesFromSegments(coordinates, routeIds, levelIndices[level]);
+      levels[level].densityEngine = createDensityEngine(lines, { strategy, radiusMetres });
+    }
+    densityEngineKey = engineKey;
+  }
+
+  const results = [];
+  let completed = 0;
+  for (let level = 0; level < levels.length; level++) {
+    const { coordinates, routeIds, corridorIndex, densityEngine } = levels[level];
+    const indices = levelIndices[level];
+    const density = new Uint16Array(indices.length);
+    let intensity = new Float32Array(indices.length);
+    // Mean gradient of the routes using each segment, only worked out for the climb mode
+    const climb = new Float32Array(withClimb ? indices.length : 0);
+
+    for (let start = 0; start < indices.length; start += CHUNK_SIZE) {
+      await yieldToEvents();
+      if (!isCurrent()) return cancelled();
+
+      const end = Math.min(start + CHUNK_SIZE, indices.length);
+      for (let position = start; position < end; position++) {
+        const index = indices[position];
+        const offset = index * 4;
+        const routeId = routeIds[index];
+        density[position] = densityEngine.segmentDensity(
+          [coordinates[offset], coordinates[offset + 1]],
+          [coordinates[offset + 2], coordinates[offset + 3]],
+          routeId >= 0 ? routeId : undefined
+        );
+        intensity[position] = Math.min(density[position], densityCap); // Cap intensity at configurable max
+        if (withClimb) {
+          climb[position] = corridorIndex.averageValueNear(
+            (coordinates[offset] + coordinates[offset + 2]) / 2,
+            (coordinates[offset + 1] + coordinates[offset + 3]) / 2
+          );
+        }
+      }
+      progress(completed + end, total, 'Calculating density...');
+    }
+    completed += indices.length;
+
+    if (randomize) {
+      await yieldToEvents();
+      if (!isCurrent()) return cancelled();
+
+      // Randomize works on a rounding grid, roughly one overlap radius per cell
+      const precision = Math.max(1, Math.round(METRES_PER_DEGREE_LATITUDE / radiusMetres));
+      intensity = randomizeIntensities(levels[level], indices, precision, densityCap);
+    }
+
+    results.push({ indices, density, intensity, climb });
+  }
+
+  self.postMessage(
+    { type: 'result', jobId, levels: results },
+    results.flatMap(({ indices, density, intensity, climb }) => [indices.buffer, density.buffer, intensity.buffer, climb.buffer])
+  );
+};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'segments':
+      levels = data.levels.map(({ coordinates, routeIds, elevations }) => ({
+        coordinates,
+        routeIds,
+        elevations,
+        corridorIndex: null,
+        densityEngine: null
+      }));
+      corridorIndexKey = null;
+      densityEngineKey = null;
+      break;
+
+    case 'process':
+      currentJobId = data.jobId;
+      runJob(data).catch(error => {
+        self.postMessage({ type: 'error', jobId: data.jobId, message: error.message });
+      });
+      break;
+
+    case 'cancel':
+      if (currentJobId === data.jobId) {
+        currentJobId = 0;
+      }
+      break;
+
+    case 'routesNear': {
+      // Always answered from the full detail geometry
+      const corridorIndex = levels[0]?.corridorIndex;
+      try {
+        self.postMessage({
+          type: 'routesNear',
+          requestId: data.requestId,
+          routeIds: corridorIndex ? [...corridorIndex.routesNear(data.lon, data.lat)] : []
+        });
+      } catch (error) {
+        self.postMessage({ type: 'error', requestId: data.requestId, message: error.message });
+      }
+      break;
+    }
+
+    case 'compare': {
+      // Planned routes are compared with the routes and radius of the last job
+      const corridorIndex = levels[0]?.corridorIndex;
+      try {
+        self.postMessage({
+          type: 'compare',
+          requestId: data.requestId,
+          comparison: corridorIndex ? compareRouteToCorridors(data.lines, corridorIndex) : null
+        });
+      } catch (error) {
+        self.postMessage({ type: 'error', requestId: data.requestId, message: error.message });
+      }
+      break;
+    }
+
+    default:
+      console.warn('Unknown density worker message:', data.type);
+  }
+};
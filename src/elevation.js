@@ -0,0 +1,92 @@
+// Elevation helpers shared by the generator scripts and the browser. Lines are
+// [[lon, lat, ele], ...] with ele missing or null where it isn't known.
+import { distanceMetres } from './geo.js';
+
+// Gradients are measured over about this distance, so GPS and DEM noise between
+// close trackpoints doesn't read as steep ground
+export const GRADIENT_WINDOW_METRES = 100;
+
+// Ascent and descent ignore wobbles smaller than this
+const ASCENT_THRESHOLD_METRES = 5;
+
+const cumulativeDistances = (coordinates) => {
+  const distances = new Float64Array(coordinates.length);
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lon1, lat1] = coordinates[i - 1];
+    const [lon2, lat2] = coordinates[i];
+    distances[i] = distances[i - 1] + distanceMetres(lat1, lon1, lat2, lon2);
+  }
+  return distances;
+};
+
+// Unsigned gradient in percent for each segment of a line, measured between the
+// points about windowMetres apart around the segment. NaN where the line has no
+// elevation or the window has no length.
+export const lineGradients = (coordinates, windowMetres = GRADIENT_WINDOW_METRES) => {
+  const distances = cumulativeDistances(coordinates);
+  const last = coordinates.length - 1;
+  const gradients = new Float32Array(Math.max(0, last));
+  let back = 0;
+  let ahead = 0;
+
+  for (let i = 0; i < last; i++) {
+    const centre = (distances[i] + distances[i + 1]) / 2;
+    while (back < i && distances[back + 1] <= centre - windowMetres / 2) back++;
+    ahead = Math.max(ahead, i + 1);
+    while (ahead < last && distances[ahead] < centre + windowMetres / 2) ahead++;
+
+    const run = distances[ahead] - distances[back];
+    const startEle = coordinates[back][2];
+    const endEle = coordinates[ahead][2];
+    gradients[i] = run > 0 && Number.isFinite(startEle) && Number.isFinite(endEle)
+      ? (Math.abs(endEle - startEle) / run) * 100
+      : NaN;
+  }
+
+  return gradients;
+};
+
+// Distance/elevation profile of a route's lines, walked one after the other.
+// Returns { points: [{ distance, ele, lon, lat }], lengthMetres, ascentMetres,
+// descentMetres, minEle, maxEle, hasElevation }; points without elevation are
+// left out of the profile but still count towards the distance.
+export const elevationProfile = (lines) => {
+  const points = [];
+  let offset = 0;
+  let ascentMetres = 0;
+  let descentMetres = 0;
+  let minEle = Infinity;
+  let maxEle = -Infinity;
+
+  lines.forEach(coordinates => {
+    const distances = cumulativeDistances(coordinates);
+    let reference = null; // Elevation the next climb or drop is measured from
+
+    coordinates.forEach(([lon, lat, ele], index) => {
+      if (!Number.isFinite(ele)) return;
+      points.push({ distance: offset + distances[index], ele, lon, lat });
+      minEle = Math.min(minEle, ele);
+      maxEle = Math.max(maxEle, ele);
+
+      if (reference === null) {
+        reference = ele;
+      } else if (Math.abs(ele - reference) >= ASCENT_THRESHOLD_METRES) {
+        if (ele > reference) ascentMetres += ele - reference;
+        else descentMetres += reference - ele;
+        reference = ele;
+      }
+    });
+
+    offset += distances[distances.length - 1] || 0;
+  });
+
+  return {
+    points,
+    lengthMetres: offset,
+    ascentMetres,
+    descentMetres,
+    minEle: points.length > 0 ? minEle : null,
+    maxEle: points.length > 0 ? maxEle : null,
+    hasElevation: points.length > 1
+  };
+};
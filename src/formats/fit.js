@@ -0,0 +1,158 @@
+// Garmin FIT, decoded by hand. Only the messages a route needs are read:
+// record (track points), course (name) and course_point (waypoints).
+//
+// A FIT file is a header, a stream of records and a CRC. Definition records
+// describe the field layout of a "local message type"; data records then use
+// that layout. Compressed timestamp headers carry a 5 bit time offset instead
+// of a timestamp field.
+
+const FIT_SIGNATURE = '.FIT';
+const FIT_EPOCH_SECONDS = 631065600; // 1989-12-31T00:00:00Z
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const MESSAGE_RECORD = 20;
+const MESSAGE_COURSE = 31;
+const MESSAGE_COURSE_POINT = 32;
+const FIELD_TIMESTAMP = 253;
+
+// Base types by the low 5 bits of the base type byte: [size, getter, invalid value]
+const BASE_TYPES = {
+  0: [1, 'getUint8', 0xff], // enum
+  1: [1, 'getInt8', 0x7f],
+  2: [1, 'getUint8', 0xff],
+  3: [2, 'getInt16', 0x7fff],
+  4: [2, 'getUint16', 0xffff],
+  5: [4, 'getInt32', 0x7fffffff],
+  6: [4, 'getUint32', 0xffffffff],
+  8: [4, 'getFloat32', null],
+  9: [8, 'getFloat64', null],
+  10: [1, 'getUint8', 0x00], // uint8z
+  11: [2, 'getUint16', 0x0000], // uint16z
+  12: [4, 'getUint32', 0x00000000], // uint32z
+  13: [1, 'getUint8', 0xff] // byte
+};
+const BASE_TYPE_STRING = 7;
+
+// Value of one field, or null when it is invalid or an array we don't need
+const readField = (view, offset, size, baseType, littleEndian) => {
+  const type = baseType & 0x1f;
+  if (type === BASE_TYPE_STRING) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+    const end = bytes.indexOf(0);
+    return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end)) || null;
+  }
+
+  const baseTypeInfo = BASE_TYPES[type];
+  if (!baseTypeInfo || baseTypeInfo[0] !== size) return null;
+  const [, getter, invalid] = baseTypeInfo;
+  const value = view[getter](offset, littleEndian);
+  return value === invalid || Number.isNaN(value) ? null : value;
+};
+
+const toDegrees = (semicircles) => (semicircles === null ? null : semicircles * SEMICIRCLES_TO_DEGREES);
+const toDate = (timestamp) => (timestamp === null ? null : new Date((timestamp + FIT_EPOCH_SECONDS) * 1000));
+const toAltitude = (value) => (value === null ? null : value / 5 - 500);
+
+export default {
+  id: 'fit',
+  name: 'FIT',
+  extensions: ['.fit'],
+  binary: true,
+  parse(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const headerSize = bytes[0];
+    if (bytes.length < 12 || new TextDecoder().decode(bytes.subarray(8, 12)) !== FIT_SIGNATURE) {
+      throw new Error('Not a FIT file');
+    }
+    const dataEnd = Math.min(headerSize + view.getUint32(4, true), bytes.length);
+
+    const definitions = new Map(); // Local message type -> definition
+    const points = [];
+    const waypoints = [];
+    let name = null;
+    let lastTimestamp = null;
+    let offset = headerSize;
+
+    while (offset < dataEnd) {
+      const recordHeader = bytes[offset++];
+
+      // Definition message
+      if (!(recordHeader & 0x80) && (recordHeader & 0x40)) {
+        const littleEndian = bytes[offset + 1] === 0;
+        const globalMessage = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = bytes[offset + 4];
+        offset += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+          fields.push({ number: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+          offset += 3;
+        }
+        let developerBytes = 0;
+        if (recordHeader & 0x20) {
+          const developerFieldCount = bytes[offset++];
+          for (let i = 0; i < developerFieldCount; i++) {
+            developerBytes += bytes[offset + 1];
+            offset += 3;
+          }
+        }
+
+        definitions.set(recordHeader & 0x0f, { globalMessage, littleEndian, fields, developerBytes });
+        continue;
+      }
+
+      // Data message, with either a normal or a compressed timestamp header
+      const compressed = Boolean(recordHeader & 0x80);
+      const definition = definitions.get(compressed ? (recordHeader >> 5) & 0x03 : recordHeader & 0x0f);
+      if (!definition) {
+        throw new Error(`Data record without a definition at byte ${offset - 1}`);
+      }
+
+      const values = {};
+      definition.fields.forEach(field => {
+        values[field.number] = readField(view, offset, field.size, field.baseType, definition.littleEndian);
+        offset += field.size;
+      });
+      offset += definition.developerBytes;
+
+      if (compressed && lastTimestamp !== null) {
+        const timeOffset = recordHeader & 0x1f;
+        let timestamp = lastTimestamp - (lastTimestamp & 0x1f) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20; // Rolled over
+        values[FIELD_TIMESTAMP] = timestamp;
+      }
+      if (values[FIELD_TIMESTAMP] != null) {
+        lastTimestamp = values[FIELD_TIMESTAMP];
+      }
+
+      if (definition.globalMessage === MESSAGE_RECORD) {
+        const lat = toDegrees(values[0] ?? null);
+        const lon = toDegrees(values[1] ?? null);
+        if (lat !== null && lon !== null) {
+          points.push({
+            lat,
+            lon,
+            ele: toAltitude(values[78] ?? values[2] ?? null), // enhanced_altitude, then altitude
+            time: toDate(values[FIELD_TIMESTAMP] ?? null)
+          });
+        }
+      } else if (definition.globalMessage === MESSAGE_COURSE) {
+        name = values[5] || name;
+      } else if (definition.globalMessage === MESSAGE_COURSE_POINT) {
+        const lat = toDegrees(values[2] ?? null);
+        const lon = toDegrees(values[3] ?? null);
+        if (lat !== null && lon !== null) {
+          waypoints.push({ lat, lon, ele: null, time: toDate(values[1] ?? null), name: values[6] || null });
+        }
+      }
+    }
+
+    return {
+      name,
+      description: '',
+      time: null,
+      tracks: points.length > 0 ? [{ name, points }] : [],
+      waypoints
+    };
+  }
+};
@@ -0,0 +1,74 @@
+// GeoJSON: LineStrings become tracks and Points waypoints. Per-point times are
+// read from the coordTimes / coordinateProperties.times conventions when present.
+
+const toPoint = ([lon, lat, ele], time) => ({
+  lat,
+  lon,
+  ele: typeof ele === 'number' ? ele : null,
+  time: time ? new Date(time) : null
+});
+
+const isPosition = (position) => (
+  Array.isArray(position) && typeof position[0] === 'number' && typeof position[1] === 'number'
+);
+
+// Flatten Features, FeatureCollections and GeometryCollections into [{ geometry, properties }]
+const collectGeometries = (object, properties = {}, found = []) => {
+  if (!object) return found;
+  switch (object.type) {
+    case 'FeatureCollection':
+      (object.features || []).forEach(feature => collectGeometries(feature, {}, found));
+      break;
+    case 'Feature':
+      collectGeometries(object.geometry, object.properties || {}, found);
+      break;
+    case 'GeometryCollection':
+      (object.geometries || []).forEach(geometry => collectGeometries(geometry, properties, found));
+      break;
+    default:
+      found.push({ geometry: object, properties });
+  }
+  return found;
+};
+
+export default {
+  id: 'geojson',
+  name: 'GeoJSON',
+  extensions: ['.geojson'],
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    if (!data || typeof data.type !== 'string') {
+      throw new Error('Not a GeoJSON object');
+    }
+    
+    const tracks = [];
+    const waypoints = [];
+    collectGeometries(data).forEach(({ geometry, properties }) => {
+      const name = properties.name || properties.title || null;
+      const times = properties.coordTimes || properties.coordinateProperties?.times;
+      
+      if (geometry.type === 'LineString') {
+        tracks.push({ name, points: geometry.coordinates.filter(isPosition).map((position, index) => toPoint(position, times?.[index])) });
+      } else if (geometry.type === 'MultiLineString') {
+        geometry.coordinates.forEach((line, lineIndex) => {
+          tracks.push({ name, points: line.filter(isPosition).map((position, index) => toPoint(position, times?.[lineIndex]?.[index])) });
+        });
+      } else if (geometry.type === 'Point' && isPosition(geometry.coordinates)) {
+        waypoints.push({ ...toPoint(geometry.coordinates, properties.time), name });
+      }
+    });
+    
+    return {
+      name: data.name || data.properties?.name || null,
+      description: data.description || data.properties?.description || '',
+      time: null,
+      tracks: tracks.filter(track => track.points.length > 0),
+      waypoints
+    };
+  }
+};
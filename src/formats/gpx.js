@@ -0,0 +1,26 @@
+// GPX, through gpxparser
+import gpxParser from 'gpxparser';
+import { hasParseError, normaliseLineEndings } from './xml.js';
+
+export default {
+  id: 'gpx',
+  name: 'GPX',
+  extensions: ['.gpx'],
+  parse(text) {
+    const gpx = new gpxParser();
+    gpx.parse(normaliseLineEndings(text));
+    if (hasParseError(gpx.xmlSource)) {
+      throw new Error('Not well-formed XML');
+    }
+    
+    // Planning tools often export a <rte> rather than a <trk>, so routes stand
+    // in for tracks when a file has no tracks
+    return {
+      name: gpx.metadata?.name || null,
+      description: gpx.metadata?.desc || '',
+      time: gpx.metadata?.time || null,
+      tracks: gpx.tracks.length > 0 ? gpx.tracks : gpx.routes,
+      waypoints: gpx.waypoints || []
+    };
+  }
+};
@@ -0,0 +1,75 @@
+// Route file formats, shared by the generator script and the browser. Each
+// format turns a file into the same route shape:
+//
+//   { name, description, time, tracks: [{ name, points: [{ lat, lon, ele, time }] }], waypoints }
+//
+// name is null when the file doesn't name the route; parseRouteFile falls back
+// to the filename. time is the file's own timestamp, when it has one.
+//
+// A format is { id, name, extensions, binary, parse(content) }. parse gets the
+// file as text, or as a Uint8Array when binary is set, and throws an Error
+// describing what is wrong with the file.
+import gpx from './gpx.js';
+import kml from './kml.js';
+import geojson from './geojson.js';
+import tcx from './tcx.js';
+import fit from './fit.js';
+import { cleanTracks } from '../trackCleaning.js';
+
+const routeFormats = [gpx, kml, geojson, tcx, fit];
+
+// Add a format, e.g. from a script that needs one the app doesn't
+export const registerRouteFormat = (format) => {
+  routeFormats.push(format);
+};
+
+const extensionOf = (filename) => {
+  const match = filename.match(/\.[^./\\]+$/);
+  return match ? match[0].toLowerCase() : '';
+};
+
+export const findRouteFormat = (filename) => (
+  routeFormats.find(format => format.extensions.includes(extensionOf(filename))) || null
+);
+
+export const isRouteFile = (filename) => findRouteFormat(filename) !== null;
+
+// Extensions of every registered format, e.g. for a file input's accept attribute
+export const routeFileExtensions = () => routeFormats.flatMap(format => format.extensions);
+
+// Parse a route file given as text or bytes (Uint8Array or ArrayBuffer).
+// Returns the route with its filename and a name; throws an Error naming the
+// file and what went wrong when it can't be read. When options.clean is set
+// the tracks are cleaned with those trackCleaning.js options, and the route
+// gets the cleaning stats as cleaning.
+export const parseRouteFile = (content, filename, options = {}) => {
+  const format = findRouteFormat(filename);
+  if (!format) {
+    throw new Error(`${filename}: unsupported file type, expected one of ${routeFileExtensions().join(', ')}`);
+  }
+
+  let input = content instanceof ArrayBuffer ? new Uint8Array(content) : content;
+  if (format.binary && typeof input === 'string') {
+    throw new Error(`${filename}: ${format.name} files must be read as bytes`);
+  }
+  if (!format.binary && typeof input !== 'string') {
+    input = new TextDecoder().decode(input);
+  }
+
+  let route;
+  try {
+    route = format.parse(input);
+  } catch (error) {
+    throw new Error(`${filename}: ${error.message}`);
+  }
+
+  const cleaned = options.clean && cleanTracks(route.tracks || [], options.clean);
+
+  return {
+    ...route,
+    ...(cleaned && { tracks: cleaned.tracks, cleaning: cleaned.stats }),
+    filename,
+    name: route.name || filename.replace(/\.[^.]+$/, ''),
+    format: format.id
+  };
+};
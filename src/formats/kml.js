@@ -0,0 +1,55 @@
+// KML from Google Earth and most mapping apps: LineStrings and gx:Tracks
+// become tracks, Points become waypoints
+import { childText, children, descendants, parseTime, parseXML } from './xml.js';
+
+// "lon,lat[,alt] lon,lat[,alt] ..."
+const parseCoordinates = (text) => text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+  const [lon, lat, ele] = tuple.split(',').map(parseFloat);
+  return { lat, lon, ele: isNaN(ele) ? null : ele, time: null };
+}).filter(point => !isNaN(point.lat) && !isNaN(point.lon));
+
+// gx:Track keeps its positions in gx:coord ("lon lat alt") with matching <when> times
+const parseGxTrack = (track) => {
+  const times = children(track, 'when').map(when => parseTime(when.textContent.trim()));
+  return children(track, 'coord').map((coord, index) => {
+    const [lon, lat, ele] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+    return { lat, lon, ele: isNaN(ele) ? null : ele, time: times[index] || null };
+  }).filter(point => !isNaN(point.lat) && !isNaN(point.lon));
+};
+
+export default {
+  id: 'kml',
+  name: 'KML',
+  extensions: ['.kml'],
+  parse(text) {
+    const document = parseXML(text);
+    const [kmlDocument] = descendants(document, 'Document');
+    const tracks = [];
+    const waypoints = [];
+    
+    descendants(document, 'Placemark').forEach(placemark => {
+      const name = childText(placemark, 'name');
+      
+      descendants(placemark, 'LineString').forEach(lineString => {
+        const [coordinates] = children(lineString, 'coordinates');
+        if (coordinates) tracks.push({ name, points: parseCoordinates(coordinates.textContent) });
+      });
+      descendants(placemark, 'Track').forEach(track => {
+        tracks.push({ name, points: parseGxTrack(track) });
+      });
+      descendants(placemark, 'Point').forEach(point => {
+        const [coordinates] = children(point, 'coordinates');
+        const [position] = coordinates ? parseCoordinates(coordinates.textContent) : [];
+        if (position) waypoints.push({ ...position, name });
+      });
+    });
+    
+    return {
+      name: kmlDocument ? childText(kmlDocument, 'name') : null,
+      description: (kmlDocument && childText(kmlDocument, 'description')) || '',
+      time: null,
+      tracks: tracks.filter(track => track.points.length > 0),
+      waypoints
+    };
+  }
+};
@@ -0,0 +1,48 @@
+// Garmin Training Center XML: activities and courses, one track per <Track>
+import { childText, children, descendants, parseNumber, parseTime, parseXML } from './xml.js';
+
+const parseTrackpoint = (trackpoint) => {
+  const [position] = children(trackpoint, 'Position');
+  if (!position) return null; // Indoor or lost-fix trackpoints carry no position
+  
+  return {
+    lat: parseNumber(childText(position, 'LatitudeDegrees')),
+    lon: parseNumber(childText(position, 'LongitudeDegrees')),
+    ele: parseNumber(childText(trackpoint, 'AltitudeMeters')),
+    time: parseTime(childText(trackpoint, 'Time'))
+  };
+};
+
+export default {
+  id: 'tcx',
+  name: 'TCX',
+  extensions: ['.tcx'],
+  parse(text) {
+    const document = parseXML(text);
+    const tracks = [];
+    const waypoints = [];
+    let name = null;
+    
+    // Courses are named; activities only have their start time as an id
+    [...descendants(document, 'Course'), ...descendants(document, 'Activity')].forEach(item => {
+      const itemName = childText(item, 'Name') || childText(item, 'Id');
+      name = name || itemName;
+      
+      descendants(item, 'Track').forEach(track => {
+        const points = children(track, 'Trackpoint')
+          .map(parseTrackpoint)
+          .filter(point => point && point.lat !== null && point.lon !== null);
+        if (points.length > 0) tracks.push({ name: itemName, points });
+      });
+    });
+    
+    descendants(document, 'CoursePoint').forEach(coursePoint => {
+      const point = parseTrackpoint(coursePoint);
+      if (point && point.lat !== null && point.lon !== null) {
+        waypoints.push({ ...point, name: childText(coursePoint, 'Name') });
+      }
+    });
+    
+    return { name, description: '', time: null, tracks, waypoints };
+  }
+};
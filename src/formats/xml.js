@@ -0,0 +1,58 @@
+// XML helpers for the XML based route formats. Elements are matched by local
+// name so namespace prefixes (gx:Track, ns3:TPX) don't matter.
+import { DOMParser, onErrorStopParsing } from '@xmldom/xmldom';
+
+// KML and TCX are parsed with xmldom in the browser and in Node alike, so the
+// generator and the app read a file the same way and no browser DOM is needed
+const xmlParser = new DOMParser({ onError: onErrorStopParsing });
+
+// Namespaces of the <parsererror> element browser DOMParsers (and jsdom's)
+// put in the document when the XML is not well-formed: Firefox and jsdom
+// return it as the root, Chrome and Safari insert an XHTML one
+const PARSER_ERROR_NAMESPACES = [
+  'http://www.mozilla.org/newlayout/xml/parsererror.xml',
+  'http://www.w3.org/1999/xhtml'
+];
+
+// Whether a document from a browser style DOMParser reports a parse error.
+// Only the parser's own error element counts, not a file's element that
+// happens to be called parsererror.
+export const hasParseError = (document) => PARSER_ERROR_NAMESPACES.some(namespace => (
+  document.getElementsByTagNameNS(namespace, 'parsererror').length > 0
+));
+
+// XML 1.0 parsers read CR LF and lone CR as LF. Doing it up front works around
+// DOMParsers that don't, such as jsdom's, which rejects a CR LF between a
+// start tag's attributes.
+export const normaliseLineEndings = (text) => text.replace(/\r\n?/g, '\n');
+
+export const parseXML = (text) => {
+  try {
+    return xmlParser.parseFromString(normaliseLineEndings(text), 'text/xml');
+  } catch (error) {
+    throw new Error(`Not well-formed XML: ${error.message.split('\n')[0]}`);
+  }
+};
+
+export const descendants = (element, localName) => [...element.getElementsByTagNameNS('*', localName)];
+
+export const children = (element, localName) => (
+  [...element.childNodes].filter(child => child.nodeType === 1 && child.localName === localName)
+);
+
+// Trimmed text of the first direct child with the local name, or null
+export const childText = (element, localName) => {
+  const [child] = children(element, localName);
+  return child ? child.textContent.trim() : null;
+};
+
+export const parseNumber = (text) => {
+  const value = parseFloat(text);
+  return isNaN(value) ? null : value;
+};
+
+export const parseTime = (text) => {
+  if (!text) return null;
+  const time = new Date(text);
+  return isNaN(time) ? null : time;
+};
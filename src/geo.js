@@ -0,0 +1,63 @@
+// Geographic helpers shared by the generator scripts and the browser
+
+const EARTH_RADIUS_METRES = 6371008.8;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Length of one degree of latitude, close enough to constant at Scottish latitudes
+export const METRES_PER_DEGREE_LATITUDE = 111132;
+
+// Length of one degree of longitude at the given latitude (about 60km at 57°N)
+export const metresPerDegreeLongitude = (lat) => EARTH_RADIUS_METRES * DEG_TO_RAD * Math.cos(lat * DEG_TO_RAD);
+
+// Great-circle distance between two points in metres
+export const distanceMetres = (lat1, lon1, lat2, lon2) => {
+  const dLat = (lat2 - lat1) * DEG_TO_RAD;
+  const dLon = (lon2 - lon1) * DEG_TO_RAD;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * DEG_TO_RAD) * Math.cos(lat2 * DEG_TO_RAD) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METRES * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Total length of a list of { lat, lon } points in metres
+export const pathLengthMetres = (points) => {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distanceMetres(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+  }
+  return length;
+};
+
+// Resample a list of { lat, lon } points so consecutive points are stepMetres apart.
+// The first and last points are always kept. Each sample also records the index
+// of the segment it lies on (points[segment] to points[segment + 1]).
+export const resamplePoints = (points, stepMetres) => {
+  if (points.length < 2) return points.map(point => ({ lat: point.lat, lon: point.lon, segment: 0 }));
+
+  const samples = [{ lat: points[0].lat, lon: points[0].lon, segment: 0 }];
+  let carried = 0; // Distance walked since the last sample
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const segmentLength = distanceMetres(from.lat, from.lon, to.lat, to.lon);
+    if (segmentLength === 0) continue;
+
+    let offset = stepMetres - carried;
+    while (offset <= segmentLength) {
+      const ratio = offset / segmentLength;
+      samples.push({
+        lat: from.lat + (to.lat - from.lat) * ratio,
+        lon: from.lon + (to.lon - from.lon) * ratio,
+        segment: i - 1
+      });
+      offset += stepMetres;
+    }
+    carried = segmentLength - (offset - stepMetres);
+  }
+
+  const last = points[points.length - 1];
+  if (carried > 0) {
+    samples.push({ lat: last.lat, lon: last.lon, segment: points.length - 2 });
+  }
+  return samples;
+};
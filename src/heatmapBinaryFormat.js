@@ -0,0 +1,283 @@
+// Binary heatmap format, shared by the generator (encode) and the browser (decode).
+//
+// Layout, little endian:
+//   0   magic "TGOH"
+//   4   u16 format version
+//   6   u16 flags (reserved, 0)
+//   8   u32 byte length of the JSON header
+//   12  JSON header: { metadata, routes, levels, coordinateScale, polylineCount }
+//   ... one record per polyline:
+//         varint record length in bytes (not counting this varint)
+//         varint route index
+//         varint detail level (index into header.levels; version 2 and later)
+//         varint record flags (version 3 and later): 1 = has elevation
+//         varint point count
+//         zigzag varint lon, lat of the first point, then deltas to each next point,
+//           as fixed-point integers (degrees * coordinateScale)
+//         u8 intensity for each segment (point count - 1)
+//         with elevation: zigzag varint elevation of the first point, then deltas,
+//           as fixed-point integers (metres * ELEVATION_SCALE)
+//
+// Records are length-prefixed so the decoder can take them one at a time as
+// bytes arrive from the network. Level 0 is the full detail geometry; version 1
+// files only have that level.
+
+export const BINARY_MAGIC = 'TGOH';
+export const BINARY_FORMAT_VERSION = 3;
+export const COORDINATE_SCALE = 1e5; // ~1m
+export const ELEVATION_SCALE = 10; // 10cm
+
+const RECORD_HAS_ELEVATION = 1;
+
+const HEADER_PREFIX_BYTES = 12;
+
+// Growable byte buffer for the encoder
+const createByteWriter = (initialSize = 1 << 16) => {
+  let bytes = new Uint8Array(initialSize);
+  let length = 0;
+
+  const ensure = (extra) => {
+    if (length + extra <= bytes.length) return;
+    let size = bytes.length * 2;
+    while (size < length + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(bytes.subarray(0, length));
+    bytes = grown;
+  };
+
+  return {
+    get length() {
+      return length;
+    },
+    byte(value) {
+      ensure(1);
+      bytes[length++] = value;
+    },
+    bytes(values) {
+      ensure(values.length);
+      bytes.set(values, length);
+      length += values.length;
+    },
+    varint(value) {
+      ensure(10);
+      // Plain arithmetic rather than bit operators so values above 2^31 survive
+      while (value >= 0x80) {
+        bytes[length++] = (value % 0x80) | 0x80;
+        value = Math.floor(value / 0x80);
+      }
+      bytes[length++] = value;
+    },
+    zigzag(value) {
+      this.varint(value < 0 ? -value * 2 - 1 : value * 2);
+    },
+    result() {
+      return bytes.slice(0, length);
+    }
+  };
+};
+
+// Encode polylines [{ routeIndex, level, coordinates: [[lon, lat, ele], ...], intensities: [...] }]
+// into a Uint8Array. intensities has one entry per segment; level defaults to 0.
+// Elevation is stored only when every point of the polyline has one.
+export const encodeHeatmapBinary = ({ metadata, routes, levels = [], polylines }) => {
+  const headerBytes = new TextEncoder().encode(JSON.stringify({
+    metadata,
+    routes,
+    levels,
+    coordinateScale: COORDINATE_SCALE,
+    polylineCount: polylines.length
+  }));
+
+  const writer = createByteWriter();
+  writer.bytes(new TextEncoder().encode(BINARY_MAGIC));
+  const prefix = new DataView(new ArrayBuffer(8));
+  prefix.setUint16(0, BINARY_FORMAT_VERSION, true);
+  prefix.setUint16(2, 0, true);
+  prefix.setUint32(4, headerBytes.length, true);
+  writer.bytes(new Uint8Array(prefix.buffer));
+  writer.bytes(headerBytes);
+
+  polylines.forEach(polyline => {
+    const record = createByteWriter(polyline.coordinates.length * 4 + 16);
+    record.varint(polyline.routeIndex);
+    const hasElevation = polyline.coordinates.every(coordinate => Number.isFinite(coordinate[2]));
+    record.varint(polyline.level || 0);
+    record.varint(hasElevation ? RECORD_HAS_ELEVATION : 0);
+    record.varint(polyline.coordinates.length);
+
+    let previousLon = 0;
+    let previousLat = 0;
+    polyline.coordinates.forEach(([lon, lat]) => {
+      const fixedLon = Math.round(lon * COORDINATE_SCALE);
+      const fixedLat = Math.round(lat * COORDINATE_SCALE);
+      record.zigzag(fixedLon - previousLon);
+      record.zigzag(fixedLat - previousLat);
+      previousLon = fixedLon;
+      previousLat = fixedLat;
+    });
+
+    polyline.intensities.forEach(intensity => record.byte(Math.max(0, Math.min(255, Math.round(intensity)))));
+
+    if (hasElevation) {
+      let previousEle = 0;
+      polyline.coordinates.forEach(([, , ele]) => {
+        const fixedEle = Math.round(ele * ELEVATION_SCALE);
+        record.zigzag(fixedEle - previousEle);
+        previousEle = fixedEle;
+      });
+    }
+
+    writer.varint(record.length);
+    writer.bytes(record.result());
+  });
+
+  return writer.result();
+};
+
+// Read a varint at offset. Returns [value, nextOffset], or null if the bytes
+// end before the varint does.
+const readVarint = (bytes, offset, end) => {
+  let value = 0;
+  let multiplier = 1;
+  while (offset < end) {
+    const byte = bytes[offset++];
+    value += (byte & 0x7f) * multiplier;
+    if (byte < 0x80) return [value, offset];
+    multiplier *= 0x80;
+  }
+  return null;
+};
+
+const unzigzag = (value) => (value % 2 === 1 ? -(value + 1) / 2 : value / 2);
+
+// Decode one polyline record occupying bytes[offset, end)
+const decodeRecord = (bytes, offset, end, { coordinateScale, version }) => {
+  let result = readVarint(bytes, offset, end);
+  const routeIndex = result[0];
+  let level = 0;
+  if (version >= 2) {
+    result = readVarint(bytes, result[1], end);
+    level = result[0];
+  }
+  let flags = 0;
+  if (version >= 3) {
+    result = readVarint(bytes, result[1], end);
+    flags = result[0];
+  }
+  result = readVarint(bytes, result[1], end);
+  const pointCount = result[0];
+  let position = result[1];
+
+  const coordinates = new Float64Array(pointCount * 2);
+  let fixedLon = 0;
+  let fixedLat = 0;
+  for (let i = 0; i < pointCount; i++) {
+    result = readVarint(bytes, position, end);
+    fixedLon += unzigzag(result[0]);
+    result = readVarint(bytes, result[1], end);
+    fixedLat += unzigzag(result[0]);
+    position = result[1];
+    coordinates[i * 2] = fixedLon / coordinateScale;
+    coordinates[i * 2 + 1] = fixedLat / coordinateScale;
+  }
+
+  const intensities = Uint8Array.from(bytes.subarray(position, position + Math.max(0, pointCount - 1)));
+  position += intensities.length;
+
+  let elevations = null;
+  if (flags & RECORD_HAS_ELEVATION) {
+    elevations = new Float32Array(pointCount);
+    let fixedEle = 0;
+    for (let i = 0; i < pointCount; i++) {
+      result = readVarint(bytes, position, end);
+      fixedEle += unzigzag(result[0]);
+      position = result[1];
+      elevations[i] = fixedEle / ELEVATION_SCALE;
+    }
+  }
+
+  return { routeIndex, level, coordinates, intensities, elevations };
+};
+
+// Incremental decoder. Feed it chunks of bytes as they arrive; it decodes every
+// complete record straight away so parsing overlaps the download.
+export const createHeatmapBinaryDecoder = () => {
+  let buffer = new Uint8Array(1 << 16);
+  let length = 0;
+  let offset = 0;
+  let header = null;
+  const polylines = [];
+
+  const append = (chunk) => {
+    // Drop consumed bytes before growing so the buffer stays near one record long
+    if (offset > 0 && length + chunk.length > buffer.length) {
+      buffer.copyWithin(0, offset, length);
+      length -= offset;
+      offset = 0;
+    }
+    if (length + chunk.length > buffer.length) {
+      let size = buffer.length * 2;
+      while (size < length + chunk.length) size *= 2;
+      const grown = new Uint8Array(size);
+      grown.set(buffer.subarray(0, length));
+      buffer = grown;
+    }
+    buffer.set(chunk, length);
+    length += chunk.length;
+  };
+
+  const readHeader = () => {
+    if (length - offset < HEADER_PREFIX_BYTES) return false;
+
+    const magic = new TextDecoder().decode(buffer.subarray(offset, offset + 4));
+    if (magic !== BINARY_MAGIC) {
+      throw new Error('Not a binary heatmap file');
+    }
+    const view = new DataView(buffer.buffer, buffer.byteOffset + offset, HEADER_PREFIX_BYTES);
+    const version = view.getUint16(4, true);
+    if (version > BINARY_FORMAT_VERSION) {
+      throw new Error(`Unsupported binary heatmap version ${version}`);
+    }
+    const headerLength = view.getUint32(8, true);
+    if (length - offset < HEADER_PREFIX_BYTES + headerLength) return false;
+
+    const headerStart = offset + HEADER_PREFIX_BYTES;
+    header = JSON.parse(new TextDecoder().decode(buffer.subarray(headerStart, headerStart + headerLength)));
+    header.version = version;
+    offset = headerStart + headerLength;
+    return true;
+  };
+
+  const readRecords = () => {
+    while (offset < length) {
+      const prefix = readVarint(buffer, offset, length);
+      if (!prefix) return;
+      const [recordLength, recordStart] = prefix;
+      if (recordStart + recordLength > length) return;
+
+      polylines.push(decodeRecord(buffer, recordStart, recordStart + recordLength, header));
+      offset = recordStart + recordLength;
+    }
+  };
+
+  return {
+    push(chunk) {
+      append(chunk);
+      if (!header && !readHeader()) return;
+      readRecords();
+    },
+    get header() {
+      return header;
+    },
+    get polylines() {
+      return polylines;
+    },
+    // Throws if the stream ended part way through
+    finish() {
+      if (!header || offset !== length || polylines.length !== header.polylineCount) {
+        throw new Error('Binary heatmap file is truncated');
+      }
+      return { header, polylines };
+    }
+  };
+};
@@ -0,0 +1,169 @@
+// Export the processed heatmap for GIS tools and GPS units: the segments with
+// their density as GeoJSON or KML, or the most walked corridors as GPX tracks.
+import { linesFromSegmentFeatures, topCorridors } from './routeStatistics.js';
+
+export const DATA_EXPORT_FORMATS = {
+  geojson: { name: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { name: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  gpx: { name: 'GPX (top corridors)', extension: 'gpx', mimeType: 'application/gpx+xml' }
+};
+
+export const DEFAULT_CORRIDOR_COUNT = 10;
+
+// Properties kept in exported lines. intensity is left out as it is only for
+// drawing (and may be randomised).
+const exportedProperties = ({ routeId, routeName, filename, year, density, climb }) => ({
+  routeId: routeId ?? null,
+  routeName: routeName ?? null,
+  filename: filename ?? null,
+  year: year ?? null,
+  density,
+  ...(climb !== undefined && { climb })
+});
+
+const sameProperties = (a, b) => (
+  a.routeId === b.routeId && a.density === b.density && a.climb === b.climb
+);
+
+// Join consecutive segment features of a route that share an endpoint and
+// have the same density (and climb) into [{ properties, coordinates }] lines,
+// which keeps exports a fraction of the size of one line per segment
+export const mergeSegmentFeatures = (features) => {
+  const lines = [];
+  let current = null;
+
+  features.forEach(feature => {
+    const [start, end] = feature.geometry.coordinates;
+    const properties = exportedProperties(feature.properties);
+    const previous = current && current.coordinates[current.coordinates.length - 1];
+
+    if (current && sameProperties(current.properties, properties) &&
+        previous[0] === start[0] && previous[1] === start[1]) {
+      current.coordinates.push(end);
+      return;
+    }
+
+    current = { properties, coordinates: [start, end] };
+    lines.push(current);
+  });
+
+  return lines;
+};
+
+export const heatmapToGeoJSON = (features, { radiusMetres, densityStrategy } = {}) => JSON.stringify({
+  type: 'FeatureCollection',
+  ...(radiusMetres != null && { overlapRadiusMetres: radiusMetres }),
+  ...(densityStrategy && { densityStrategy }),
+  features: mergeSegmentFeatures(features).map(({ properties, coordinates }) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'LineString', coordinates }
+  }))
+});
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// KML colours are aabbggrr hex
+const kmlColor = (cssColor) => {
+  const [red, green, blue, alpha = 1] = cssColor.match(/[\d.]+/g).map(Number);
+  return [Math.round(alpha * 255), blue, green, red]
+    .map(channel => channel.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+const kmlCoordinates = (coordinates) => coordinates.map(position => position.join(',')).join(' ');
+
+// densityColors holds the [routeCount, 'rgba(...)'] stops of the line colour,
+// from colorStops(getColorScheme(...)), so lines keep their map colours. The
+// last stop colours every density above it.
+export const heatmapToKML = (features, { name, densityColors }) => {
+  const styles = densityColors.map(([routeCount, color]) => `
+    <Style id="density-${routeCount}">
+      <LineStyle><color>${kmlColor(color)}</color><width>3</width></LineStyle>
+    </Style>`).join('');
+  const styleFor = (density) => `#density-${densityColors[Math.min(Math.max(density, 1), densityColors.length) - 1][0]}`;
+
+  const placemarks = mergeSegmentFeatures(features).map(({ properties, coordinates }) => {
+    const data = Object.entries(properties)
+      .filter(([, value]) => value != null)
+      .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+    return `
+    <Placemark>
+      <name>${escapeXml(properties.routeName || 'Segment')}</name>
+      <styleUrl>${styleFor(properties.density)}</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      <LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(coordinates)}</coordinates></LineString>
+    </Placemark>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+};
+
+const gpxPoint = ([lon, lat, ele]) => (
+  Number.isFinite(ele)
+    ? `<trkpt lat="${lat}" lon="${lon}"><ele>${ele}</ele></trkpt>`
+    : `<trkpt lat="${lat}" lon="${lon}"/>`
+);
+
+// The count most walked corridors as GPX tracks, busiest first. Throws when
+// no corridor is long enough to list.
+export const corridorsToGPX = (features, { name, count = DEFAULT_CORRIDOR_COUNT }) => {
+  const corridors = topCorridors(linesFromSegmentFeatures(features), { count });
+  if (corridors.length === 0) {
+    throw new Error('No stretch of the shown routes is shared by two or more of them');
+  }
+  const tracks = corridors.map((corridor, index) => {
+    const description = `${(corridor.lengthMetres / 1000).toFixed(1)} km, ` +
+      `${corridor.density.toFixed(1)} routes on average, up to ${corridor.maxDensity}`;
+    return `
+  <trk>
+    <name>Corridor ${index + 1}</name>
+    <desc>${escapeXml(description)}</desc>
+    <trkseg>
+      ${corridor.coordinates.map(gpxPoint).join('\n      ')}
+    </trkseg>
+  </trk>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="TGO Heatmap" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escapeXml(name)}</name></metadata>${tracks}
+</gpx>
+`;
+};
+
+// Blob of the processed segment features in one of DATA_EXPORT_FORMATS.
+// Throws when there is nothing to export.
+export const exportHeatmapData = (features, { format, name, radiusMetres, densityStrategy, densityColors, corridorCount }) => {
+  if (features.length === 0) {
+    throw new Error('No routes are shown, so there is nothing to export');
+  }
+
+  let text;
+  switch (format) {
+    case 'geojson':
+      text = heatmapToGeoJSON(features, { radiusMetres, densityStrategy });
+      break;
+    case 'kml':
+      text = heatmapToKML(features, { name, densityColors });
+      break;
+    case 'gpx':
+      text = corridorsToGPX(features, { name, count: corridorCount });
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return new Blob([text], { type: DATA_EXPORT_FORMATS[format].mimeType });
+};
@@ -0,0 +1,92 @@
+// Paint definitions for the heatmap lines, shared by the live map and the poster export
+import { findPalette, paletteOpacity } from './palettes.js';
+
+// Line width increases with density and zoom
+export const HEATMAP_LINE_WIDTH = [
+  'interpolate',
+  ['linear'],
+  ['zoom'],
+  6, [
+    'interpolate',
+    ['linear'],
+    ['get', 'intensity'],
+    1, 1,
+    10, 3
+  ],
+  12, [
+    'interpolate',
+    ['linear'],
+    ['get', 'intensity'],
+    1, 2,
+    10, 6
+  ],
+  18, [
+    'interpolate',
+    ['linear'],
+    ['get', 'intensity'],
+    1, 3,
+    10, 8
+  ]
+];
+
+// Opacity based on intensity
+export const HEATMAP_LINE_OPACITY = [
+  'interpolate',
+  ['linear'],
+  ['get', 'intensity'],
+  1, 0.6,
+  5, 0.8,
+  10, 1.0
+];
+
+// Climb colours segments by the mean gradient, in percent, of the routes using
+// them. Segments without elevation data stay grey.
+export const CLIMB_LINE_COLOR = [
+  'case',
+  ['==', ['get', 'climb'], null], '#9e9e9e',
+  [
+    'interpolate',
+    ['linear'],
+    ['get', 'climb'],
+    0, '#1a9850',
+    4, '#a6d96a',
+    8, '#fee08b',
+    12, '#f46d43',
+    20, '#a50026'
+  ]
+];
+
+// Segments of the route hovered in the route list are drawn in this colour,
+// through the 'hover' feature state
+export const ROUTE_HOVER_COLOR = '#ffd700';
+export const withRouteHoverColor = (lineColor) => [
+  'case',
+  ['boolean', ['feature-state', 'hover'], false], ROUTE_HOVER_COLOR,
+  lineColor
+];
+
+// Line colour for a palette: an interpolation over the segment intensity from
+// 1 to densityCap routes. customPalette holds the colours of the custom palette.
+export const getColorScheme = (scheme, densityCap, customPalette) => {
+  const palette = findPalette(scheme, customPalette);
+  const colors = ['interpolate', ['linear'], ['get', 'intensity']];
+  
+  for (let i = 1; i <= densityCap; i++) {
+    const ratio = (i - 1) / Math.max(densityCap - 1, 1);
+    const [red, green, blue] = palette.rgb(ratio);
+    colors.push(i, `rgba(${red}, ${green}, ${blue}, ${paletteOpacity(palette, ratio)})`);
+  }
+  
+  return colors;
+};
+
+// [value, colour] stops of a line colour, for drawing a legend. The
+// interpolation is taken out of a case expression such as CLIMB_LINE_COLOR.
+export const colorStops = (lineColor) => {
+  const interpolation = lineColor[0] === 'case' ? lineColor[lineColor.length - 1] : lineColor;
+  const stops = [];
+  for (let i = 3; i < interpolation.length; i += 2) {
+    stops.push([interpolation[i], interpolation[i + 1]]);
+  }
+  return stops;
+};
@@ -0,0 +1,107 @@
+// Colour legend for the heatmap lines, built from the same stops the map draws
+// with. Shared by the on-map legend, screenshots and the poster export.
+import { CLIMB_LINE_COLOR, colorStops, getColorScheme } from './heatmapStyle.js';
+
+// More bands than this stop being readable at a glance
+const MAX_DENSITY_BANDS = 6;
+
+// Colour of segments without elevation in climb mode
+const NO_ELEVATION_COLOR = CLIMB_LINE_COLOR[2];
+
+// { title, bands: [{ label, color }] } describing the current line colours.
+// Density legends group route counts from 1 to densityCap into bands, the last
+// being densityCap or more routes.
+export const heatmapLegend = ({ colorBy, colorScheme, densityCap, customPalette }) => {
+  if (colorBy === 'climb') {
+    const stops = colorStops(CLIMB_LINE_COLOR);
+    return {
+      title: 'Average gradient',
+      bands: [
+        ...stops.map(([value, color], index) => ({
+          label: index === stops.length - 1 ? `${value}%+` : `${value}–${stops[index + 1][0]}%`,
+          color
+        })),
+        { label: 'No elevation', color: NO_ELEVATION_COLOR }
+      ]
+    };
+  }
+
+  const stops = colorStops(getColorScheme(colorScheme, densityCap, customPalette));
+  const colorAt = (routeCount) => stops[Math.min(routeCount, stops.length) - 1][1];
+  const bandCount = Math.min(densityCap, MAX_DENSITY_BANDS);
+  const bandSize = Math.ceil((densityCap - 1) / Math.max(bandCount - 1, 1));
+  const bands = [];
+
+  for (let from = 1; from < densityCap; from += bandSize) {
+    const to = Math.min(from + bandSize - 1, densityCap - 1);
+    bands.push({
+      label: from === to ? `${from}` : `${from}–${to}`,
+      color: colorAt(Math.round((from + to) / 2))
+    });
+  }
+  bands.push({ label: `${densityCap}+`, color: colorAt(densityCap) });
+
+  return { title: 'Routes along a stretch', bands };
+};
+
+// Layout of the legend in CSS pixels, matched by the MapLegend component
+export const LEGEND_LAYOUT = {
+  padding: 6,
+  titleSize: 10,
+  labelSize: 9,
+  rowHeight: 12,
+  swatchWidth: 16,
+  swatchHeight: 6,
+  swatchGap: 5
+};
+
+// Draw a legend box onto a 2D canvas with its bottom left corner at (x, bottom),
+// or its bottom right corner when alignRight is set. scale turns the CSS pixel
+// layout into canvas pixels. Returns the y of the top of the box.
+export const drawLegend = (ctx, legend, { x, bottom, scale, alignRight = false }) => {
+  const { padding, titleSize, labelSize, rowHeight, swatchWidth, swatchHeight, swatchGap } = LEGEND_LAYOUT;
+  const titleFont = `bold ${titleSize * scale}px Arial, sans-serif`;
+  const labelFont = `${labelSize * scale}px Arial, sans-serif`;
+
+  ctx.save();
+  ctx.font = titleFont;
+  let contentWidth = ctx.measureText(legend.title).width;
+  ctx.font = labelFont;
+  legend.bands.forEach(band => {
+    contentWidth = Math.max(contentWidth, (swatchWidth + swatchGap) * scale + ctx.measureText(band.label).width);
+  });
+
+  const width = contentWidth + padding * 2 * scale;
+  const height = (padding * 2 + titleSize + 4 + legend.bands.length * rowHeight) * scale;
+  const left = alignRight ? x - width : x;
+  const top = bottom - height;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.beginPath();
+  ctx.roundRect(left, top, width, height, 4 * scale);
+  ctx.fill();
+
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#222';
+  ctx.font = titleFont;
+  ctx.fillText(legend.title, left + padding * scale, top + padding * scale);
+
+  ctx.font = labelFont;
+  ctx.textBaseline = 'middle';
+  legend.bands.forEach((band, index) => {
+    const rowMiddle = top + (padding + titleSize + 4 + index * rowHeight + rowHeight / 2) * scale;
+    const swatchLeft = left + padding * scale;
+    const swatchTop = rowMiddle - (swatchHeight / 2) * scale;
+    // The palette colours are translucent, so show them over a dark map-like background
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(swatchLeft, swatchTop, swatchWidth * scale, swatchHeight * scale);
+    ctx.fillStyle = band.color;
+    ctx.fillRect(swatchLeft, swatchTop, swatchWidth * scale, swatchHeight * scale);
+    ctx.fillStyle = '#333';
+    ctx.fillText(band.label, swatchLeft + (swatchWidth + swatchGap) * scale, rowMiddle);
+  });
+
+  ctx.restore();
+  return top;
+};
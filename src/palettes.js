@@ -0,0 +1,126 @@
+// Palettes for the density colours. A palette is { id, name, rgb(ratio) } with
+// ratio running from 0 (one route) to 1 (the density cap) and rgb returning
+// [r, g, b]; opacity(ratio) is optional and defaults to DEFAULT_OPACITY.
+
+// Sparse stretches fade into the basemap, busy ones are fully opaque
+const DEFAULT_OPACITY = (ratio) => Math.min(0.4 + (ratio * 0.6), 1.0);
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// rgb(ratio) interpolating evenly spaced hex colours
+const interpolateColors = (colors) => {
+  const rgbs = colors.map(hexToRgb);
+  return (ratio) => {
+    const position = Math.max(0, Math.min(1, ratio)) * (rgbs.length - 1);
+    const index = Math.min(Math.floor(position), rgbs.length - 2);
+    const fraction = position - index;
+    return rgbs[index].map((channel, i) => Math.round(channel + (rgbs[index + 1][i] - channel) * fraction));
+  };
+};
+
+const palettes = [
+  {
+    id: 'full',
+    name: 'Spectrum',
+    // Full spectrum: blue -> cyan -> green -> yellow -> orange -> red
+    rgb: (ratio) => {
+      if (ratio <= 0.2) return [0, Math.floor(100 + ratio * 750), 255];
+      if (ratio <= 0.4) return [0, 255, Math.floor(255 - (ratio - 0.2) * 1275)];
+      if (ratio <= 0.6) return [Math.floor((ratio - 0.4) * 1275), 255, 0];
+      if (ratio <= 0.8) return [255, Math.floor(255 - (ratio - 0.6) * 1275), 0];
+      return [255, 0, 0];
+    }
+  },
+  {
+    id: 'blue',
+    name: 'Blue',
+    rgb: (ratio) => [0, Math.floor(120 + ratio * 80), Math.floor(255 - ratio * 75)]
+  },
+  // Perceptually uniform ramps from matplotlib, readable with red-green colour
+  // blindness. The darkest ends of cividis and magma are left off because they
+  // vanish into the dark basemap.
+  {
+    id: 'viridis',
+    name: 'Viridis',
+    rgb: interpolateColors(['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'])
+  },
+  {
+    id: 'cividis',
+    name: 'Cividis',
+    rgb: interpolateColors(['#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#fee838'])
+  },
+  {
+    id: 'magma',
+    name: 'Magma',
+    rgb: interpolateColors(['#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'])
+  }
+];
+
+// Id of the palette built from the user's own colour stops
+export const CUSTOM_PALETTE_ID = 'custom';
+
+export const DEFAULT_CUSTOM_PALETTE = {
+  colors: ['#2c7bb6', '#ffffbf', '#d7191c'],
+  minOpacity: 0.4,
+  maxOpacity: 1,
+  curve: 1 // Opacity rises with ratio ** curve
+};
+
+export const MIN_CUSTOM_COLORS = 2;
+export const MAX_CUSTOM_COLORS = 6;
+
+// Add a palette, e.g. one for a particular print
+export const registerPalette = (palette) => {
+  palettes.push(palette);
+};
+
+// Every registered palette, without the custom one
+export const listPalettes = () => palettes.slice();
+
+export const isPaletteId = (id) => id === CUSTOM_PALETTE_ID || palettes.some(palette => palette.id === id);
+
+// Palette for a custom definition { colors, minOpacity, maxOpacity, curve }
+export const createCustomPalette = ({ colors, minOpacity, maxOpacity, curve }) => ({
+  id: CUSTOM_PALETTE_ID,
+  name: 'Custom',
+  rgb: interpolateColors(colors),
+  opacity: (ratio) => minOpacity + (maxOpacity - minOpacity) * ratio ** curve
+});
+
+// Palette for an id, using customPalette for the custom one. Unknown ids get
+// the default palette.
+export const findPalette = (id, customPalette = DEFAULT_CUSTOM_PALETTE) => {
+  if (id === CUSTOM_PALETTE_ID) return createCustomPalette(customPalette);
+  return palettes.find(palette => palette.id === id) || palettes[0];
+};
+
+export const paletteOpacity = (palette, ratio) => (palette.opacity || DEFAULT_OPACITY)(ratio);
+
+// Custom palettes travel in links as colours then opacities and curve, e.g.
+// "2c7bb6-ffffbf-d7191c_0.4_1_1"
+export const encodeCustomPalette = ({ colors, minOpacity, maxOpacity, curve }) => (
+  [colors.map(color => color.replace('#', '')).join('-'), minOpacity, maxOpacity, curve].join('_')
+);
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Custom palette from encodeCustomPalette, or null when the text isn't one
+export const decodeCustomPalette = (text) => {
+  const [colorText, minOpacity, maxOpacity, curve] = text.split('_');
+  const colors = (colorText || '').split('-').map(color => `#${color.toLowerCase()}`);
+  const numbers = [minOpacity, maxOpacity, curve].map(Number);
+
+  if (colors.length < MIN_CUSTOM_COLORS || colors.length > MAX_CUSTOM_COLORS) return null;
+  if (!colors.every(color => /^#[0-9a-f]{6}$/.test(color))) return null;
+  if (!numbers.every(Number.isFinite)) return null;
+
+  return {
+    colors,
+    minOpacity: clamp(numbers[0], 0, 1),
+    maxOpacity: clamp(numbers[1], 0, 1),
+    curve: clamp(numbers[2], 0.1, 10)
+  };
+};
@@ -0,0 +1,59 @@
+// Minimal PDF writer: a single page filled by one JPEG image. JPEG data can go
+// into a PDF as it is (DCTDecode), so no image encoding library is needed.
+
+const encoder = new TextEncoder();
+
+// Build a PDF of one pageWidth x pageHeight page (in points, 1/72 inch) showing
+// an RGB JPEG of widthPx x heightPx pixels stretched over the whole page
+export const createJpegPdf = (jpegBytes, { widthPx, heightPx, pageWidth, pageHeight }) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const beginObject = (number) => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+  };
+
+  const width = pageWidth.toFixed(2);
+  const height = pageHeight.toFixed(2);
+  const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q\n`;
+
+  // The comment of high bytes marks the file as binary for transfer tools
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+  beginObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  beginObject(2);
+  write('<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+  beginObject(3);
+  write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>\nendobj\n`);
+  beginObject(4);
+  write(`<< /Type /XObject /Subtype /Image /Width ${widthPx} /Height ${heightPx} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`);
+  write(jpegBytes);
+  write('\nendstream\nendobj\n');
+  beginObject(5);
+  write(`<< /Length ${encoder.encode(content).length} >>\nstream\n${content}endstream\nendobj\n`);
+
+  // Cross-reference table: every entry is exactly 20 bytes
+  const xrefOffset = length;
+  write(`xref\n0 ${offsets.length}\n0000000000 65535 f \n`);
+  offsets.slice(1).forEach(offset => {
+    write(`${String(offset).padStart(10, '0')} 00000 n \n`);
+  });
+  write(`trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+};
@@ -0,0 +1,137 @@
+// View state in the URL hash, so a link brings back the same view, e.g.
+//
+//   #map=9.5/57.01234/-4.56789&palette=viridis&radius=250&count=length&years=2016-2024&only=3,7
+//
+// Settings left at their defaults are omitted. Route ids index the route table
+// of the generated data, so links are only stable until the data is regenerated.
+import { DEFAULT_RADIUS_METRES, RADIUS_OPTIONS_METRES } from './corridorDensity.js';
+import { DEFAULT_DENSITY_CAP, DEFAULT_DENSITY_STRATEGY, DENSITY_CAP_OPTIONS, isDensityStrategy } from './densityStrategies.js';
+import { CUSTOM_PALETTE_ID, decodeCustomPalette, encodeCustomPalette, isPaletteId } from './palettes.js';
+
+export const DEFAULT_VIEW_STATE = {
+  camera: null, // { center: [lon, lat], zoom, bearing, pitch }
+  colorScheme: 'full',
+  customPalette: null, // Colours of the custom palette, null for the ones saved in this browser
+  colorBy: 'density',
+  maxDensity: DEFAULT_DENSITY_CAP,
+  overlapRadius: DEFAULT_RADIUS_METRES,
+  densityStrategy: DEFAULT_DENSITY_STRATEGY,
+  randomizeIntensity: false,
+  showEndpoints: true,
+  yearRange: null, // [fromYear, toYear], null for every year
+  excludedYears: [], // Years unticked in the year filter, null for undated routes
+  isolatedRouteIds: null, // Route ids, null to show all
+  excludedRouteIds: [] // Routes unticked in the route list
+};
+
+const COLOR_BY_OPTIONS = ['density', 'climb'];
+
+const UNDATED_KEY = 'undated';
+
+const roundTo = (value, digits) => Number(value.toFixed(digits));
+
+// Round a camera to the precision kept in the hash, so a camera read back from
+// the map after restoring one compares equal to it
+export const roundCamera = ({ center, zoom, bearing = 0, pitch = 0 }) => ({
+  center: [roundTo(center[0], 5), roundTo(center[1], 5)],
+  zoom: roundTo(zoom, 2),
+  bearing: roundTo(bearing, 1),
+  pitch: roundTo(pitch, 0)
+});
+
+const encodeCamera = (camera) => {
+  const { center: [lon, lat], zoom, bearing, pitch } = roundCamera(camera);
+  const parts = [zoom, lat, lon];
+  if (bearing !== 0 || pitch !== 0) parts.push(bearing, pitch);
+  return parts.join('/');
+};
+
+const decodeCamera = (value) => {
+  const [zoom, lat, lon, bearing = 0, pitch = 0] = value.split('/').map(Number);
+  if (![zoom, lat, lon, bearing, pitch].every(Number.isFinite)) return undefined;
+  return { center: [lon, lat], zoom, bearing, pitch };
+};
+
+const decodeIds = (value) => {
+  const ids = value.split(',').filter(Boolean).map(Number);
+  return ids.every(id => Number.isInteger(id) && id >= 0) ? ids : undefined;
+};
+
+const encodeYear = (year) => (year === null ? UNDATED_KEY : year);
+const decodeYear = (value) => (value === UNDATED_KEY ? null : parseInt(value, 10));
+
+// Hash (without the leading #) for a view state. yearRange is left out when it
+// spans fullYearRange, the range of years in the data.
+export const encodeViewState = (state, fullYearRange = null) => {
+  const parts = [];
+  const add = (key, value) => parts.push(`${key}=${value}`);
+  const defaults = DEFAULT_VIEW_STATE;
+
+  if (state.camera) add('map', encodeCamera(state.camera));
+  if (state.colorScheme !== defaults.colorScheme) add('palette', encodeURIComponent(state.colorScheme));
+  if (state.colorScheme === CUSTOM_PALETTE_ID && state.customPalette) add('custom', encodeCustomPalette(state.customPalette));
+  if (state.colorBy !== defaults.colorBy) add('colour', state.colorBy);
+  if (state.maxDensity !== defaults.maxDensity) add('density', state.maxDensity);
+  if (state.overlapRadius !== defaults.overlapRadius) add('radius', state.overlapRadius);
+  if (state.densityStrategy !== defaults.densityStrategy) add('count', state.densityStrategy);
+  if (state.randomizeIntensity) add('random', 1);
+  if (!state.showEndpoints) add('markers', 0);
+
+  const { yearRange } = state;
+  if (yearRange && !(fullYearRange && yearRange[0] === fullYearRange[0] && yearRange[1] === fullYearRange[1])) {
+    add('years', `${yearRange[0]}-${yearRange[1]}`);
+  }
+  if (state.excludedYears.length > 0) add('hideyears', state.excludedYears.map(encodeYear).join(','));
+  if (state.isolatedRouteIds) add('only', [...state.isolatedRouteIds].sort((a, b) => a - b).join(','));
+  if (state.excludedRouteIds.length > 0) add('hide', [...state.excludedRouteIds].sort((a, b) => a - b).join(','));
+
+  return parts.join('&');
+};
+
+// View state from a hash (with or without the leading #). Only the settings the
+// hash gives are returned; values that don't parse are ignored.
+export const decodeViewState = (hash) => {
+  const values = {};
+  hash.replace(/^#/, '').split('&').filter(Boolean).forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator <= 0) return;
+    try {
+      values[part.slice(0, separator)] = decodeURIComponent(part.slice(separator + 1));
+    } catch {
+      // A malformed escape is ignored like any other bad value
+    }
+  });
+
+  const state = {};
+  const set = (key, value) => {
+    if (value !== undefined) state[key] = value;
+  };
+
+  if (values.map) set('camera', decodeCamera(values.map));
+  if (isPaletteId(values.palette)) set('colorScheme', values.palette);
+  if (values.custom) set('customPalette', decodeCustomPalette(values.custom) || undefined);
+  if (COLOR_BY_OPTIONS.includes(values.colour)) set('colorBy', values.colour);
+  if (values.density) {
+    const maxDensity = parseInt(values.density, 10);
+    set('maxDensity', DENSITY_CAP_OPTIONS.includes(maxDensity) ? maxDensity : undefined);
+  }
+  if (values.radius) {
+    const radius = parseInt(values.radius, 10);
+    set('overlapRadius', RADIUS_OPTIONS_METRES.includes(radius) ? radius : undefined);
+  }
+  if (isDensityStrategy(values.count)) set('densityStrategy', values.count);
+  if (values.random) set('randomizeIntensity', values.random === '1');
+  if (values.markers) set('showEndpoints', values.markers !== '0');
+  if (values.years) {
+    const [fromYear, toYear] = values.years.split('-').map(Number);
+    set('yearRange', Number.isInteger(fromYear) && Number.isInteger(toYear) && fromYear <= toYear ? [fromYear, toYear] : undefined);
+  }
+  if (values.hideyears) {
+    const years = values.hideyears.split(',').map(decodeYear);
+    set('excludedYears', years.every(year => year === null || Number.isInteger(year)) ? years : undefined);
+  }
+  if (values.only) set('isolatedRouteIds', decodeIds(values.only));
+  if (values.hide) set('excludedRouteIds', decodeIds(values.hide));
+
+  return state;
+};
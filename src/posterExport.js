@@ -0,0 +1,232 @@
+// Poster export: renders the current view into an offscreen map at print
+// resolution and draws a title, legend, scale bar and attribution over it.
+import mapboxgl from 'mapbox-gl';
+import { createJpegPdf } from './pdfWriter.js';
+import { drawLegend } from './legend.js';
+
+// Portrait paper sizes in millimetres
+export const PAPER_SIZES_MM = {
+  A4: [210, 297],
+  A3: [297, 420],
+  A2: [420, 594],
+  A1: [594, 841]
+};
+
+export const DPI_OPTIONS = [96, 150, 200, 300];
+
+// Mapbox sizes labels and lines in CSS pixels, which are 1/96 inch
+const CSS_PIXELS_PER_INCH = 96;
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+
+// Circumference of the earth at the equator, in the units of the web mercator tiles
+const EARTH_CIRCUMFERENCE_METRES = 40075016.686;
+
+// Give up on an offscreen map that still hasn't finished drawing after this long
+const RENDER_TIMEOUT_MS = 120000;
+
+const DEFAULT_ATTRIBUTION = '© Mapbox © OpenStreetMap';
+
+// Pixel size of a poster: { paper, orientation, dpi } for a paper size, or
+// { paper: 'custom', widthPx, heightPx, dpi } for exact pixel dimensions
+export const posterSize = ({ paper, orientation, dpi, widthPx, heightPx }) => {
+  if (paper === 'custom') return { widthPx, heightPx, dpi };
+
+  const [shortMm, longMm] = PAPER_SIZES_MM[paper];
+  const [widthMm, heightMm] = orientation === 'landscape' ? [longMm, shortMm] : [shortMm, longMm];
+  return {
+    widthPx: Math.round((widthMm / MM_PER_INCH) * dpi),
+    heightPx: Math.round((heightMm / MM_PER_INCH) * dpi),
+    dpi
+  };
+};
+
+// Longest side, in pixels, that this browser's WebGL can draw a map at
+export const maxPosterSide = () => {
+  const gl = document.createElement('canvas').getContext('webgl');
+  if (!gl) return 4096;
+
+  const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+  const maxSide = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), maxViewportWidth, maxViewportHeight);
+  gl.getExtension('WEBGL_lose_context')?.loseContext();
+  return maxSide;
+};
+
+// Highest DPI a paper size can be drawn at when no side may exceed maxSide pixels
+export const maxPosterDpi = (paper, maxSide) => {
+  const longMm = PAPER_SIZES_MM[paper][1];
+  return Math.floor((maxSide * MM_PER_INCH) / longMm);
+};
+
+// Attribution shown by the live map, without its "Improve this map" link
+export const mapAttribution = (map) => {
+  const attribution = map.getContainer().querySelector('.mapboxgl-ctrl-attrib-inner');
+  const text = attribution?.textContent.replace(/Improve this map/i, '').replace(/\s+/g, ' ').trim();
+  return text || DEFAULT_ATTRIBUTION;
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode the poster as ${type}`))), type, quality);
+});
+
+// Draw sourceMap's style and camera into a widthPx x heightPx canvas. The
+// offscreen map shows at least the area of the live view, and draws labels and
+// lines at their on-screen size when printed at dpi.
+const renderOffscreenMap = (sourceMap, { widthPx, heightPx, dpi }) => new Promise((resolve, reject) => {
+  const pixelRatio = dpi / CSS_PIXELS_PER_INCH;
+  const cssWidth = widthPx / pixelRatio;
+  const cssHeight = heightPx / pixelRatio;
+
+  const container = document.createElement('div');
+  Object.assign(container.style, {
+    position: 'fixed',
+    left: '-100000px',
+    top: '0',
+    width: `${cssWidth}px`,
+    height: `${cssHeight}px`
+  });
+  document.body.appendChild(container);
+
+  const liveContainer = sourceMap.getContainer();
+  const scale = Math.min(cssWidth / liveContainer.clientWidth, cssHeight / liveContainer.clientHeight);
+  const zoom = sourceMap.getZoom() + Math.log2(scale);
+
+  const offscreenMap = new mapboxgl.Map({
+    container,
+    style: sourceMap.getStyle(),
+    center: sourceMap.getCenter(),
+    zoom,
+    bearing: sourceMap.getBearing(),
+    pitch: sourceMap.getPitch(),
+    pixelRatio,
+    interactive: false,
+    attributionControl: false,
+    preserveDrawingBuffer: true,
+    fadeDuration: 0
+  });
+
+  const finish = (callback) => {
+    clearTimeout(timeout);
+    offscreenMap.remove();
+    container.remove();
+    callback();
+  };
+  const timeout = setTimeout(() => {
+    finish(() => reject(new Error('The poster map took too long to draw')));
+  }, RENDER_TIMEOUT_MS);
+
+  // A missing tile or sprite leaves a gap rather than failing the whole poster
+  offscreenMap.on('error', (e) => console.warn('Poster map error:', e.error));
+
+  offscreenMap.once('idle', () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = widthPx;
+    canvas.height = heightPx;
+    canvas.getContext('2d').drawImage(offscreenMap.getCanvas(), 0, 0, widthPx, heightPx);
+
+    const latitude = offscreenMap.getCenter().lat;
+    const metresPerCssPixel = (EARTH_CIRCUMFERENCE_METRES * Math.cos(latitude * Math.PI / 180)) / (512 * 2 ** zoom);
+    finish(() => resolve({ canvas, metresPerPixel: metresPerCssPixel / pixelRatio }));
+  });
+});
+
+// Longest 1, 2 or 5 x 10^n metres that fits in maxMetres
+const niceScaleLength = (maxMetres) => {
+  const magnitude = 10 ** Math.floor(Math.log10(maxMetres));
+  return [5, 2, 1].map(step => step * magnitude).find(length => length <= maxMetres);
+};
+
+const formatDistance = (metres) => (metres >= 1000 ? `${metres / 1000}km` : `${metres}m`);
+
+// Title block at the top left, legend and scale bar at the bottom left and the
+// attribution at the bottom right, all sized relative to the poster
+const drawPosterOverlay = (canvas, { title, subtitle, legend, metresPerPixel, attribution }) => {
+  const ctx = canvas.getContext('2d');
+  const unit = Math.min(canvas.width, canvas.height) / 100;
+  const margin = 3 * unit;
+  const padding = 1.5 * unit;
+  ctx.textBaseline = 'top';
+
+  // Title and route count
+  const titleFont = `bold ${5 * unit}px Arial, sans-serif`;
+  const subtitleFont = `${2.2 * unit}px Arial, sans-serif`;
+  ctx.font = titleFont;
+  const titleWidth = ctx.measureText(title).width;
+  ctx.font = subtitleFont;
+  const subtitleWidth = subtitle ? ctx.measureText(subtitle).width : 0;
+  const titleBoxHeight = padding * 2 + 5 * unit + (subtitle ? 3.2 * unit : 0);
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.beginPath();
+  ctx.roundRect(margin, margin, Math.max(titleWidth, subtitleWidth) + padding * 2, titleBoxHeight, unit);
+  ctx.fill();
+  ctx.fillStyle = '#222';
+  ctx.font = titleFont;
+  ctx.fillText(title, margin + padding, margin + padding);
+  if (subtitle) {
+    ctx.font = subtitleFont;
+    ctx.fillStyle = '#555';
+    ctx.fillText(subtitle, margin + padding, margin + padding + 6 * unit);
+  }
+
+  // Legend, with the scale bar in a box above it
+  const legendTop = drawLegend(ctx, legend, { x: margin, bottom: canvas.height - margin, scale: unit / 5 });
+
+  const maxScaleWidth = 25 * unit;
+  const scaleMetres = niceScaleLength(maxScaleWidth * metresPerPixel);
+  const scaleWidth = scaleMetres / metresPerPixel;
+  const scaleBoxHeight = padding * 2 + 4 * unit;
+  const scaleBoxTop = legendTop - unit - scaleBoxHeight;
+  const x = margin + padding;
+  const y = scaleBoxTop + padding + 0.6 * unit;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.beginPath();
+  ctx.roundRect(margin, scaleBoxTop, scaleWidth + padding * 2, scaleBoxHeight, unit);
+  ctx.fill();
+  ctx.fillStyle = '#222';
+  ctx.fillRect(x, y, scaleWidth, 0.5 * unit);
+  ctx.fillRect(x, y - 0.6 * unit, 0.25 * unit, 1.1 * unit);
+  ctx.fillRect(x + scaleWidth - 0.25 * unit, y - 0.6 * unit, 0.25 * unit, 1.1 * unit);
+  ctx.font = `${1.8 * unit}px Arial, sans-serif`;
+  ctx.textBaseline = 'top';
+  ctx.fillText(formatDistance(scaleMetres), x, y + 1.2 * unit);
+
+  // Attribution
+  ctx.font = `${1.4 * unit}px Arial, sans-serif`;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.fillText(attribution, canvas.width - margin, canvas.height - margin);
+};
+
+// Render a poster of sourceMap's current view and return it as a PNG or PDF Blob.
+// legend is a heatmapLegend.
+export const exportPoster = async (sourceMap, { size, format, title, subtitle, legend, attribution }) => {
+  const { canvas, metresPerPixel } = await renderOffscreenMap(sourceMap, size);
+  drawPosterOverlay(canvas, { title, subtitle, legend, metresPerPixel, attribution });
+
+  if (format !== 'pdf') {
+    return canvasToBlob(canvas, 'image/png');
+  }
+
+  const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+  const pdf = createJpegPdf(jpeg, {
+    widthPx: canvas.width,
+    heightPx: canvas.height,
+    pageWidth: (canvas.width / size.dpi) * POINTS_PER_INCH,
+    pageHeight: (canvas.height / size.dpi) * POINTS_PER_INCH
+  });
+  return new Blob([pdf], { type: 'application/pdf' });
+};
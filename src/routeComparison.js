@@ -0,0 +1,55 @@
+// Compare a planned route against the corridor index of the known routes:
+// how much of it follows busy corridors, and where it leaves every known route.
+import { distanceMetres, resamplePoints } from './geo.js';
+
+// Bands of distinct known routes within the overlap radius
+export const DENSITY_BANDS = [
+  { label: 'Off known routes', min: 0, max: 0 },
+  { label: '1 route', min: 1, max: 1 },
+  { label: '2–4 routes', min: 2, max: 4 },
+  { label: '5–9 routes', min: 5, max: 9 },
+  { label: '10+ routes', min: 10, max: Infinity }
+];
+
+const bandIndex = (density) => DENSITY_BANDS.findIndex(band => density >= band.min && density <= band.max);
+
+// lines is [[[lon, lat], ...], ...], the tracks of one planned route.
+// Returns { totalMetres, bands: [{ label, min, max, metres }], offRouteStretches },
+// where each off-route stretch is { coordinates, lengthMetres, startMetres } in
+// the order they occur along the route.
+export const compareRouteToCorridors = (lines, corridorIndex) => {
+  const bandMetres = DENSITY_BANDS.map(() => 0);
+  const offRouteStretches = [];
+  let totalMetres = 0;
+
+  lines.forEach(coordinates => {
+    const points = resamplePoints(coordinates.map(([lon, lat]) => ({ lat, lon })), corridorIndex.stepMetres);
+    let stretch = null;
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const length = distanceMetres(from.lat, from.lon, to.lat, to.lon);
+      const density = corridorIndex.routesNear((from.lon + to.lon) / 2, (from.lat + to.lat) / 2).size;
+      bandMetres[bandIndex(density)] += length;
+
+      if (density === 0) {
+        if (!stretch) {
+          stretch = { coordinates: [[from.lon, from.lat]], lengthMetres: 0, startMetres: totalMetres };
+          offRouteStretches.push(stretch);
+        }
+        stretch.coordinates.push([to.lon, to.lat]);
+        stretch.lengthMetres += length;
+      } else {
+        stretch = null;
+      }
+      totalMetres += length;
+    }
+  });
+
+  return {
+    totalMetres,
+    bands: DENSITY_BANDS.map((band, index) => ({ ...band, metres: bandMetres[index] })),
+    offRouteStretches
+  };
+};
@@ -1,30 +1,42 @@
-// Route loader utility for dynamically loading GPX files
-import gpxParser from 'gpxparser';
-import routeFiles from "../public/routes?dir2json&ext=.gpx&lazy";
+// Route loader utility for dynamically loading route files of any supported format
+import { DEFAULT_DENSITY_CAP, createDensityEngine } from './densityStrategies.js';
+import { parseRouteFile } from './formats/index.js';
 
-export const loadRoutes = async (onProgress) => {
+// URL loaders of the route files, keyed by path ('../routes/tgo2011.gpx').
+// Vite serves or bundles each file as an asset, so the URLs follow the base path.
+const routeFileUrls = import.meta.glob('../routes/*.{gpx,kml,geojson,tcx,fit}', { query: '?url', import: 'default' });
+
+// Load and parse every route file. onError(filename, message) is called for
+// each file that fails to download or parse; those files are left out.
+export const loadRoutes = async (onProgress, onError) => {
   try {
-    const routeFilesGPX = Object.keys(routeFiles).map(k => `${k}.gpx`);
+    const routePaths = Object.keys(routeFileUrls);
 
-    const totalFiles = routeFilesGPX.length;
+    const totalFiles = routePaths.length;
     let completedFiles = 0;
     
-    const routePromises = routeFilesGPX.map(async (filename) => {
-      const response = await fetch(`/routes/${filename}`);
+    const reportError = (filename, message) => {
+      console.warn(`Failed to load route: ${message}`);
+      if (onError) onError(filename, message);
+    };
+    
+    const routePromises = routePaths.map(async (routePath) => {
+      const filename = routePath.split('/').pop();
+      let result = null;
+      const response = await fetch(await routeFileUrls[routePath]());
       if (!response.ok) {
-        console.warn(`Failed to load route: ${filename}`);
-        completedFiles++;
-        if (onProgress) {
-          onProgress(completedFiles, totalFiles, `Loading ${filename}`);
+        reportError(filename, `${filename}: ${response.status} ${response.statusText}`);
+      } else {
+        try {
+          result = parseRouteFile(await response.arrayBuffer(), filename);
+        } catch (error) {
+          reportError(filename, error.message);
         }
-        return null;
       }
-      const gpxText = await response.text();
-      const result = parseGPX(gpxText, filename);
       
       completedFiles++;
       if (onProgress) {
-        onProgress(completedFiles, totalFiles, `Loaded ${filename}`);
+        onProgress(completedFiles, totalFiles, result ? `Loaded ${filename}` : `Loading ${filename}`);
       }
       
       return result;
@@ -38,118 +50,55 @@ export const loadRoutes = async (onProgress) => {
   }
 };
 
-const parseGPX = (gpxText, filename) => {
-  try {
-    const gpx = new gpxParser();
-    gpx.parse(gpxText);
-    
-    return {
-      filename: filename,
-      name: gpx.metadata?.name || filename.replace('.gpx', ''),
-      description: gpx.metadata?.desc || '',
-      tracks: gpx.tracks,
-      waypoints: gpx.waypoints || []
-    };
-  } catch (error) {
-    console.error(`Error parsing GPX file ${filename}:`, error);
-    return null;
-  }
-};
-
-export const convertRoutesToHeatmapData = (routes, onProgress) => {
+// Heatmap line features, one per segment, with the density counted by the
+// shared density engine so it matches the generator. options are
+// { strategy, radiusMetres, densityCap }.
+export const convertRoutesToHeatmapData = (routes, onProgress, options = {}) => {
+  const { densityCap = DEFAULT_DENSITY_CAP, ...densityOptions } = options;
   const features = [];
-  const segmentDensity = {}; // Track how many routes use each segment
-  
-  // Count total segments for progress tracking
-  let totalSegments = 0;
-  routes.forEach((route) => {
-    if (route?.tracks) {
-      route.tracks.forEach((track) => {
-        totalSegments += Math.max(0, track.points.length - 1);
-      });
-    }
-  });
   
+  const lines = routes.flatMap((route, routeIndex) => (route?.tracks || []).map((track, trackIndex) => ({
+    routeId: routeIndex,
+    trackId: trackIndex,
+    coordinates: track.points.map(point => [point.lon, point.lat])
+  })));
+  const totalSegments = lines.reduce((total, line) => total + Math.max(0, line.coordinates.length - 1), 0);
   let processedSegments = 0;
   
-  // First pass: collect all line segments and count density
+  // First pass: index every track for the density strategy
   if (onProgress) onProgress(0, totalSegments, 'Analyzing route segments...');
+  const densityEngine = createDensityEngine(lines, densityOptions);
   
-  routes.forEach((route, routeIndex) => {
-    if (route?.tracks) {
-      route.tracks.forEach((track) => {
-        for (let i = 0; i < track.points.length - 1; i++) {
-          const point1 = track.points[i];
-          const point2 = track.points[i + 1];
-          
-          // Create a key for this segment (order independent)
-          const lat1 = Math.round(point1.lat * 10000) / 10000;
-          const lon1 = Math.round(point1.lon * 10000) / 10000;
-          const lat2 = Math.round(point2.lat * 10000) / 10000;
-          const lon2 = Math.round(point2.lon * 10000) / 10000;
-          
-          const key = lat1 < lat2 || (lat1 === lat2 && lon1 < lon2) 
-            ? `${lat1},${lon1}-${lat2},${lon2}`
-            : `${lat2},${lon2}-${lat1},${lon1}`;
-          
-          segmentDensity[key] = (segmentDensity[key] || 0) + 1;
-          
-          processedSegments++;
-          if (onProgress && processedSegments % 100 === 0) {
-            onProgress(processedSegments, totalSegments, 'Analyzing route segments...');
-          }
-        }
-      });
-    }
-  });
-  
-  processedSegments = 0;
   if (onProgress) onProgress(0, totalSegments, 'Creating heatmap features...');
   
   // Second pass: create line features with density-based intensity
-  routes.forEach((route, routeIndex) => {
-    if (route?.tracks) {
-      route.tracks.forEach((track, trackIndex) => {
-        for (let i = 0; i < track.points.length - 1; i++) {
-          const point1 = track.points[i];
-          const point2 = track.points[i + 1];
-          
-          // Calculate density for this segment
-          const lat1 = Math.round(point1.lat * 10000) / 10000;
-          const lon1 = Math.round(point1.lon * 10000) / 10000;
-          const lat2 = Math.round(point2.lat * 10000) / 10000;
-          const lon2 = Math.round(point2.lon * 10000) / 10000;
-          
-          const key = lat1 < lat2 || (lat1 === lat2 && lon1 < lon2) 
-            ? `${lat1},${lon1}-${lat2},${lon2}`
-            : `${lat2},${lon2}-${lat1},${lon1}`;
-          
-          const density = segmentDensity[key] || 1;
-          
-          features.push({
-            type: 'Feature',
-            id: `${routeIndex}-${trackIndex}-${i}`, // Add unique ID for feature-state
-            properties: {
-              intensity: Math.min(density, 10), // Cap intensity at 10
-              density: density,
-              routeId: routeIndex,
-              trackId: trackIndex,
-              segmentId: i,
-              routeName: route.name || `Route ${routeIndex}`,
-              filename: route.filename
-            },
-            geometry: {
-              type: 'LineString',
-              coordinates: [[point1.lon, point1.lat], [point2.lon, point2.lat]]
-            }
-          });
-          
-          processedSegments++;
-          if (onProgress && processedSegments % 100 === 0) {
-            onProgress(processedSegments, totalSegments, 'Creating heatmap features...');
-          }
+  lines.forEach(({ routeId, trackId, coordinates }) => {
+    const route = routes[routeId];
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const density = densityEngine.segmentDensity(coordinates[i], coordinates[i + 1], routeId);
+      
+      features.push({
+        type: 'Feature',
+        id: `${routeId}-${trackId}-${i}`, // Add unique ID for feature-state
+        properties: {
+          intensity: Math.min(density, densityCap),
+          density: density,
+          routeId: routeId,
+          trackId: trackId,
+          segmentId: i,
+          routeName: route.name || `Route ${routeId}`,
+          filename: route.filename
+        },
+        geometry: {
+          type: 'LineString',
+          coordinates: [coordinates[i], coordinates[i + 1]]
         }
       });
+      
+      processedSegments++;
+      if (onProgress && processedSegments % 100 === 0) {
+        onProgress(processedSegments, totalSegments, 'Creating heatmap features...');
+      }
     }
   });
   
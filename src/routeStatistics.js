@@ -0,0 +1,140 @@
+// Collection statistics, shared by the generator script and the browser: how
+// far the routes go in total, how much ground they cover between them, and the
+// stretches most of them share.
+import { distanceMetres } from './geo.js';
+
+// A stretch is shared while at least this many routes run along it
+export const MIN_SHARED_DENSITY = 2;
+
+// Shorter shared stretches are too small to be worth listing
+const MIN_STRETCH_METRES = 1000;
+
+// Longer shared stretches are split, so each listed one is a corridor that can
+// be flown to rather than most of a crossing
+const MAX_STRETCH_METRES = 20000;
+
+// Stretches of different routes along the same corridor are the same stretch;
+// a candidate mostly inside cells already covered by a listed one is dropped
+const STRETCH_CELL_DEGREES = 0.002; // ~200m
+
+// Chain segment features ({ properties: { routeId, density }, geometry }) back
+// into [{ routeId, coordinates: [[lon, lat], ...], densities }] lines, one
+// density per segment. Segments of a route that share an endpoint join up.
+export const linesFromSegmentFeatures = (features) => {
+  const lines = [];
+  let current = null;
+
+  features.forEach(feature => {
+    const [start, end] = feature.geometry.coordinates;
+    const routeId = feature.properties.routeId ?? null;
+    const previous = current && current.coordinates[current.coordinates.length - 1];
+
+    if (current && current.routeId === routeId && previous[0] === start[0] && previous[1] === start[1]) {
+      current.coordinates.push(end);
+      current.densities.push(feature.properties.density || 1);
+      return;
+    }
+
+    current = { routeId, coordinates: [start, end], densities: [feature.properties.density || 1] };
+    lines.push(current);
+  });
+
+  return lines;
+};
+
+const segmentLength = ([lon1, lat1], [lon2, lat2]) => distanceMetres(lat1, lon1, lat2, lon2);
+
+// Walk [{ routeId, coordinates, densities }] lines, where densities holds the
+// distinct routes within the overlap radius of each segment, adding up their
+// lengths and collecting the stretches shared by MIN_SHARED_DENSITY or more
+const measureLines = (lines) => {
+  let walkedMetres = 0;
+  let distinctMetres = 0;
+  const stretches = [];
+
+  lines.forEach(line => {
+    let stretch = null;
+    const closeStretch = () => {
+      if (stretch && stretch.lengthMetres >= MIN_STRETCH_METRES) {
+        stretch.density = stretch.weightedDensity / stretch.lengthMetres;
+        stretches.push(stretch);
+      }
+      stretch = null;
+    };
+
+    for (let i = 0; i < line.coordinates.length - 1; i++) {
+      const length = segmentLength(line.coordinates[i], line.coordinates[i + 1]);
+      const density = Math.max(1, line.densities[i]);
+      walkedMetres += length;
+      distinctMetres += length / density;
+
+      if (density < MIN_SHARED_DENSITY) {
+        closeStretch();
+        continue;
+      }
+      if (!stretch) {
+        stretch = { routeId: line.routeId, coordinates: [line.coordinates[i]], lengthMetres: 0, weightedDensity: 0, maxDensity: 0 };
+      }
+      stretch.coordinates.push(line.coordinates[i + 1]);
+      stretch.lengthMetres += length;
+      stretch.weightedDensity += length * density;
+      stretch.maxDensity = Math.max(stretch.maxDensity, density);
+      if (stretch.lengthMetres >= MAX_STRETCH_METRES) {
+        closeStretch();
+      }
+    }
+    closeStretch();
+  });
+
+  return { walkedMetres, distinctMetres, stretches };
+};
+
+// Rank stretches by their mean density, the longer first when that ties, then
+// keep the first stretch listed along each corridor
+const rankStretches = (stretches, count) => {
+  const ranked = [...stretches].sort((a, b) => b.density - a.density || b.lengthMetres - a.lengthMetres);
+  const coveredCells = new Set();
+  const cellKey = ([lon, lat]) => `${Math.floor(lon / STRETCH_CELL_DEGREES)},${Math.floor(lat / STRETCH_CELL_DEGREES)}`;
+  const picked = [];
+
+  for (const stretch of ranked) {
+    if (picked.length >= count) break;
+    const cells = stretch.coordinates.map(cellKey);
+    const alreadyListed = cells.filter(cell => coveredCells.has(cell)).length;
+    if (alreadyListed > cells.length / 2) continue;
+
+    cells.forEach(cell => coveredCells.add(cell));
+    const lons = stretch.coordinates.map(([lon]) => lon);
+    const lats = stretch.coordinates.map(([, lat]) => lat);
+    picked.push({
+      routeId: stretch.routeId,
+      coordinates: stretch.coordinates,
+      lengthMetres: stretch.lengthMetres,
+      density: stretch.density,
+      maxDensity: stretch.maxDensity,
+      bounds: [[Math.min(...lons), Math.min(...lats)], [Math.max(...lons), Math.max(...lats)]]
+    });
+  }
+
+  return picked;
+};
+
+// The count busiest corridors in lines, busiest first, as
+// { routeId, coordinates, lengthMetres, density, maxDensity, bounds }. The
+// coordinates follow the route the corridor was first found on.
+export const topCorridors = (lines, { count = 10 } = {}) => (
+  rankStretches(measureLines(lines).stretches, count)
+);
+
+// Summarise [{ routeId, coordinates, densities }] lines.
+//   walkedMetres - every route's length added up
+//   distinctMetres - ground covered, counting a corridor shared by n routes once
+//   sharedStretches - the top stretches by mean density, each at most
+//     MAX_STRETCH_METRES long, as { routeId, lengthMetres, density, maxDensity, bounds }
+export const summariseRouteCollection = (lines, { topStretches = 10 } = {}) => {
+  const { walkedMetres, distinctMetres, stretches } = measureLines(lines);
+  const sharedStretches = rankStretches(stretches, topStretches)
+    .map(({ coordinates, ...stretch }) => stretch);
+
+  return { walkedMetres, distinctMetres, sharedStretches };
+};
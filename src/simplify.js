@@ -0,0 +1,63 @@
+// Douglas–Peucker line simplification with the tolerance in metres
+import { METRES_PER_DEGREE_LATITUDE, metresPerDegreeLongitude } from './geo.js';
+
+// Squared distance in metres from point p to the segment a-b, all in projected metres
+const squaredSegmentDistance = (p, a, b) => {
+  let x = a[0];
+  let y = a[1];
+  let dx = b[0] - x;
+  let dy = b[1] - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = b[0];
+      y = b[1];
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+};
+
+// Simplify [[lon, lat], ...] so no dropped point lies further than toleranceMetres
+// from the simplified line. The first and last points are always kept.
+export const simplifyLine = (coordinates, toleranceMetres) => {
+  if (toleranceMetres <= 0 || coordinates.length <= 2) return coordinates;
+
+  // Project to local metres around the line's mean latitude
+  const meanLat = coordinates.reduce((total, [, lat]) => total + lat, 0) / coordinates.length;
+  const lonScale = metresPerDegreeLongitude(meanLat);
+  const projected = coordinates.map(([lon, lat]) => [lon * lonScale, lat * METRES_PER_DEGREE_LATITUDE]);
+
+  const keep = new Uint8Array(coordinates.length);
+  keep[0] = 1;
+  keep[coordinates.length - 1] = 1;
+
+  const squaredTolerance = toleranceMetres * toleranceMetres;
+  const stack = [[0, coordinates.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = squaredSegmentDistance(projected[i], projected[first], projected[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (maxDistance > squaredTolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return coordinates.filter((_, i) => keep[i]);
+};
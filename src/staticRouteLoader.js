@@ -1,7 +1,135 @@
 // Static route loader that fetches pre-processed heatmap data
-export const loadStaticHeatmapData = async () => {
+import { createHeatmapBinaryDecoder } from './heatmapBinaryFormat';
+
+// Position with the elevation as a third coordinate when it is known
+const position = (lon, lat, ele) => (Number.isFinite(ele) ? [lon, lat, ele] : [lon, lat]);
+
+// GeoJSON feature for one segment, with the route properties from the route table
+const createSegmentFeature = (id, lon1, lat1, lon2, lat2, intensity, routeIndex, routes, ele1, ele2) => {
+  const route = routes[routeIndex];
+  
+  const properties = {
+    intensity: intensity,
+    density: intensity
+  };
+  
+  if (route) {
+    properties.routeId = routeIndex;
+    properties.routeName = route.name || `Route ${routeIndex}`;
+    properties.filename = route.filename;
+    properties.year = route.year ?? null;
+  }
+  
+  return {
+    type: 'Feature',
+    id: id,
+    properties: properties,
+    geometry: {
+      type: 'LineString',
+      coordinates: [position(lon1, lat1, ele1), position(lon2, lat2, ele2)]
+    }
+  };
+};
+
+// Split features into the file's detail levels. Level 0 is the full detail
+// geometry and always exists; files from before detail levels only have that one.
+const groupFeaturesByLevel = (levelDefinitions, featuresByLevel) => {
+  const definitions = levelDefinitions?.length ? levelDefinitions : [{ toleranceMetres: 0 }];
+  return definitions.map((definition, level) => ({
+    ...definition,
+    features: featuresByLevel[level] || []
+  }));
+};
+
+// Generated files are served from the app's base path, which is not always /
+const generatedFileUrl = (file) => `${import.meta.env.BASE_URL}${file}`;
+
+// Stream the binary heatmap file, decoding polylines as the bytes arrive.
+// Returns null when the build produced no binary file.
+const loadBinaryHeatmapData = async (onProgress) => {
+  const response = await fetch(generatedFileUrl('heatmap-data.bin'));
+  // The dev server answers unknown paths with index.html, so check the type too
+  if (!response.ok || response.headers.get('content-type')?.includes('text/html')) {
+    return null;
+  }
+  
+  const totalBytes = parseInt(response.headers.get('content-length'), 10) || 0;
+  const decoder = createHeatmapBinaryDecoder();
+  const reader = response.body.getReader();
+  let loadedBytes = 0;
+  
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    decoder.push(value);
+    loadedBytes += value.length;
+    if (onProgress) onProgress(loadedBytes, totalBytes);
+  }
+  
+  const { header, polylines } = decoder.finish();
+  const routes = header.routes || [];
+  const featuresByLevel = [];
+  
+  polylines.forEach(({ routeIndex, level, coordinates, intensities, elevations }) => {
+    const features = featuresByLevel[level] || (featuresByLevel[level] = []);
+    for (let i = 0; i < intensities.length; i++) {
+      features.push(createSegmentFeature(
+        features.length,
+        coordinates[i * 2], coordinates[i * 2 + 1],
+        coordinates[i * 2 + 2], coordinates[i * 2 + 3],
+        intensities[i], routeIndex, routes,
+        elevations?.[i], elevations?.[i + 1]
+      ));
+    }
+  });
+  
+  const levels = groupFeaturesByLevel(header.levels, featuresByLevel);
+  return {
+    metadata: header.metadata,
+    routes: routes,
+    features: levels[0].features,
+    levels: levels
+  };
+};
+
+// Load the TileJSON for the prebuilt vector tile pyramid, or null when the
+// build did not generate tiles
+export const loadTileset = async () => {
   try {
-    const response = await fetch('/heatmap-data.json');
+    const response = await fetch(generatedFileUrl('tiles/tiles.json'));
+    // The dev server answers unknown paths with index.html, so check the type too
+    if (!response.ok || !response.headers.get('content-type')?.includes('json')) {
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.warn('No vector tiles available:', error);
+    return null;
+  }
+};
+
+// Load the heatmap data, preferring the binary format and falling back to JSON.
+// onProgress(loadedBytes, totalBytes) reports download progress; totalBytes is 0 when unknown.
+// Resolves with { metadata, routes, features, levels }: features is the full detail
+// geometry and levels lists every detail level with its zoom range and features.
+export const loadStaticHeatmapData = async (onProgress) => {
+  try {
+    const binaryData = await loadBinaryHeatmapData(onProgress).catch(error => {
+      console.warn('Could not read binary heatmap data, trying JSON:', error);
+      return null;
+    });
+    if (binaryData) {
+      console.log('Loaded static heatmap data:', {
+        totalRoutes: binaryData.metadata.totalRoutes,
+        totalFeatures: binaryData.features.length,
+        generatedAt: binaryData.metadata.generatedAt,
+        format: binaryData.metadata.format
+      });
+      return binaryData;
+    }
+    
+    const response = await fetch(generatedFileUrl('heatmap-data.json'));
     if (!response.ok) {
       throw new Error(`Failed to load heatmap data: ${response.statusText}`);
     }
@@ -16,31 +144,29 @@ export const loadStaticHeatmapData = async () => {
     
     // Convert compact format to GeoJSON features for map rendering
     if (data.metadata.format === 'compact') {
-      const features = data.features.map((compactFeature, index) => {
-        const [lon1, lat1, lon2, lat2, intensity] = compactFeature;
-        
-        return {
-          type: 'Feature',
-          id: index,
-          properties: {
-            intensity: intensity,
-            density: intensity
-          },
-          geometry: {
-            type: 'LineString',
-            coordinates: [[lon1, lat1], [lon2, lat2]]
-          }
-        };
+      // Version 1 files have no route table and no route index per feature,
+      // versions before 3 no detail level and before 4 no elevation
+      const formatVersion = data.metadata.formatVersion || 1;
+      const routes = formatVersion >= 2 ? data.routes || [] : [];
+      
+      const featuresByLevel = [];
+      data.features.forEach(compactFeature => {
+        const [lon1, lat1, lon2, lat2, intensity, routeIndex, level = 0, ele1, ele2] = compactFeature;
+        const features = featuresByLevel[level] || (featuresByLevel[level] = []);
+        features.push(createSegmentFeature(features.length, lon1, lat1, lon2, lat2, intensity, routeIndex, routes, ele1, ele2));
       });
       
+      const levels = groupFeaturesByLevel(formatVersion >= 3 ? data.levels : null, featuresByLevel);
       return {
         metadata: data.metadata,
-        features: features
+        routes: routes,
+        features: levels[0].features,
+        levels: levels
       };
     }
     
-    // Legacy format - return as-is
-    return data;
+    // Legacy format - return as-is, with its features as the only detail level
+    return { ...data, levels: groupFeaturesByLevel(null, [data.features]) };
   } catch (error) {
     console.error('Error loading static heatmap data:', error);
     throw error;
@@ -0,0 +1,158 @@
+// Track cleaning: remove GPS noise from recorded tracks before they become
+// heatmap segments. Shared by the generator script and the browser through
+// parseRouteFile. Each stage works on [{ lat, lon, ele, time }] points and can
+// be turned off or tuned on its own; they run in this order:
+//
+// - splitGaps: split a track where consecutive points are far apart in time or
+//   distance, so no straight line is drawn across the gap
+// - stationary: collapse a run of points that stays within a small radius
+//   (a lunch stop, a night at a bothy) into one point
+// - minDistance: drop points closer than a few metres to the last one kept
+// - spikes: drop single points that shoot out and straight back
+import { distanceMetres } from './geo.js';
+
+export const DEFAULT_CLEANING_OPTIONS = {
+  splitGaps: {
+    enabled: true,
+    maxGapMetres: 5000, // Planned routes can have legs of a few km, so only split real jumps
+    maxGapSeconds: 3600 // Only used between points that both have a time
+  },
+  stationary: {
+    enabled: true,
+    radiusMetres: 20,
+    minPoints: 5, // A run needs this many points...
+    minSeconds: 120 // ...lasting this long, when the points have times
+  },
+  minDistance: {
+    enabled: true,
+    metres: 5
+  },
+  spikes: {
+    enabled: true,
+    minLegMetres: 30, // Both legs of the spike must be at least this long...
+    maxReturnRatio: 0.25 // ...and the points either side this close, relative to the shorter leg
+  }
+};
+
+const distance = (a, b) => distanceMetres(a.lat, a.lon, b.lat, b.lon);
+
+const hasTime = (point) => point.time instanceof Date && !isNaN(point.time);
+
+// Split points into runs at each gap. Returns an array of point arrays.
+export const splitAtGaps = (points, { maxGapMetres, maxGapSeconds }) => {
+  if (points.length === 0) return [];
+  const runs = [[points[0]]];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const point = points[i];
+    const isTimeGap = hasTime(previous) && hasTime(point) &&
+      (point.time - previous.time) / 1000 > maxGapSeconds;
+    if (distance(previous, point) > maxGapMetres || isTimeGap) {
+      runs.push([]);
+    }
+    runs[runs.length - 1].push(point);
+  }
+  return runs;
+};
+
+// Replace each run of points within radiusMetres of the run's first point by
+// one point at the run's centre, when the run is long enough to be a stop
+export const collapseStationary = (points, { radiusMetres, minPoints, minSeconds }) => {
+  const cleaned = [];
+  let i = 0;
+  while (i < points.length) {
+    let end = i + 1;
+    while (end < points.length && distance(points[i], points[end]) <= radiusMetres) end++;
+
+    const run = points.slice(i, end);
+    const first = run[0];
+    const last = run[run.length - 1];
+    const isLongEnough = hasTime(first) && hasTime(last)
+      ? (last.time - first.time) / 1000 >= minSeconds
+      : true;
+
+    if (run.length >= minPoints && isLongEnough) {
+      const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+      const elevations = run.map(point => point.ele);
+      cleaned.push({
+        ...first,
+        lat: mean(run.map(point => point.lat)),
+        lon: mean(run.map(point => point.lon)),
+        ele: elevations.every(Number.isFinite) ? mean(elevations) : first.ele
+      });
+      i = end;
+    } else {
+      cleaned.push(first);
+      i++;
+    }
+  }
+  return cleaned;
+};
+
+// Drop points closer than metres to the last point kept. The last point is
+// always kept so the track still ends where it did.
+export const dropJitter = (points, { metres }) => {
+  if (points.length <= 2) return points;
+  const cleaned = [points[0]];
+  for (let i = 1; i < points.length - 1; i++) {
+    if (distance(cleaned[cleaned.length - 1], points[i]) >= metres) cleaned.push(points[i]);
+  }
+  cleaned.push(points[points.length - 1]);
+  return cleaned;
+};
+
+// Drop points B of A-B-C where the track goes out to B and comes straight back
+export const removeSpikes = (points, { minLegMetres, maxReturnRatio }) => {
+  if (points.length <= 2) return points;
+  const cleaned = [points[0]];
+  for (let i = 1; i < points.length - 1; i++) {
+    const before = cleaned[cleaned.length - 1];
+    const after = points[i + 1];
+    const shorterLeg = Math.min(distance(before, points[i]), distance(points[i], after));
+    const isSpike = shorterLeg >= minLegMetres && distance(before, after) <= shorterLeg * maxReturnRatio;
+    if (!isSpike) cleaned.push(points[i]);
+  }
+  cleaned.push(points[points.length - 1]);
+  return cleaned;
+};
+
+// Options with each stage's settings filled in from the defaults. stages, when
+// given, lists the stages to run (e.g. ['minDistance', 'splitGaps']) and turns
+// the rest off.
+export const cleaningOptions = (options = {}, stages = null) => Object.fromEntries(
+  Object.entries(DEFAULT_CLEANING_OPTIONS).map(([stage, defaults]) => {
+    const settings = { ...defaults, ...options[stage] };
+    if (stages) settings.enabled = stages.includes(stage);
+    return [stage, settings];
+  })
+);
+
+// Clean [{ name, points }] tracks. Returns { tracks, stats }, stats counting
+// { pointsBefore, pointsAfter, tracksBefore, tracksAfter }. Tracks split at a
+// gap keep their name; pieces with fewer than two points are dropped.
+export const cleanTracks = (tracks, options = DEFAULT_CLEANING_OPTIONS) => {
+  const { splitGaps, stationary, minDistance, spikes } = cleaningOptions(options);
+  const cleaned = [];
+
+  tracks.forEach(track => {
+    const pieces = splitGaps.enabled ? splitAtGaps(track.points, splitGaps) : [track.points];
+    pieces.forEach(piece => {
+      let points = piece;
+      if (stationary.enabled) points = collapseStationary(points, stationary);
+      if (minDistance.enabled) points = dropJitter(points, minDistance);
+      if (spikes.enabled) points = removeSpikes(points, spikes);
+      if (points.length > 1) cleaned.push({ ...track, points });
+    });
+  });
+
+  const countPoints = (list) => list.reduce((total, track) => total + track.points.length, 0);
+  return {
+    tracks: cleaned,
+    stats: {
+      pointsBefore: countPoints(tracks),
+      pointsAfter: countPoints(cleaned),
+      tracksBefore: tracks.length,
+      tracksAfter: cleaned.length
+    }
+  };
+};
@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { clusterRouteEndpoints } from '../scripts/clusterRouteEndpoints.js';
+
+// Routes finishing at two spots 3km apart, both named as ending at Montrose
+const routes = [
+  { name: 'Mallaig to Montrose', start: [-5.83, 57.0], finish: [-2.47, 56.71] },
+  { name: 'Oban to Montrose', start: [-5.47, 56.41], finish: [-2.47, 56.71] },
+  { name: 'Shiel Bridge to Montrose', start: [-5.42, 57.21], finish: [-2.47, 56.737] }
+];
+
+test('numbers finish clusters that share a name', () => {
+  const { finishes } = clusterRouteEndpoints(routes, { radiusMetres: 1000 });
+  assert.deepEqual(finishes.map(cluster => cluster.name), ['Montrose', 'Montrose (2)']);
+});
+
+test('clusters within the radius given', () => {
+  const { radiusMetres, finishes } = clusterRouteEndpoints(routes, { radiusMetres: 5000 });
+  assert.equal(radiusMetres, 5000);
+  assert.deepEqual(finishes.map(cluster => cluster.name), ['Montrose']);
+});
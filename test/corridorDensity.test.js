@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createCorridorIndex, linesFromSegments } from '../src/corridorDensity.js';
+import { METRES_PER_DEGREE_LATITUDE } from '../src/geo.js';
+
+// A straight route heading east from 5°W, northMetres north of 57°N
+const eastwardLine = (routeId, northMetres) => ({
+  routeId,
+  coordinates: [[-5, 57 + northMetres / METRES_PER_DEGREE_LATITUDE], [-4.99, 57 + northMetres / METRES_PER_DEGREE_LATITUDE]]
+});
+
+// Three routes 0m, 60m and 400m north of the first
+const lines = [eastwardLine(0, 0), eastwardLine(1, 60), eastwardLine(2, 400)];
+
+test('finds the routes within the radius of a clicked point', () => {
+  const index = createCorridorIndex(lines, { radiusMetres: 100 });
+  assert.deepEqual([...index.routesNear(-4.995, 57)].sort(), [0, 1]);
+  assert.deepEqual([...index.routesNear(-4.995, 57 + 400 / METRES_PER_DEGREE_LATITUDE)], [2]);
+  assert.deepEqual([...index.routesNear(-4.9, 57)], []);
+});
+
+test('counts distinct routes within the radius of a segment, its own included', () => {
+  const index = createCorridorIndex(lines, { radiusMetres: 100 });
+  const [start, end] = lines[0].coordinates;
+  assert.equal(index.segmentDensity(start, end, 0), 2);
+  assert.equal(createCorridorIndex(lines, { radiusMetres: 50 }).segmentDensity(start, end, 0), 1);
+  assert.equal(createCorridorIndex(lines, { radiusMetres: 500 }).segmentDensity(start, end, 0), 3);
+});
+
+test('counts a route once however many of its samples are nearby', () => {
+  const doubledBack = { routeId: 1, coordinates: [[-5, 57], [-4.99, 57], [-5, 57.0001]] };
+  const index = createCorridorIndex([lines[0], doubledBack], { radiusMetres: 100 });
+  assert.equal(index.segmentDensity(...lines[0].coordinates, 0), 2);
+});
+
+test('chains segments of the same route back into lines', () => {
+  const coordinates = Float64Array.from([
+    -5, 57, -4.99, 57,
+    -4.99, 57, -4.98, 57,
+    -4.98, 57, -4.97, 57, // Route 1 from here on
+    -4.9, 57, -4.89, 57 // Doesn't start where route 1's last segment ended
+  ]);
+  const routeIds = Int32Array.from([0, 0, 1, 1]);
+  const chained = linesFromSegments(coordinates, routeIds, [0, 1, 2, 3]);
+  assert.deepEqual(chained.map(line => [line.routeId, line.coordinates.length]), [[0, 3], [1, 2], [1, 2]]);
+});
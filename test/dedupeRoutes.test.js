@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { dedupeRoutes } from '../scripts/dedupeRoutes.js';
+import { METRES_PER_DEGREE_LATITUDE } from '../src/geo.js';
+
+// A straight route heading east from -5°, northMetres north of 57°
+const straightRoute = (filename, northMetres, lengthDegrees = 0.1) => ({
+  filename,
+  name: filename,
+  tracks: [{
+    name: filename,
+    points: Array.from({ length: 51 }, (_, i) => ({
+      lat: 57 + northMetres / METRES_PER_DEGREE_LATITUDE,
+      lon: -5 + (i / 50) * lengthDegrees,
+      ele: null,
+      time: null
+    }))
+  }]
+});
+
+// Each route is 40m from the next, inside the 50m tolerance, so a matches b
+// and b matches c, but a and c are 80m apart
+const chain = [
+  straightRoute('a.gpx', 0, 0.101),
+  straightRoute('b.gpx', 40),
+  straightRoute('c.gpx', 80)
+];
+
+test('folds only the routes that match the route kept', () => {
+  const { routes, report } = dedupeRoutes(chain);
+  assert.deepEqual(routes.map(route => route.filename), ['a.gpx', 'c.gpx']);
+  assert.equal(report.groups.length, 1);
+  assert.equal(report.groups[0].kept, 'a.gpx');
+  assert.deepEqual(report.groups[0].folded.map(folded => folded.filename), ['b.gpx']);
+});
+
+test('flags a route that only matches through a folded route', () => {
+  const { routes, report } = dedupeRoutes(chain);
+  assert.deepEqual(report.groups[0].flagged.map(({ filename, matches }) => ({ filename, matches })), [
+    { filename: 'c.gpx', matches: 'b.gpx' }
+  ]);
+  assert.equal(routes.find(route => route.filename === 'c.gpx').duplicateOf, 'b.gpx');
+});
+
+test('keeps the same line walked in different years and lists the match', () => {
+  const walks = [
+    { ...straightRoute('tgo2016.gpx', 0), year: 2016 },
+    { ...straightRoute('tgo2024.gpx', 10), year: 2024 },
+    { ...straightRoute('tgo2024 copy.gpx', 20), year: 2024 }
+  ];
+  const { routes, report } = dedupeRoutes(walks);
+  assert.deepEqual(routes.map(route => route.filename), ['tgo2016.gpx', 'tgo2024.gpx']);
+  assert.deepEqual(report.groups.map(group => group.kept), ['tgo2024.gpx']);
+  assert.deepEqual(report.crossYearMatches.map(({ filename, year, matches, matchYear }) => ({ filename, year, matches, matchYear })), [
+    { filename: 'tgo2016.gpx', year: 2016, matches: 'tgo2024.gpx', matchYear: 2024 },
+    { filename: 'tgo2016.gpx', year: 2016, matches: 'tgo2024 copy.gpx', matchYear: 2024 }
+  ]);
+});
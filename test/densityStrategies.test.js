@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DENSITY_STRATEGIES, createDensityEngine } from '../src/densityStrategies.js';
+import { METRES_PER_DEGREE_LATITUDE } from '../src/geo.js';
+import { createRunFeatures } from '../scripts/writeTilePyramid.js';
+
+const RADIUS_METRES = 100;
+
+// Routes start a little way into a grid cell one radius tall, so lines up to
+// 60m north of the first share its cells
+const latCell = RADIUS_METRES / METRES_PER_DEGREE_LATITUDE;
+const baseLat = (Math.floor(57 / latCell) + 0.2) * latCell;
+
+// Straight routes heading east, northMetres north of the first, with points
+// every 0.001° of longitude (~60m)
+const parallelLine = (routeId, northMetres) => ({
+  routeId,
+  coordinates: Array.from({ length: 11 }, (_, i) => [-5 + i * 0.001, baseLat + northMetres / METRES_PER_DEGREE_LATITUDE])
+});
+
+// Density of the middle segment of the first line
+const middleDensity = (strategy, lines) => {
+  const engine = createDensityEngine(lines, { strategy, radiusMetres: RADIUS_METRES });
+  const { coordinates, routeId } = lines[0];
+  return engine.segmentDensity(coordinates[5], coordinates[6], routeId);
+};
+
+DENSITY_STRATEGIES.forEach(({ id }) => {
+  test(`${id} counts a route alongside once and one well outside the radius not at all`, () => {
+    // The exact segment strategy only matches routes along the same points
+    const alongside = id === 'segment' ? 0 : 40;
+    assert.equal(middleDensity(id, [parallelLine(0, 0), parallelLine(1, alongside)]), 2);
+    assert.equal(middleDensity(id, [parallelLine(0, 0), parallelLine(1, 500)]), 1);
+  });
+
+  test(`${id} counts a route with no others nearby as one`, () => {
+    assert.equal(middleDensity(id, [parallelLine(0, 0)]), 1);
+  });
+});
+
+test('rejects an unknown strategy', () => {
+  assert.throws(() => createDensityEngine([], { strategy: 'nearest' }), /Unknown density strategy "nearest"/);
+});
+
+test('caps the intensity of tile features but keeps their density', () => {
+  const lines = Array.from({ length: 12 }, (_, routeId) => parallelLine(routeId, 0));
+  const engine = createDensityEngine(lines, { strategy: 'segment' });
+  const features = createRunFeatures(lines, engine, 10);
+  assert.equal(features.length, 12);
+  features.forEach(feature => {
+    assert.equal(feature.properties.density, 12);
+    assert.equal(feature.properties.intensity, 10);
+    assert.equal(feature.geometry.coordinates.length, 11);
+  });
+});
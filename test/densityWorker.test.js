@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { METRES_PER_DEGREE_LATITUDE } from '../src/geo.js';
+
+// The worker talks to the page through self, so the test stands in for the page
+const messages = [];
+let onPost = () => {};
+globalThis.self = {
+  postMessage: (message) => {
+    messages.push(message);
+    onPost(message);
+  }
+};
+await import('../src/densityWorker.js');
+const send = (data) => globalThis.self.onmessage({ data });
+
+// Two routes heading east, 150m apart: one route within 100m of each, both within 250m
+const northOffset = 150 / METRES_PER_DEGREE_LATITUDE;
+const segmentsLevel = () => ({
+  coordinates: Float64Array.from([-5, 57, -4.99, 57, -5, 57 + northOffset, -4.99, 57 + northOffset]),
+  routeIds: Int32Array.from([0, 1]),
+  elevations: new Float32Array(4).fill(NaN)
+});
+
+// Run a job to its end and resolve with its message
+const runJob = (job) => new Promise(resolve => {
+  onPost = (message) => {
+    if (message.jobId === job.jobId && ['result', 'cancelled', 'error'].includes(message.type)) resolve(message);
+  };
+  send({ type: 'process', densityCap: 10, ...job });
+});
+
+test('rebuilds the indexes after a job cancelled part way through indexing', async () => {
+  send({ type: 'segments', levels: [segmentsLevel(), segmentsLevel()] });
+
+  const first = await runJob({ jobId: 1, radiusMetres: 100 });
+  assert.deepEqual([...first.levels[0].density], [1, 1]);
+
+  // Cancel the second job once it has moved on to indexing the second level
+  let indexedLevels = 0;
+  const cancelledJob = new Promise(resolve => {
+    onPost = (message) => {
+      if (message.jobId !== 2) return;
+      if (message.type === 'progress' && ++indexedLevels === 2) send({ type: 'cancel', jobId: 2 });
+      if (message.type === 'cancelled') resolve(message);
+    };
+  });
+  send({ type: 'process', jobId: 2, radiusMetres: 250, densityCap: 10 });
+  await cancelledJob;
+
+  const third = await runJob({ jobId: 3, radiusMetres: 100 });
+  assert.deepEqual(third.levels.map(level => [...level.density]), [[1, 1], [1, 1]]);
+});
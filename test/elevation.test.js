@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { elevationProfile, lineGradients } from '../src/elevation.js';
+import { METRES_PER_DEGREE_LATITUDE } from '../src/geo.js';
+
+// A point northMetres north of 57°N 5°W at elevation ele
+const point = (northMetres, ele) => [-5, 57 + northMetres / METRES_PER_DEGREE_LATITUDE, ele];
+
+test('measures gradients over the window around each segment', () => {
+  // 10% up for 200m, then flat for 200m, with a point every 50m
+  const line = [0, 50, 100, 150, 200, 250, 300, 350, 400].map(metres => point(metres, Math.min(metres, 200) / 10));
+  const gradients = lineGradients(line);
+  assert.equal(gradients.length, 8);
+  assert.ok(Math.abs(gradients[1] - 10) < 0.01);
+  assert.ok(Math.abs(gradients[6]) < 0.01);
+});
+
+test('gives no gradient where the line has no elevation', () => {
+  const gradients = lineGradients([point(0, null), point(50, null), point(100, 10)]);
+  assert.ok(Number.isNaN(gradients[0]));
+  assert.deepEqual(lineGradients([point(0, 10)]), new Float32Array(0));
+});
+
+test('adds up ascent and descent, ignoring small wobbles', () => {
+  const line = [100, 103, 99, 102, 150, 148, 120].map((ele, i) => point(i * 100, ele));
+  const profile = elevationProfile([line]);
+  assert.equal(profile.ascentMetres, 50);
+  assert.equal(profile.descentMetres, 30);
+  assert.equal(profile.minEle, 99);
+  assert.equal(profile.maxEle, 150);
+  assert.ok(Math.abs(profile.lengthMetres - 600) < 1);
+});
+
+test('walks lines one after the other and leaves out points without elevation', () => {
+  const profile = elevationProfile([[point(0, 10), point(100, null)], [point(0, 20), point(100, 30)]]);
+  assert.deepEqual(profile.points.map(({ distance, ele }) => [Math.round(distance), ele]), [[0, 10], [100, 20], [200, 30]]);
+  assert.equal(profile.hasElevation, true);
+  assert.equal(elevationProfile([[point(0, null), point(100, null)]]).hasElevation, false);
+});
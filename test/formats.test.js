@@ -0,0 +1,39 @@
+// Route file formats. xml.js is imported first on purpose: it must not depend
+// on gpxparser having set up a DOM.
+import { parseXML } from '../src/formats/xml.js';
+import { parseRouteFile } from '../src/formats/index.js';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/routes');
+const readFixture = (filename) => fs.readFileSync(path.join(fixturesDir, filename));
+
+// GPSBabel exports from the routes folder, cut down to five points, whose
+// CR LF line endings inside the <gpx> start tag jsdom's DOMParser rejects
+['Phreerunner2008 TGO.gpx', 'tgo2009.gpx', 'tgo2011.gpx'].forEach(filename => {
+  test(`parses ${filename}`, () => {
+    const route = parseRouteFile(readFixture(filename), filename);
+    assert.equal(route.tracks.length, 1);
+    assert.equal(route.tracks[0].points.length, 5);
+    assert.ok(route.tracks[0].points.every(point => Number.isFinite(point.lat) && Number.isFinite(point.lon)));
+  });
+});
+
+test('rejects GPX that is not well-formed', () => {
+  assert.throws(() => parseRouteFile('<gpx><trk><trkseg></trk></gpx>', 'broken.gpx'), /broken\.gpx: Not well-formed XML/);
+});
+
+test('parses KML with CR LF line endings inside a start tag', () => {
+  const kml = '<kml\r\n  xmlns="http://www.opengis.net/kml/2.2">\r\n<Placemark><name>Day 1</name>' +
+    '<LineString><coordinates>-5.6,57.0 -5.5,57.1</coordinates></LineString></Placemark>\r\n</kml>';
+  const route = parseRouteFile(kml, 'day1.kml');
+  assert.equal(route.tracks[0].name, 'Day 1');
+  assert.equal(route.tracks[0].points.length, 2);
+});
+
+test('rejects XML that is not well-formed', () => {
+  assert.throws(() => parseXML('<kml><Placemark></kml>'), /Not well-formed XML/);
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, mock, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { generateHeatmapData } from '../scripts/generateHeatmapData.js';
+import { createHeatmapBinaryDecoder } from '../src/heatmapBinaryFormat.js';
+
+const routesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/routes');
+let tempDir;
+let jsonData;
+let binaryData;
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'heatmap-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  try {
+    const jsonFile = path.join(tempDir, 'heatmap-data.json');
+    const binaryFile = path.join(tempDir, 'heatmap-data.bin');
+    await generateHeatmapData({ routesDir, outputFile: jsonFile, format: 'json', cache: false });
+    await generateHeatmapData({ routesDir, outputFile: binaryFile, cache: false });
+
+    jsonData = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    const decoder = createHeatmapBinaryDecoder();
+    decoder.push(fs.readFileSync(binaryFile));
+    binaryData = decoder.finish();
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const filenames = ['Phreerunner2008 TGO.gpx', 'tgo2009.gpx', 'tgo2011.gpx'];
+
+test('writes a route table with one entry per route file', () => {
+  assert.deepEqual(jsonData.routes.map(route => route.filename), filenames);
+  assert.deepEqual(binaryData.header.routes.map(route => route.filename), filenames);
+  assert.ok(jsonData.routes.every(route => route.name && route.pointCount === 5));
+});
+
+test('gives every segment the index of its route', () => {
+  // Each fixture is five points, so four full detail segments each
+  const fullDetail = jsonData.features.filter(([, , , , , , level]) => level === 0);
+  assert.deepEqual(fullDetail.map(([, , , , , routeIndex]) => routeIndex), [0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2]);
+
+  const routeIndices = new Set(binaryData.polylines.map(polyline => polyline.routeIndex));
+  assert.deepEqual([...routeIndices].sort(), [0, 1, 2]);
+});
+
+test('writes simplified detail levels with fewer segments than the full detail', () => {
+  const featureCounts = jsonData.levels.map((_, level) => jsonData.features.filter(feature => feature[6] === level).length);
+  assert.deepEqual(featureCounts, jsonData.levels.map(level => level.featureCount));
+  assert.equal(jsonData.levels[0].toleranceMetres, 0);
+  featureCounts.slice(1).forEach((count, index) => assert.ok(count <= featureCounts[index]));
+  assert.ok(featureCounts[featureCounts.length - 1] < featureCounts[0]);
+});
+
+// A two point GPX track starting at time
+const gpxWithTime = (time) => `<?xml version="1.0"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"><trk><trkseg>
+<trkpt lat="57.0" lon="-5.0"><time>${time}</time></trkpt>
+<trkpt lat="57.01" lon="-5.0"><time>${time}</time></trkpt>
+</trkseg></trk></gpx>`;
+
+test('takes each route year from the filename, then from real track times', async () => {
+  const yearRoutesDir = path.join(tempDir, 'routes');
+  fs.mkdirSync(yearRoutesDir);
+  const files = {
+    'TGO24 .gpx': gpxWithTime('2016-05-13T08:00:00Z'),
+    'crossing.gpx': gpxWithTime('2016-05-13T08:00:00Z'),
+    'planned.gpx': gpxWithTime('2025-06-09T00:00:00Z')
+  };
+  Object.entries(files).forEach(([filename, gpx]) => fs.writeFileSync(path.join(yearRoutesDir, filename), gpx));
+
+  const outputFile = path.join(tempDir, 'years.json');
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  try {
+    await generateHeatmapData({ routesDir: yearRoutesDir, outputFile, format: 'json', cache: false, dedupe: { policy: 'off' } });
+  } finally {
+    mock.restoreAll();
+  }
+
+  const { routes } = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  assert.deepEqual(Object.fromEntries(routes.map(route => [route.filename, route.year])), {
+    'TGO24 .gpx': 2024,
+    'crossing.gpx': 2016,
+    'planned.gpx': null // Midnight UTC times are a planner's export date
+  });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { test } from 'node:test';
+import { createFileFilter, globToRegExp, parseGeneratorArgs } from '../scripts/generatorCli.js';
+
+test('globs match within and across path segments, ignoring case', () => {
+  assert.ok(globToRegExp('tgo20*').test('TGO2017.gpx'));
+  assert.ok(!globToRegExp('*.gpx').test('2017/tgo.gpx'));
+  assert.ok(globToRegExp('**.gpx').test('2017/tgo.gpx'));
+  assert.ok(globToRegExp('tgo?.gpx').test('tgo4.gpx'));
+  assert.ok(!globToRegExp('tgo?.gpx').test('tgo.gpx'));
+  assert.ok(!globToRegExp('tgo(1).gpx').test('tgo1.gpx'));
+});
+
+test('file filters need an include match and no exclude match', () => {
+  const filter = createFileFilter({ include: ['tgo*', '*.kml'], exclude: ['*draft*'] });
+
+  assert.equal(filter('tgo2011.gpx'), true);
+  assert.equal(filter('coast.kml'), true);
+  assert.equal(filter('coast.gpx'), false);
+  assert.equal(filter('tgo draft.gpx'), false);
+  assert.equal(createFileFilter({})('anything.fit'), true);
+});
+
+test('only the options given are set', () => {
+  assert.deepEqual(parseGeneratorArgs([], {}), {
+    help: false, watch: false, tiles: false, cache: true, strict: false
+  });
+});
+
+test('parses every option', () => {
+  const options = parseGeneratorArgs([
+    '--routes', 'walks', '--output', 'out/data.json', '--json', '--include', 'tgo*', '--include', '*.kml',
+    '--exclude', '*draft*', '--precision', '5', '--intensity-cap', '20', '--radius', '50',
+    '--density-strategy', 'corridor', '--endpoint-radius', '2000', '--concurrency', '8',
+    '--clean', 'minDistance', '--no-cache', '--tiles', '--watch', '-h'
+  ], {});
+
+  assert.equal(options.routesDir, path.resolve('walks'));
+  assert.equal(options.outputFile, path.resolve('out/data.json'));
+  assert.equal(options.format, 'json');
+  assert.deepEqual(options.include, ['tgo*', '*.kml']);
+  assert.deepEqual(options.exclude, ['*draft*']);
+  assert.equal(options.precision, 5);
+  assert.equal(options.intensityCap, 20);
+  assert.equal(options.radiusMetres, 50);
+  assert.equal(options.densityStrategy, 'corridor');
+  assert.deepEqual(options.endpoints, { radiusMetres: 2000 });
+  assert.equal(options.concurrency, 8);
+  assert.ok(options.clean);
+  assert.equal(options.cache, false);
+  assert.equal(options.tiles && options.watch && options.help, true);
+});
+
+test('strict mode also comes from HEATMAP_STRICT', () => {
+  assert.equal(parseGeneratorArgs([], { HEATMAP_STRICT: '1' }).strict, true);
+  assert.equal(parseGeneratorArgs(['--strict'], {}).strict, true);
+});
+
+test('describes the first bad argument', () => {
+  assert.throws(() => parseGeneratorArgs(['--radius', '42'], {}), /--radius must be one of .*, got "42"/);
+  assert.throws(() => parseGeneratorArgs(['--format', 'csv'], {}), /--format must be binary or json, got "csv"/);
+  assert.throws(() => parseGeneratorArgs(['--density-strategy', 'guess'], {}), /--density-strategy must be one of .*, got "guess"/);
+  assert.throws(() => parseGeneratorArgs(['--endpoint-radius', '10'], {}), /--endpoint-radius must be a whole number from 100 to 100000, got "10"/);
+  assert.throws(() => parseGeneratorArgs(['--precision', '2.5'], {}), /--precision must be a whole number/);
+  assert.throws(() => parseGeneratorArgs(['--clean', 'polish'], {}), /Unknown cleaning stage "polish"/);
+  assert.throws(() => parseGeneratorArgs(['--bogus'], {}), /Unknown option '--bogus'/);
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createHeatmapBinaryDecoder, encodeHeatmapBinary } from '../src/heatmapBinaryFormat.js';
+
+// A long polyline wandering east and west, so its deltas are both signs and
+// its record is bigger than the decoder's starting buffer
+const longCoordinates = Array.from({ length: 20000 }, (_, i) => [
+  -5 + Math.sin(i / 50) * 0.3,
+  57 + i * 0.00001,
+  300 + Math.cos(i / 80) * 250
+]);
+
+const data = {
+  metadata: { totalRoutes: 2 },
+  routes: [{ name: 'Oban to Montrose', year: 2016 }, { name: 'tgo2009', year: 2009 }],
+  levels: [{ maxZoom: null }, { maxZoom: 9, toleranceMetres: 50 }],
+  polylines: [
+    {
+      routeIndex: 0,
+      coordinates: [[-5.47123, 56.41234, 12.3], [-5.4, 56.5, 842.1], [-2.47, 56.71, -1.5]],
+      intensities: [3, 300]
+    },
+    { routeIndex: 1, level: 1, coordinates: [[-5.6, 57], [-5.5, 57.1, 100]], intensities: [1] },
+    { routeIndex: 1, coordinates: longCoordinates, intensities: new Array(longCoordinates.length - 1).fill(2) }
+  ]
+};
+
+// Push bytes into a decoder chunkSize at a time
+const decodeInChunks = (bytes, chunkSize) => {
+  const decoder = createHeatmapBinaryDecoder();
+  for (let start = 0; start < bytes.length; start += chunkSize) {
+    decoder.push(bytes.subarray(start, start + chunkSize));
+  }
+  return decoder;
+};
+
+const assertClose = (actual, expected, tolerance) => {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, i) => assert.ok(Math.abs(actual[i] - value) <= tolerance, `${actual[i]} is not ${value}`));
+};
+
+[1, 7, 4099].forEach(chunkSize => {
+  test(`round trips polylines pushed ${chunkSize} bytes at a time`, () => {
+    const { header, polylines } = decodeInChunks(encodeHeatmapBinary(data), chunkSize).finish();
+    assert.deepEqual(header.routes, data.routes);
+    assert.deepEqual(header.levels, data.levels);
+    assert.equal(polylines.length, 3);
+
+    const [first, second, long] = polylines;
+    assert.equal(first.routeIndex, 0);
+    assert.equal(first.level, 0);
+    assertClose(first.coordinates, [-5.47123, 56.41234, -5.4, 56.5, -2.47, 56.71], 1e-9);
+    assert.deepEqual([...first.intensities], [3, 255]);
+    assertClose(first.elevations, [12.3, 842.1, -1.5], 1e-4);
+
+    // Elevation is only kept when every point has one
+    assert.equal(second.level, 1);
+    assert.equal(second.elevations, null);
+
+    assert.equal(long.coordinates.length, longCoordinates.length * 2);
+    assertClose(long.coordinates, longCoordinates.flatMap(([lon, lat]) => [lon, lat]), 0.5e-5 + 1e-12);
+    assertClose(long.elevations, longCoordinates.map(([, , ele]) => ele), 0.05 + 1e-4);
+  });
+});
+
+test('throws when the file ends part way through', () => {
+  const bytes = encodeHeatmapBinary(data);
+  [10, 100, bytes.length - 1].forEach(end => {
+    const decoder = decodeInChunks(bytes.subarray(0, end), 7);
+    assert.throws(() => decoder.finish(), /truncated/);
+  });
+});
+
+test('rejects a file that is not a binary heatmap', () => {
+  const decoder = createHeatmapBinaryDecoder();
+  assert.throws(() => decoder.push(new TextEncoder().encode('{"type":"FeatureCollection"}')), /Not a binary heatmap file/);
+});
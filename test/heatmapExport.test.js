@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  corridorsToGPX,
+  exportHeatmapData,
+  heatmapToGeoJSON,
+  heatmapToKML,
+  mergeSegmentFeatures
+} from '../src/heatmapExport.js';
+import { metresPerDegreeLongitude } from '../src/geo.js';
+
+// Segment features heading east along lat, 1km each, one per density given
+const eastwardSegments = (routeId, lat, densities) => {
+  const step = 1000 / metresPerDegreeLongitude(lat);
+  return densities.map((density, i) => ({
+    geometry: { coordinates: [[-5 + i * step, lat], [-5 + (i + 1) * step, lat]] },
+    properties: { routeId, routeName: `Route <${routeId}>`, year: 2020, density, intensity: Math.random() }
+  }));
+};
+
+const features = [
+  ...eastwardSegments(0, 57, [1, 1, 3, 3, 3]),
+  ...eastwardSegments(1, 56, [2, 2])
+];
+
+const densityColors = [[1, 'rgba(0, 0, 255, 1)'], [2, 'rgba(0, 255, 0, 0.5)'], [3, 'rgba(255, 0, 0, 1)']];
+
+test('merges joined segments with the same density into lines', () => {
+  const lines = mergeSegmentFeatures(features);
+
+  assert.deepEqual(lines.map(line => [line.properties.routeId, line.properties.density, line.coordinates.length]), [
+    [0, 1, 3],
+    [0, 3, 4],
+    [1, 2, 3]
+  ]);
+  assert.equal('intensity' in lines[0].properties, false);
+  assert.equal(lines[0].properties.filename, null);
+});
+
+test('GeoJSON keeps the merged lines and the density settings', () => {
+  const collection = JSON.parse(heatmapToGeoJSON(features, { radiusMetres: 30, densityStrategy: 'corridor' }));
+
+  assert.equal(collection.overlapRadiusMetres, 30);
+  assert.equal(collection.densityStrategy, 'corridor');
+  assert.equal(collection.features.length, 3);
+  assert.equal(collection.features[1].geometry.type, 'LineString');
+  assert.deepEqual(collection.features[1].properties, {
+    routeId: 0, routeName: 'Route <0>', filename: null, year: 2020, density: 3
+  });
+});
+
+test('KML styles lines by density and escapes names', () => {
+  const kml = heatmapToKML(features, { name: 'Walks & more', densityColors });
+
+  assert.match(kml, /<name>Walks &amp; more<\/name>/);
+  assert.match(kml, /<Style id="density-2">\s*<LineStyle><color>8000ff00<\/color>/);
+  assert.equal(kml.match(/<Placemark>/g).length, 3);
+  assert.match(kml, /<name>Route &lt;0&gt;<\/name>\s*<styleUrl>#density-3<\/styleUrl>/);
+  assert.doesNotMatch(kml, /<Data name="filename">/);
+});
+
+test('KML colours densities above the last stop with it', () => {
+  const kml = heatmapToKML(eastwardSegments(0, 57, [9]), { name: 'Busy', densityColors });
+  assert.match(kml, /<styleUrl>#density-3<\/styleUrl>/);
+});
+
+test('GPX lists the shared corridors busiest first', () => {
+  const gpx = corridorsToGPX(features, { name: 'Corridors' });
+  const tracks = [...gpx.matchAll(/<desc>(.*?) km, ([\d.]+) routes on average/g)];
+
+  assert.equal(tracks.length, 2);
+  assert.deepEqual(tracks.map(([, , density]) => density), ['3.0', '2.0']);
+  assert.equal(corridorsToGPX(features, { name: 'Corridors', count: 1 }).match(/<trk>/g).length, 1);
+});
+
+test('GPX export fails when no corridor is shared', () => {
+  assert.throws(() => corridorsToGPX(eastwardSegments(0, 57, [1, 1, 1]), { name: 'Alone' }), /shared by two or more/);
+});
+
+test('exports a blob of the chosen format', async () => {
+  const blob = exportHeatmapData(features, { format: 'geojson', name: 'Walks' });
+
+  assert.equal(blob.type, 'application/geo+json');
+  assert.equal(JSON.parse(await blob.text()).features.length, 3);
+  assert.throws(() => exportHeatmapData(features, { format: 'shp' }), /Unknown export format: shp/);
+  assert.throws(() => exportHeatmapData([], { format: 'geojson' }), /nothing to export/);
+});
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { heatmapLegend } from '../src/legend.js';
+import { colorStops, getColorScheme } from '../src/heatmapStyle.js';
+
+test('bands density from one route up to the cap', () => {
+  const legend = heatmapLegend({ colorBy: 'density', colorScheme: 'viridis', densityCap: 10 });
+  assert.equal(legend.title, 'Routes along a stretch');
+  assert.deepEqual(legend.bands.map(band => band.label), ['1–2', '3–4', '5–6', '7–8', '9', '10+']);
+});
+
+test('gives each route count its own band under a small cap', () => {
+  const legend = heatmapLegend({ colorBy: 'density', colorScheme: 'viridis', densityCap: 5 });
+  assert.deepEqual(legend.bands.map(band => band.label), ['1', '2', '3', '4', '5+']);
+});
+
+test('takes the band colours from the colours the map draws with', () => {
+  const stops = colorStops(getColorScheme('viridis', 5));
+  const legend = heatmapLegend({ colorBy: 'density', colorScheme: 'viridis', densityCap: 5 });
+  assert.deepEqual(legend.bands.map(band => band.color), stops.map(([, color]) => color));
+});
+
+test('shows gradients in climb mode, with a band for lines without elevation', () => {
+  const legend = heatmapLegend({ colorBy: 'climb', colorScheme: 'viridis', densityCap: 10 });
+  assert.equal(legend.title, 'Average gradient');
+  assert.equal(legend.bands[legend.bands.length - 1].label, 'No elevation');
+  assert.match(legend.bands[legend.bands.length - 2].label, /%\+$/);
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  CUSTOM_PALETTE_ID,
+  DEFAULT_CUSTOM_PALETTE,
+  createCustomPalette,
+  decodeCustomPalette,
+  encodeCustomPalette,
+  findPalette,
+  isPaletteId,
+  paletteOpacity
+} from '../src/palettes.js';
+
+test('custom palettes survive a link round trip', () => {
+  const palette = { colors: ['#2c7bb6', '#ffffbf', '#d7191c'], minOpacity: 0.2, maxOpacity: 0.9, curve: 2 };
+  const text = encodeCustomPalette(palette);
+
+  assert.equal(text, '2c7bb6-ffffbf-d7191c_0.2_0.9_2');
+  assert.deepEqual(decodeCustomPalette(text), palette);
+});
+
+test('decoding rejects malformed palettes and clamps the numbers', () => {
+  assert.equal(decodeCustomPalette('2c7bb6_0.4_1_1'), null);
+  assert.equal(decodeCustomPalette('2c7bb6-zzzzzz_0.4_1_1'), null);
+  assert.equal(decodeCustomPalette('2c7bb6-ffffbf_0.4_one_1'), null);
+  assert.equal(decodeCustomPalette(Array(7).fill('ffffff').join('-') + '_0.4_1_1'), null);
+
+  assert.deepEqual(decodeCustomPalette('2C7BB6-FFFFBF_-1_5_100'), {
+    colors: ['#2c7bb6', '#ffffbf'],
+    minOpacity: 0,
+    maxOpacity: 1,
+    curve: 10
+  });
+});
+
+test('palette ids include the custom one', () => {
+  assert.equal(isPaletteId('viridis'), true);
+  assert.equal(isPaletteId(CUSTOM_PALETTE_ID), true);
+  assert.equal(isPaletteId('plaid'), false);
+});
+
+test('unknown ids fall back to the default palette', () => {
+  assert.equal(findPalette('plaid').id, 'full');
+  assert.equal(findPalette('magma').id, 'magma');
+  assert.equal(findPalette(CUSTOM_PALETTE_ID).id, CUSTOM_PALETTE_ID);
+});
+
+test('custom palettes interpolate their stops and opacity curve', () => {
+  const palette = createCustomPalette({ ...DEFAULT_CUSTOM_PALETTE, minOpacity: 0.2, maxOpacity: 1, curve: 2 });
+
+  assert.deepEqual(palette.rgb(0), [0x2c, 0x7b, 0xb6]);
+  assert.deepEqual(palette.rgb(0.5), [0xff, 0xff, 0xbf]);
+  assert.deepEqual(palette.rgb(1), [0xd7, 0x19, 0x1c]);
+  assert.equal(paletteOpacity(palette, 0), 0.2);
+  assert.equal(paletteOpacity(palette, 0.5), 0.4);
+  assert.equal(paletteOpacity(palette, 1), 1);
+});
+
+test('built-in palettes use the default opacity ramp', () => {
+  assert.equal(paletteOpacity(findPalette('blue'), 0), 0.4);
+  assert.equal(paletteOpacity(findPalette('blue'), 1), 1);
+});
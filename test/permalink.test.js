@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_VIEW_STATE, decodeViewState, encodeViewState } from '../src/permalink.js';
+
+test('round trips a view through the hash', () => {
+  const view = {
+    ...DEFAULT_VIEW_STATE,
+    camera: { center: [-4.56789, 57.01234], zoom: 9.5, bearing: 0, pitch: 0 },
+    maxDensity: 20,
+    overlapRadius: 250,
+    densityStrategy: 'length',
+    yearRange: [2016, 2024],
+    excludedYears: [2019, null],
+    isolatedRouteIds: [7, 3]
+  };
+  assert.deepEqual(decodeViewState(`#${encodeViewState(view)}`), {
+    camera: view.camera,
+    maxDensity: 20,
+    overlapRadius: 250,
+    densityStrategy: 'length',
+    yearRange: [2016, 2024],
+    excludedYears: [2019, null],
+    isolatedRouteIds: [3, 7]
+  });
+});
+
+test('leaves settings at their defaults out of the hash', () => {
+  assert.equal(encodeViewState(DEFAULT_VIEW_STATE), '');
+});
+
+test('ignores a density cap the dropdown does not offer', () => {
+  assert.deepEqual(decodeViewState('#density=100000000'), {});
+  assert.deepEqual(decodeViewState('#density=0'), {});
+  assert.deepEqual(decodeViewState('#density=7'), {});
+  assert.deepEqual(decodeViewState('#density=50'), { maxDensity: 50 });
+});
+
+test('ignores a radius the dropdown does not offer', () => {
+  assert.deepEqual(decodeViewState('#radius=123'), {});
+});
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { maxPosterDpi, posterSize } from '../src/posterExport.js';
+import { createJpegPdf } from '../src/pdfWriter.js';
+
+test('sizes a poster from its paper, orientation and DPI', () => {
+  assert.deepEqual(posterSize({ paper: 'A3', orientation: 'portrait', dpi: 200 }), { widthPx: 2339, heightPx: 3307, dpi: 200 });
+  assert.deepEqual(posterSize({ paper: 'A3', orientation: 'landscape', dpi: 200 }), { widthPx: 3307, heightPx: 2339, dpi: 200 });
+  assert.deepEqual(posterSize({ paper: 'custom', dpi: 96, widthPx: 3000, heightPx: 2000 }), { widthPx: 3000, heightPx: 2000, dpi: 96 });
+});
+
+test('finds the highest DPI whose long side fits the largest drawable side', () => {
+  const dpi = maxPosterDpi('A3', 4096);
+  assert.equal(dpi, 247);
+  assert.ok(posterSize({ paper: 'A3', orientation: 'portrait', dpi }).heightPx <= 4096);
+  assert.ok(posterSize({ paper: 'A3', orientation: 'portrait', dpi: dpi + 1 }).heightPx > 4096);
+});
+
+test('writes a one page PDF whose cross-reference table points at each object', () => {
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+  const pdf = createJpegPdf(jpeg, { widthPx: 2, heightPx: 1, pageWidth: 595.28, pageHeight: 841.89 });
+  const text = new TextDecoder('latin1').decode(pdf);
+
+  assert.ok(text.startsWith('%PDF-1.4\n'));
+  assert.ok(text.endsWith('%%EOF\n'));
+  assert.match(text, /\/MediaBox \[0 0 595\.28 841\.89\]/);
+  assert.match(text, /\/Width 2 \/Height 1 .* \/Length 4 >>/);
+
+  const xrefOffset = Number(text.match(/startxref\n(\d+)\n/)[1]);
+  assert.ok(text.startsWith('xref\n', xrefOffset));
+  const offsets = [...text.slice(xrefOffset).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+  assert.equal(offsets.length, 5);
+  offsets.forEach((offset, index) => assert.ok(text.startsWith(`${index + 1} 0 obj\n`, offset)));
+});
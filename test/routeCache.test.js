@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+import { createRouteCache, restoreRouteCacheEntry, routeCacheEntry } from '../scripts/routeCache.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-cache-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const route = {
+  name: 'Coast to coast',
+  time: '2019-05-10T07:00:00Z',
+  format: 'gpx',
+  tracks: [{
+    name: 'Day 1',
+    points: [
+      { lat: 57.1, lon: -5.6, ele: 12, time: new Date('2019-05-10T07:00:00Z') },
+      { lat: 57.2, lon: -5.5, ele: undefined, time: null }
+    ]
+  }],
+  waypoints: [{ lat: 57.1, lon: -5.6, name: 'Start' }]
+};
+
+test('entries round trip through JSON back to parsed routes', () => {
+  const simplified = [{ 10: [[-5.6, 57.1, 12], [-5.5, 57.2, null]] }];
+  const entry = JSON.parse(JSON.stringify(routeCacheEntry(route, simplified)));
+  const restored = restoreRouteCacheEntry(entry, 'coast.gpx');
+
+  assert.equal(restored.route.filename, 'coast.gpx');
+  assert.equal(restored.route.time, '2019-05-10T07:00:00.000Z');
+  assert.deepEqual(restored.route.tracks[0].points, [
+    { lat: 57.1, lon: -5.6, ele: 12, time: new Date('2019-05-10T07:00:00Z') },
+    { lat: 57.2, lon: -5.5, ele: null, time: null }
+  ]);
+  assert.deepEqual(restored.route.waypoints, [{ lat: 57.1, lon: -5.6, ele: null, name: 'Start' }]);
+  assert.deepEqual(restored.simplified, simplified);
+});
+
+test('keys change with the file name, content and settings', () => {
+  const cache = createRouteCache({ dir: tempDir });
+  const key = cache.key('coast.gpx', Buffer.from('<gpx/>'));
+
+  assert.equal(cache.key('coast.gpx', Buffer.from('<gpx/>')), key);
+  assert.notEqual(cache.key('coast2.gpx', Buffer.from('<gpx/>')), key);
+  assert.notEqual(cache.key('coast.gpx', Buffer.from('<gpx />')), key);
+  assert.notEqual(cache.key('coast.gpx', Buffer.from('<gpx/>'), 'clean'), key);
+});
+
+test('hits what was stored and prunes what was not looked up', async () => {
+  const dir = path.join(tempDir, 'prune');
+  const first = createRouteCache({ dir });
+  await first.set('kept', { route: 'a' });
+  await first.set('stale', { route: 'b' });
+
+  const second = createRouteCache({ dir });
+  assert.deepEqual(await second.get('kept'), { route: 'a' });
+  assert.equal(await second.get('missing'), null);
+  assert.deepEqual(second.stats, { hits: 1, misses: 1 });
+
+  assert.equal(second.prune(), 1);
+  assert.deepEqual(fs.readdirSync(dir), ['kept.json']);
+});
+
+test('misses every lookup with reading off', async () => {
+  const dir = path.join(tempDir, 'no-read');
+  await createRouteCache({ dir }).set('kept', { route: 'a' });
+
+  const cache = createRouteCache({ dir, read: false });
+  assert.equal(await cache.get('kept'), null);
+  assert.deepEqual(cache.stats, { hits: 0, misses: 1 });
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createCorridorIndex } from '../src/corridorDensity.js';
+import { compareRouteToCorridors } from '../src/routeComparison.js';
+import { metresPerDegreeLongitude } from '../src/geo.js';
+
+// Longitude eastMetres east of 5°W along 57°N
+const east = (metres) => -5 + metres / metresPerDegreeLongitude(57);
+
+// Three known routes along the first 2km of 57°N, and one more along the first 1km
+const knownLines = [
+  { routeId: 0, coordinates: [[east(0), 57], [east(2000), 57]] },
+  { routeId: 1, coordinates: [[east(0), 57], [east(2000), 57]] },
+  { routeId: 2, coordinates: [[east(0), 57], [east(2000), 57]] },
+  { routeId: 3, coordinates: [[east(0), 57], [east(1000), 57]] }
+];
+const corridorIndex = createCorridorIndex(knownLines, { radiusMetres: 100 });
+
+const metresIn = (comparison, label) => comparison.bands.find(band => band.label === label).metres;
+
+test('measures how much of a plan follows each band of known routes', () => {
+  const comparison = compareRouteToCorridors([[[east(0), 57], [east(4000), 57]]], corridorIndex);
+  assert.ok(Math.abs(comparison.totalMetres - 4000) < 5);
+  assert.ok(Math.abs(metresIn(comparison, '2–4 routes') - 2100) < 60);
+  assert.ok(Math.abs(metresIn(comparison, 'Off known routes') - 1900) < 60);
+  assert.equal(metresIn(comparison, '1 route'), 0);
+});
+
+test('lists where a plan leaves every known route, in order along it', () => {
+  const plan = [
+    [[east(3000), 57], [east(1500), 57]],
+    [[east(1500), 57.01], [east(2500), 57.01]]
+  ];
+  const { offRouteStretches } = compareRouteToCorridors(plan, corridorIndex);
+  assert.equal(offRouteStretches.length, 2);
+  assert.equal(offRouteStretches[0].startMetres, 0);
+  assert.ok(Math.abs(offRouteStretches[0].lengthMetres - 900) < 60);
+  assert.ok(Math.abs(offRouteStretches[1].startMetres - 1500) < 5);
+  assert.ok(Math.abs(offRouteStretches[1].lengthMetres - 1000) < 5);
+});
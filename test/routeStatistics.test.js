@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { summariseRouteCollection } from '../src/routeStatistics.js';
+import { metresPerDegreeLongitude } from '../src/geo.js';
+
+// A line heading east along lat, one 1km segment per density given
+const eastwardLine = (routeId, lat, densities) => {
+  const step = 1000 / metresPerDegreeLongitude(lat);
+  return {
+    routeId,
+    coordinates: Array.from({ length: densities.length + 1 }, (_, i) => [-5 + i * step, lat]),
+    densities
+  };
+};
+
+const lines = [
+  eastwardLine(0, 57, new Array(50).fill(2)), // A long, lightly shared crossing
+  eastwardLine(1, 56, [1, 6, 6, 6, 1]) // A short, busy corridor
+];
+
+test('adds up the walked and distinct ground', () => {
+  const { walkedMetres, distinctMetres } = summariseRouteCollection(lines);
+  assert.ok(Math.abs(walkedMetres - 55000) < 50);
+  assert.ok(Math.abs(distinctMetres - (25000 + 2000 + 500)) < 50);
+});
+
+test('ranks the busiest stretch first and splits long ones', () => {
+  const { sharedStretches } = summariseRouteCollection(lines);
+  assert.equal(sharedStretches[0].routeId, 1);
+  assert.equal(sharedStretches[0].density, 6);
+  assert.ok(Math.abs(sharedStretches[0].lengthMetres - 3000) < 10);
+
+  // Split once a stretch reaches 20km, so none is more than a segment past it
+  const crossing = sharedStretches.slice(1);
+  assert.equal(crossing.length, 3);
+  assert.ok(crossing.every(stretch => stretch.routeId === 0 && stretch.lengthMetres < 21500));
+  assert.ok(Math.abs(crossing.reduce((total, stretch) => total + stretch.lengthMetres, 0) - 50000) < 50);
+});
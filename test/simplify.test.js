@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { simplifyLine } from '../src/simplify.js';
+import { METRES_PER_DEGREE_LATITUDE } from '../src/geo.js';
+
+const north = (metres) => 57 + metres / METRES_PER_DEGREE_LATITUDE;
+
+// East along 57°N with a 30m bump north half way, and elevation on each point
+const line = [[-5, 57, 100], [-4.995, 57, 110], [-4.99, north(30), 120], [-4.985, 57, 130], [-4.98, 57, 140]];
+
+test('drops points within the tolerance of the simplified line', () => {
+  assert.deepEqual(simplifyLine(line, 20), [line[0], line[2], line[4]]);
+  assert.deepEqual(simplifyLine(line, 50), [line[0], line[4]]);
+});
+
+test('keeps every point at a tolerance of zero and lines of two points', () => {
+  assert.equal(simplifyLine(line, 0), line);
+  assert.deepEqual(simplifyLine(line.slice(0, 2), 1000), line.slice(0, 2));
+});
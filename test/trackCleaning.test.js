@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  DEFAULT_CLEANING_OPTIONS,
+  cleanTracks,
+  cleaningOptions,
+  collapseStationary,
+  dropJitter,
+  removeSpikes,
+  splitAtGaps
+} from '../src/trackCleaning.js';
+import { METRES_PER_DEGREE_LATITUDE, metresPerDegreeLongitude } from '../src/geo.js';
+
+const START = new Date('2016-05-13T08:00:00Z');
+
+// A point eastMetres and northMetres from 57°N 5°W, seconds after START (no
+// time when seconds is null)
+const point = (eastMetres, northMetres = 0, seconds = null) => ({
+  lat: 57 + northMetres / METRES_PER_DEGREE_LATITUDE,
+  lon: -5 + eastMetres / metresPerDegreeLongitude(57),
+  ele: 100,
+  time: seconds === null ? null : new Date(START.getTime() + seconds * 1000)
+});
+
+const { splitGaps, stationary, minDistance, spikes } = DEFAULT_CLEANING_OPTIONS;
+
+test('splitAtGaps splits where points jump apart in distance or time', () => {
+  const points = [point(0, 0, 0), point(100, 0, 60), point(10000, 0, 120), point(10100, 0, 7200), point(10200, 0, 7260)];
+  assert.deepEqual(splitAtGaps(points, splitGaps).map(run => run.length), [2, 1, 2]);
+});
+
+test('splitAtGaps only splits on time between points that both have one', () => {
+  const points = [point(0, 0, 0), point(100), point(200, 0, 86400)];
+  assert.deepEqual(splitAtGaps(points, splitGaps).map(run => run.length), [3]);
+  assert.deepEqual(splitAtGaps([], splitGaps), []);
+});
+
+test('collapseStationary collapses a long enough stop into one point at its centre', () => {
+  const stop = [0, 1, 2, 3, 4, 5].map(i => point(1000 + (i % 2) * 10, 0, 60 + i * 60));
+  const points = [point(0, 0, 0), ...stop, point(2000, 0, 600)];
+  const cleaned = collapseStationary(points, stationary);
+  assert.equal(cleaned.length, 3);
+  assert.ok(Math.abs(cleaned[1].lon - point(1005).lon) < 1e-9);
+  assert.equal(cleaned[1].time.getTime(), stop[0].time.getTime());
+});
+
+test('collapseStationary keeps a stop shorter than minSeconds', () => {
+  const stop = [0, 1, 2, 3, 4, 5].map(i => point(i, 0, i * 10));
+  assert.equal(collapseStationary(stop, stationary).length, 6);
+});
+
+test('collapseStationary collapses points without times on their count alone', () => {
+  const stop = [0, 1, 2, 3, 4].map(i => point(i * 2));
+  assert.equal(collapseStationary(stop, stationary).length, 1);
+  assert.equal(collapseStationary(stop.slice(0, 4), stationary).length, 4);
+});
+
+test('dropJitter drops points too close to the last one kept but keeps the ends', () => {
+  const points = [point(0), point(2), point(4), point(10), point(12)];
+  assert.deepEqual(dropJitter(points, minDistance), [points[0], points[3], points[4]]);
+});
+
+test('removeSpikes drops a point that shoots out and straight back', () => {
+  const points = [point(0), point(50), point(50, 100), point(55), point(100)];
+  assert.deepEqual(removeSpikes(points, spikes), [points[0], points[1], points[3], points[4]]);
+});
+
+test('removeSpikes keeps a sharp turn whose legs are short', () => {
+  const points = [point(0), point(20), point(1)];
+  assert.deepEqual(removeSpikes(points, spikes), points);
+});
+
+test('stages leave a 2-point track alone', () => {
+  const points = [point(0), point(1)];
+  assert.deepEqual(dropJitter(points, minDistance), points);
+  assert.deepEqual(removeSpikes(points, spikes), points);
+  assert.deepEqual(collapseStationary(points, stationary), points);
+  assert.deepEqual(splitAtGaps(points, splitGaps), [points]);
+});
+
+test('cleaningOptions fills in defaults and runs only the stages listed', () => {
+  const options = cleaningOptions({ minDistance: { metres: 10 } }, ['minDistance', 'spikes']);
+  assert.deepEqual(options.minDistance, { enabled: true, metres: 10 });
+  assert.equal(options.spikes.enabled, true);
+  assert.equal(options.splitGaps.enabled, false);
+  assert.equal(options.stationary.enabled, false);
+  assert.equal(options.stationary.radiusMetres, stationary.radiusMetres);
+  assert.deepEqual(cleaningOptions(), DEFAULT_CLEANING_OPTIONS);
+});
+
+test('cleanTracks drops pieces left with fewer than two points and counts what it removed', () => {
+  const tracks = [{ name: 'Day 1', points: [point(0), point(100), point(200), point(20000), point(20100)] }, { name: 'Day 2', points: [point(0)] }];
+  const { tracks: cleaned, stats } = cleanTracks(tracks);
+  assert.deepEqual(cleaned.map(track => [track.name, track.points.length]), [['Day 1', 3], ['Day 1', 2]]);
+  assert.deepEqual(stats, { pointsBefore: 6, pointsAfter: 5, tracksBefore: 2, tracksAfter: 2 });
+});
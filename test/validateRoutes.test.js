@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { isRouteFile, parseRouteFile } from '../src/formats/index.js';
+import { DEFAULT_VALIDATION_OPTIONS, readValidationAllowlist, validateRoutes } from '../scripts/validateRoutes.js';
+
+const routesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../routes');
+
+const point = (lat, lon, time = null) => ({ lat, lon, ele: null, time: time && new Date(time) });
+
+const route = (filename, tracks, extra = {}) => ({ filename, name: filename, tracks, ...extra });
+
+// Rule ids and severities of the findings for one route
+const findingsFor = (checked, options) => {
+  const [file] = validateRoutes([checked], [], { ...DEFAULT_VALIDATION_OPTIONS, ...options }).files;
+  return file ? file.findings.map(({ rule, severity }) => `${rule}:${severity}`) : [];
+};
+
+test('passes a route with nothing wrong with it', () => {
+  const checked = route('tgo2016.gpx', [{ points: [point(57, -5, '2016-05-13T08:12:00Z'), point(57.01, -5)] }], { year: 2016, yearSource: 'filename' });
+  assert.deepEqual(findingsFor(checked), []);
+});
+
+test('finds routes with no track to draw and tracks too short to draw', () => {
+  assert.deepEqual(findingsFor(route('empty.gpx', [{ points: [point(57, -5)] }])), ['no-tracks:error', 'empty-track:warning']);
+});
+
+test('finds jumps longer than maxJumpMetres', () => {
+  const checked = route('jump.gpx', [{ points: [point(57, -5), point(57.1, -5)] }]);
+  assert.deepEqual(findingsFor(checked), ['jump:error']);
+  assert.deepEqual(findingsFor(checked, { maxJumpMetres: 20000 }), []);
+});
+
+test('finds points outside Scotland once per track', () => {
+  const checked = route('alps.gpx', [{ points: [point(46, 7), point(46.001, 7)] }]);
+  assert.deepEqual(findingsFor(checked), ['out-of-bounds:error']);
+});
+
+test('finds placeholder times, and times from another year than the filename', () => {
+  const placeholder = route('tgo2016.gpx', [{ points: [point(57, -5, '2025-06-09T00:00:00Z'), point(57.01, -5)] }], { year: 2016, yearSource: 'filename' });
+  assert.deepEqual(findingsFor(placeholder), ['placeholder-times:warning']);
+
+  const otherYear = route('tgo2016.gpx', [{ points: [point(57, -5, '2008-05-13T08:12:00Z'), point(57.01, -5)] }], { year: 2016, yearSource: 'filename' });
+  assert.deepEqual(findingsFor(otherYear), ['time-year-mismatch:warning']);
+});
+
+test('reports unreadable files as errors and counts each severity', () => {
+  const report = validateRoutes(
+    [route('jump.gpx', [{ points: [point(57, -5), point(57.1, -5)] }, { points: [] }])],
+    [{ filename: 'broken.gpx', message: 'broken.gpx: Not well-formed XML' }]
+  );
+  assert.equal(report.totalFiles, 2);
+  assert.equal(report.errorCount, 2);
+  assert.equal(report.warningCount, 1);
+  assert.deepEqual(report.files[0].findings, [{ rule: 'unreadable', severity: 'error', message: 'Not well-formed XML' }]);
+});
+
+test('keeps allowed findings as warnings with the reason', () => {
+  const report = validateRoutes(
+    [route('jump.gpx', [{ points: [point(57, -5), point(57.1, -5)] }])],
+    [],
+    { ...DEFAULT_VALIDATION_OPTIONS, allowed: { 'jump.gpx': { jump: 'Straight planned leg' } } }
+  );
+  assert.equal(report.errorCount, 0);
+  assert.equal(report.warningCount, 1);
+  assert.match(report.files[0].findings[0].message, /\(allowed: Straight planned leg\)$/);
+});
+
+test("the repo's own routes pass in strict mode", () => {
+  const filenames = fs.readdirSync(routesDir).filter(isRouteFile);
+  const routes = filenames.map(filename => ({ ...parseRouteFile(fs.readFileSync(path.join(routesDir, filename)), filename), filename }));
+  const report = validateRoutes(routes, [], { ...DEFAULT_VALIDATION_OPTIONS, allowed: readValidationAllowlist(routesDir) });
+  const errors = report.files.flatMap(file => file.findings
+    .filter(finding => finding.severity === 'error')
+    .map(finding => `${file.filename}: ${finding.message}`));
+  assert.deepEqual(errors, []);
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { writeTilePyramid } from '../scripts/writeTilePyramid.js';
+
+const metadata = { totalRoutes: 2, generatedAt: '2024-01-01T00:00:00.000Z' };
+const lines = [
+  { routeId: 0, coordinates: [[-5, 57], [-4.9, 57]] },
+  { routeId: 1, coordinates: [[-5, 57.0001], [-4.9, 57.0001]] }
+];
+
+const withTempDir = (run) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiles-'));
+  try {
+    run(path.join(tempDir, 'tiles'));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
+
+test('writes tiles and records how their density was counted', () => {
+  withTempDir(outputDir => {
+    const { tileCount } = writeTilePyramid(outputDir, lines, metadata, {
+      minZoom: 10,
+      maxZoom: 11,
+      radiusMetres: 250,
+      strategy: 'grid'
+    });
+    assert.ok(tileCount > 0);
+
+    const tileJSON = JSON.parse(fs.readFileSync(path.join(outputDir, 'tiles.json'), 'utf8'));
+    assert.equal(tileJSON.tiles[0], 'tiles/{z}/{x}/{y}.pbf');
+    assert.equal(tileJSON.densityRadiusMetres, 250);
+    assert.equal(tileJSON.densityStrategy, 'grid');
+    assert.ok(tileJSON.bounds.every(Number.isFinite));
+  });
+});
+
+test('removes an old pyramid and writes none when there are no lines', () => {
+  withTempDir(outputDir => {
+    writeTilePyramid(outputDir, lines, metadata, { minZoom: 10, maxZoom: 10 });
+    const { tileCount } = writeTilePyramid(outputDir, [{ routeId: 0, coordinates: [[-5, 57]] }], metadata);
+    assert.equal(tileCount, 0);
+    assert.equal(fs.existsSync(outputDir), false);
+  });
+});
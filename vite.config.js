@@ -1,9 +1,9 @@
 import { defineConfig } from 'vite'
-import dir2json from "vite-plugin-dir2json";
 import react from '@vitejs/plugin-react'
+import heatmapReload from './scripts/heatmapReloadPlugin.js'
 
 // https://vitejs.dev/config/
 export default defineConfig({
   assetsInclude: ['**/*.gpx'],
-  plugins: [react(), dir2json(/* options */)],
+  plugins: [react(), heatmapReload()],
 })